@@ -0,0 +1,276 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+
+/**
+ * Поиск страниц сайта для индексатора: sitemap.xml, обход ссылок внутри сайта,
+ * include/exclude-шаблоны, ограничение глубины и правила robots.txt.
+ */
+
+export const USER_AGENT = 'Mozilla/5.0 (compatible; PlanetaBot/1.0; indexing knowledge base)';
+// Имя бота для групп User-agent в robots.txt
+const ROBOTS_AGENT = 'planetabot';
+
+// Тип страницы по пути URL (первое совпадение), иначе — general
+const CONTENT_TYPES = [
+  { pattern: /^\/(?:tury_iz_permi|tury|strany|napravleniya)(?:\/|$)/, type: 'destination' },
+  { pattern: /^\/(?:contacts|kontakty|ofisy)(?:\/|$)/, type: 'contacts' },
+  { pattern: /^\/(?:about|o-kompanii|o_nas|o-nas)(?:\/|$)/, type: 'about' },
+  { pattern: /^\/(?:credit|kredit|rassrochka)(?:\/|$)/, type: 'credit' },
+  { pattern: /^\/(?:feedback|otzyvy|reviews)(?:\/|$)/, type: 'reviews' },
+  { pattern: /^\/(?:visa|vizy|viza)(?:\/|$)/, type: 'visa' },
+  { pattern: /^\/(?:news|novosti|blog|stati|articles)(?:\/|$)/, type: 'article' }
+];
+
+// Ссылки на файлы — не страницы
+const FILE_EXTENSION = /\.(?:jpe?g|png|gif|webp|svg|ico|pdf|docx?|xlsx?|pptx?|zip|rar|mp3|mp4|avi|css|js|json|xml)$/i;
+
+/**
+ * Тип контента по пути URL: destination, contacts, about, credit, reviews, visa, article, general
+ */
+export function classifyUrl(url) {
+  const { pathname } = new URL(url);
+  return CONTENT_TYPES.find(({ pattern }) => pattern.test(pathname))?.type || 'general';
+}
+
+/**
+ * Привести ссылку к абсолютному URL без #якоря
+ * @returns {string|null} null — не http(s)-ссылка (mailto:, tel:, javascript:)
+ */
+export function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Шаблон пути из robots.txt ("/search*", "/*.pdf$") → RegExp
+ */
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const escaped = (anchored ? path.slice(0, -1) : path)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Разобрать robots.txt: правила группы нашего бота (или "*"), Crawl-delay и ссылки на sitemap
+ * @returns {{isAllowed: (path: string) => boolean, crawlDelay: number|null, sitemaps: string[]}}
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Несколько User-agent подряд относятся к одной группе
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', length: value.length, pattern: robotsPattern(value) });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  const group = groups.find(item => item.agents.some(name => name !== '*' && agent.includes(name)))
+    || groups.find(item => item.agents.includes('*'));
+  const rules = group?.rules || [];
+
+  return {
+    // Самое длинное совпавшее правило; при равной длине Allow важнее
+    isAllowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    },
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps
+  };
+}
+
+/**
+ * Разобрать sitemap.xml: страницы (<url><loc>) и вложенные sitemap (<sitemapindex>)
+ * @returns {{urls: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(xml, base) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector)
+    .map((_, element) => normalizeUrl($(element).text().trim(), base))
+    .get()
+    .filter(Boolean);
+
+  return { urls: locs('url > loc'), sitemaps: locs('sitemap > loc') };
+}
+
+/**
+ * Ссылки со страницы
+ */
+function extractLinks(html, base) {
+  const $ = cheerio.load(html);
+  return $('a[href]')
+    .map((_, element) => normalizeUrl($(element).attr('href'), base))
+    .get()
+    .filter(Boolean);
+}
+
+/**
+ * Скачать документ
+ * @returns {Promise<{status: number, data: string, contentType: string}|null>} null — сеть недоступна
+ */
+async function fetchText(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: 10000,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return {
+      status: response.status,
+      data: typeof response.data === 'string' ? response.data : String(response.data ?? ''),
+      contentType: response.headers['content-type'] || ''
+    };
+  } catch (error) {
+    console.warn(`  ⚠️  Не удалось загрузить ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Найти и скачать страницы сайта
+ * @param {Object} options
+ * @param {string} options.siteUrl - корень сайта ("https://planetaperm.ru/")
+ * @param {Array<{path: string, type?: string}>} options.seeds - страницы, с которых начинаем (тип можно задать явно)
+ * @param {RegExp[]} options.include - индексируем только пути, подходящие хотя бы под один шаблон (пусто — все)
+ * @param {RegExp[]} options.exclude - пути, которые не индексируем и не обходим
+ * @param {number} options.maxDepth - глубина обхода по ссылкам от стартовых страниц и sitemap
+ * @param {number} options.maxPages - сколько страниц скачать максимум
+ * @param {number} options.delayMs - пауза между запросами (Crawl-delay из robots.txt, если он больше)
+ * @returns {Promise<{pages: Array<{url, type, depth, html}>, failed: string[], skipped: Array<{url, reason}>, limitReached: boolean, complete: boolean}>}
+ *   failed — страницы, которые не удалось скачать (сеть, 5xx): их старые чанки индексатор не трогает.
+ *   complete — обход дошёл до всех страниц: лимит не достигнут и ничего не упало. Если нет — ссылки со страниц,
+ *   которые не скачались или не обойдены, остались непроверенными, и пропавшие из обхода страницы удалять нельзя
+ */
+export async function crawlSite({ siteUrl, seeds = [], include = [], exclude = [], maxDepth = 2, maxPages = 200, delayMs = 1000 }) {
+  const site = new URL(siteUrl);
+  const pages = [];
+  const failed = [];
+  const skipped = [];
+
+  // robots.txt: нет файла — можно всё
+  const robotsResponse = await fetchText(new URL('/robots.txt', site).toString());
+  const robots = parseRobots(robotsResponse?.status === 200 ? robotsResponse.data : '');
+  const delay = Math.max(delayMs, (robots.crawlDelay || 0) * 1000);
+
+  const seedTypes = new Map(seeds.filter(seed => seed.type).map(seed => [normalizeUrl(seed.path, site), seed.type]));
+  const queue = [site.toString(), ...seeds.map(seed => normalizeUrl(seed.path, site))]
+    .filter(Boolean)
+    .map(url => ({ url, depth: 0 }));
+  const seen = new Set();
+
+  // sitemap.xml и sitemap из robots.txt (вложенные sitemapindex — тоже)
+  const sitemapQueue = [new URL('/sitemap.xml', site).toString(), ...robots.sitemaps];
+  const seenSitemaps = new Set();
+  while (sitemapQueue.length > 0 && seenSitemaps.size < 20) {
+    const sitemapUrl = sitemapQueue.shift();
+    if (seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    const response = await fetchText(sitemapUrl);
+    if (response?.status !== 200) continue;
+
+    const { urls, sitemaps } = parseSitemap(response.data, sitemapUrl);
+    queue.push(...urls.map(url => ({ url, depth: 0 })));
+    sitemapQueue.push(...sitemaps);
+    console.log(`  🗺️  ${sitemapUrl}: ${urls.length} страниц`);
+  }
+
+  // Можно ли индексировать URL; причина отказа — для отчёта
+  const rejectReason = (url) => {
+    const parsed = new URL(url);
+    const path = `${parsed.pathname}${parsed.search}`;
+    if (parsed.host !== site.host) return 'другой сайт';
+    if (FILE_EXTENSION.test(parsed.pathname)) return 'файл';
+    if (exclude.some(pattern => pattern.test(path))) return 'exclude';
+    if (include.length > 0 && !include.some(pattern => pattern.test(path))) return 'не подходит под include';
+    if (!robots.isAllowed(path)) return 'robots.txt';
+    return null;
+  };
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const reason = rejectReason(url);
+    if (reason) {
+      // Чужие сайты и файлы в отчёт не пишем — их на любой странице десятки
+      if (reason !== 'другой сайт' && reason !== 'файл') skipped.push({ url, reason });
+      continue;
+    }
+
+    console.log(`  🌐 ${url}`);
+    const response = await fetchText(url);
+
+    if (!response || response.status >= 500) {
+      failed.push(url);
+    } else if (response.status === 200 && response.contentType.includes('text/html')) {
+      pages.push({ url, type: seedTypes.get(url) || classifyUrl(url), depth, html: response.data });
+
+      if (depth < maxDepth) {
+        for (const link of extractLinks(response.data, url)) {
+          if (!seen.has(link)) queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    } else {
+      skipped.push({ url, reason: `HTTP ${response.status}` });
+    }
+
+    if (delay > 0 && queue.length > 0) {
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+
+  const limitReached = queue.some(({ url }) => !seen.has(url)) && pages.length >= maxPages;
+  if (limitReached) {
+    console.warn(`  ⚠️  Достигнут лимит ${maxPages} страниц, остальные не обойдены`);
+  }
+
+  return { pages, failed, skipped, limitReached, complete: !limitReached && failed.length === 0 };
+}
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { basename, extname, join, relative, sep } from 'path';
+
+/**
+ * Локальные документы для базы знаний: PDF, DOCX и Markdown-чанки с front-matter.
+ *
+ * Метаданные (front-matter в начале .md или файл <имя>.meta.yml рядом с PDF/DOCX):
+ *   ---
+ *   title: Рассрочка на туры
+ *   content_type: credit
+ *   source_url: https://planetaperm.ru/credit/
+ *   expires: 2026-12-31
+ *   summary: Короткая версия для ответа бота (если документ помещается в один чанк)
+ *   ---
+ * Без content_type тип берётся из имени подпапки (knowledge/visa/*.pdf → visa), в корне — document.
+ * Документы с прошедшей датой expires не индексируются, а уже загруженные — удаляются.
+ */
+
+const EXTENSIONS = ['.md', '.pdf', '.docx'];
+const META_SUFFIX = '.meta.yml';
+
+/**
+ * Разобрать front-matter: плоские пары "ключ: значение" между строками ---
+ * @returns {{meta: Object<string, string>, body: string}}
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: text };
+  return { meta: parseMeta(match[1]), body: text.slice(match[0].length) };
+}
+
+/**
+ * Пары "ключ: значение" (значение можно взять в кавычки)
+ */
+function parseMeta(text) {
+  const meta = {};
+  for (const line of text.split(/\r?\n/)) {
+    const pair = line.match(/^\s*([a-z_]+)\s*:\s*(.*?)\s*$/i);
+    if (!pair) continue;
+    meta[pair[1].toLowerCase()] = pair[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return meta;
+}
+
+/**
+ * Текст из файла документа
+ */
+async function extractDocumentText(path, buffer) {
+  const extension = extname(path).toLowerCase();
+
+  if (extension === '.md') {
+    return buffer.toString('utf8');
+  }
+  if (extension === '.pdf') {
+    // lib/pdf-parse.js напрямую: index.js пакета в ESM пытается открыть свой тестовый PDF
+    const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+    const { text } = await pdfParse(buffer);
+    return text;
+  }
+  if (extension === '.docx') {
+    const { default: mammoth } = await import('mammoth');
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  }
+
+  throw new Error(`Неподдерживаемый формат: ${extension}`);
+}
+
+/**
+ * Привести текст документа к виду, который понимает chunkText: абзацы через пустую строку
+ */
+function cleanText(text) {
+  return text
+    .replace(/\r/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Все файлы папки (рекурсивно)
+ */
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(path));
+    else files.push(path);
+  }
+  return files.sort();
+}
+
+/**
+ * Загрузить документы из папки
+ * @param {string} dir - папка с документами (нет папки — пустой список)
+ * @param {Date} now - для проверки срока действия
+ * @returns {Promise<Array<{key, path, hash, text, meta: {title, content_type, source_url, expires, summary}, expired: boolean, error?: string}>>}
+ *   key — "file:<путь от папки>", error — файл не удалось прочитать (его старые чанки индексатор не трогает)
+ */
+export async function loadDocuments(dir, now = new Date()) {
+  let files;
+  try {
+    files = await listFiles(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const documents = [];
+  const today = now.toISOString().slice(0, 10);
+
+  for (const path of files) {
+    // README.md в папке — описание для людей, а не знание для бота
+    if (!EXTENSIONS.includes(extname(path).toLowerCase()) || basename(path).toLowerCase() === 'readme.md') continue;
+
+    const relativePath = relative(dir, path).split(sep).join('/');
+    const key = `file:${relativePath}`;
+
+    try {
+      const buffer = await readFile(path);
+      let sidecar = '';
+      try {
+        sidecar = await readFile(`${path}${META_SUFFIX}`, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const raw = await extractDocumentText(path, buffer);
+      const { meta: frontMatter, body } = extname(path).toLowerCase() === '.md' ? parseFrontMatter(raw) : { meta: {}, body: raw };
+      const meta = { ...parseMeta(sidecar), ...frontMatter };
+      if (meta.expires && !/^\d{4}-\d{2}-\d{2}$/.test(meta.expires)) {
+        throw new Error(`expires должен быть в формате ГГГГ-ММ-ДД: ${meta.expires}`);
+      }
+      const text = cleanText(body);
+
+      const folder = relativePath.includes('/') ? relativePath.split('/')[0] : null;
+      const heading = text.match(/^#\s+(.+)$/m)?.[1];
+
+      documents.push({
+        key,
+        path: relativePath,
+        hash: crypto.createHash('sha256').update(buffer).update(sidecar).digest('hex'),
+        text,
+        meta: {
+          title: meta.title || heading || basename(path, extname(path)),
+          content_type: meta.content_type || folder || 'document',
+          source_url: meta.source_url || key,
+          expires: meta.expires || null,
+          summary: meta.summary || null
+        },
+        expired: Boolean(meta.expires && meta.expires < today)
+      });
+    } catch (error) {
+      documents.push({ key, path: relativePath, error: error.message });
+    }
+  }
+
+  return documents;
+}
@@ -0,0 +1,98 @@
+import http from 'http';
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { crawlSite } from './crawler.js';
+
+/**
+ * Проверка обхода сайта на локальном тестовом сайте scripts/fixtures/site:
+ * sitemap (с вложенным sitemapindex), ссылки, глубина, exclude, robots.txt и тип страниц.
+ * Запуск: npm run eval:crawler
+ */
+
+const SITE_DIR = new URL('./fixtures/site/', import.meta.url);
+const EXPECTED = new URL('./fixtures/crawler.json', import.meta.url);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Статический сервер тестового сайта. {{origin}} в sitemap и robots.txt заменяется на адрес сервера
+ */
+function startFixtureServer() {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const file = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+
+    try {
+      const body = await readFile(new URL(`.${decodeURIComponent(file)}`, SITE_DIR), 'utf8');
+      const origin = `http://${req.headers.host}`;
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+      res.end(body.replaceAll('{{origin}}', origin));
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>Не найдено</h1>');
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function main() {
+  const expected = JSON.parse(await readFile(EXPECTED, 'utf8'));
+  const server = await startFixtureServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const options = {
+      siteUrl: `${origin}/`,
+      exclude: expected.options.exclude.map(source => new RegExp(source)),
+      maxDepth: expected.options.maxDepth,
+      delayMs: 0
+    };
+    const { pages, skipped, complete } = await crawlSite(options);
+    // С лимитом меньше числа страниц обход должен честно сказать, что он неполный, — иначе индексатор удалит недошедшие страницы
+    const limited = await crawlSite({ ...options, maxPages: 3 });
+
+    const pathOf = (url) => {
+      const parsed = new URL(url);
+      return `${parsed.pathname}${parsed.search}`;
+    };
+    const actualPages = Object.fromEntries(pages.map(page => [pathOf(page.url), page.type]));
+    const actualSkipped = Object.fromEntries(skipped.map(item => [pathOf(item.url), item.reason]));
+    const failures = [];
+
+    for (const [path, type] of Object.entries(expected.pages)) {
+      if (!(path in actualPages)) failures.push(`страница ${path} не найдена`);
+      else if (actualPages[path] !== type) failures.push(`${path}: тип ${actualPages[path]}, ожидался ${type}`);
+    }
+    for (const path of Object.keys(actualPages)) {
+      if (!(path in expected.pages)) failures.push(`лишняя страница ${path}`);
+    }
+    for (const [path, reason] of Object.entries(expected.skipped)) {
+      if (actualSkipped[path] !== reason) failures.push(`${path}: пропуск "${actualSkipped[path] || 'нет'}", ожидался "${reason}"`);
+    }
+
+    if (!complete) failures.push('полный обход помечен неполным');
+    if (!limited.limitReached || limited.complete) failures.push('обход с лимитом 3 страницы не помечен неполным');
+
+    const total = Object.keys(expected.pages).length + Object.keys(expected.skipped).length + 2;
+    console.log(`\n📊 Обход тестового сайта: ${pages.length} страниц, ${failures.length === 0 ? 'всё совпало' : `${failures.length} расхождений`} (проверок: ${total})`);
+    for (const failure of failures) {
+      console.log(`❌ ${failure}`);
+    }
+
+    process.exitCode = failures.length > 0 ? 1 : 0;
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error);
+  process.exit(1);
+});
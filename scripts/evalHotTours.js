@@ -0,0 +1,46 @@
+import { readFile } from 'fs/promises';
+import { parseHotTours } from '../src/utils/hotTours.js';
+
+/**
+ * Проверка разбора страницы горящих туров на сохранённой странице scripts/fixtures/hotTours.html:
+ * каждое ожидаемое предложение найдено со всеми полями, рекламные и прочие блоки пропущены.
+ * Запуск: npm run eval:hot-tours
+ */
+
+const PAGE = new URL('./fixtures/hotTours.html', import.meta.url);
+const EXPECTED = new URL('./fixtures/hotTours.json', import.meta.url);
+
+async function main() {
+  const expected = JSON.parse(await readFile(EXPECTED, 'utf8'));
+  const html = await readFile(PAGE, 'utf8');
+  const offers = parseHotTours(html, expected.pageUrl, new Date(`${expected.referenceDate}T12:00:00`));
+  const failures = [];
+
+  expected.offers.forEach((offer, index) => {
+    const actual = offers[index];
+    if (!actual) {
+      failures.push(`${offer.destination} / ${offer.hotel}: предложение не найдено`);
+      return;
+    }
+    for (const [field, value] of Object.entries(offer)) {
+      if (actual[field] !== value) {
+        failures.push(`${offer.destination} / ${offer.hotel}: ${field} = ${JSON.stringify(actual[field])}, ожидалось ${JSON.stringify(value)}`);
+      }
+    }
+  });
+  for (const extra of offers.slice(expected.offers.length)) {
+    failures.push(`лишнее предложение: ${extra.destination} / ${extra.hotel}`);
+  }
+
+  console.log(`📊 Горящие туры: найдено ${offers.length} предложений из ${expected.offers.length}, ${failures.length === 0 ? 'все поля совпали' : `${failures.length} расхождений`}`);
+  for (const failure of failures) {
+    console.log(`❌ ${failure}`);
+  }
+
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error);
+  process.exit(1);
+});
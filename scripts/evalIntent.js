@@ -0,0 +1,37 @@
+import { readFile } from 'fs/promises';
+import { config } from '../src/config/config.js';
+import intentService from '../src/services/intentService.js';
+
+/**
+ * Прогон классификатора запроса менеджера по размеченным фразам (только правила, без LLM).
+ * Запуск: npm run eval:intent
+ */
+
+const FIXTURE = new URL('./fixtures/managerIntent.json', import.meta.url);
+
+async function main() {
+  const cases = JSON.parse(await readFile(FIXTURE, 'utf8'));
+  const { threshold } = config.intent;
+  const failures = [];
+
+  for (const { text, expected } of cases) {
+    const { confidence, rule } = intentService.classifyByRules(text);
+    const actual = confidence >= threshold;
+    if (actual !== expected) {
+      failures.push({ text, expected, confidence, rule });
+    }
+  }
+
+  console.log(`📊 Классификатор запроса менеджера: ${cases.length - failures.length}/${cases.length} верно (порог ${threshold})`);
+
+  for (const { text, expected, confidence, rule } of failures) {
+    console.log(`❌ "${text}": ожидалось ${expected}, уверенность ${confidence} (${rule || 'нет правила'})`);
+  }
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { config } from '../src/config/config.js';
+import { hybridRank } from '../src/utils/hybridSearch.js';
+import { buildKeywordIndex, prepareKeywordIndex, searchKeywords } from '../src/utils/keywordIndex.js';
+
+/**
+ * Полнота поиска по базе знаний на размеченных вопросах: векторный, ключевой (BM25),
+ * гибридный и гибридный с переранжированием — с весами из config.knowledgeBase (KB_VECTOR_WEIGHT, KB_KEYWORD_WEIGHT).
+ * Запуск: npm run eval:retrieval — офлайн: вместо эмбеддингов векторы буквенных триграмм.
+ *         npm run eval:retrieval -- --embeddings — настоящие эмбеддинги EMBEDDING_PROVIDER (нужен ключ)
+ */
+
+const FIXTURE = new URL('./fixtures/retrieval.json', import.meta.url);
+const USE_EMBEDDINGS = process.argv.includes('--embeddings');
+
+// Размерность офлайн-векторов
+const TRIGRAM_DIMENSIONS = 512;
+
+/**
+ * Офлайн-замена эмбеддинга: хешированные буквенные триграммы слов
+ */
+function trigramVector(text) {
+  const vector = new Array(TRIGRAM_DIMENSIONS).fill(0);
+  const words = text.toLowerCase().replace(/ё/g, 'е').split(/[^a-zа-я0-9]+/).filter(Boolean);
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const bucket = crypto.createHash('md5').update(padded.slice(i, i + 3)).digest().readUInt32BE(0) % TRIGRAM_DIMENSIONS;
+      vector[bucket] += 1;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Косинусная близость двух векторов
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Векторы текстов: настоящие эмбеддинги или офлайн-триграммы
+ */
+async function embedTexts(texts) {
+  if (!USE_EMBEDDINGS) return texts.map(trigramVector);
+  const { default: llmService } = await import('../src/services/llmService.js');
+  return llmService.embed(texts);
+}
+
+async function main() {
+  const fixture = JSON.parse(await readFile(FIXTURE, 'utf8'));
+  const options = config.knowledgeBase;
+  const topK = fixture.topK;
+
+  // Чанки в том же виде, что пишет индексатор
+  const chunks = fixture.chunks.map(chunk => ({
+    id: chunk.id,
+    text: chunk.text,
+    metadata: { text: chunk.text, source_url: `fixture:${chunk.id}`, page_title: chunk.title, content_type: chunk.content_type }
+  }));
+  const index = prepareKeywordIndex(buildKeywordIndex(chunks));
+
+  const chunkVectors = await embedTexts(chunks.map(chunk => chunk.text));
+  const queryVectors = await embedTexts(fixture.queries.map(item => item.query));
+
+  const modes = [
+    { name: 'векторный', vectorWeight: 1, keywordWeight: 0, rerank: false },
+    { name: 'ключевой (BM25)', vectorWeight: 0, keywordWeight: 1, rerank: false },
+    { name: 'гибридный', vectorWeight: options.vectorWeight, keywordWeight: options.keywordWeight, rerank: false },
+    { name: 'гибридный + переранжирование', vectorWeight: options.vectorWeight, keywordWeight: options.keywordWeight, rerank: true }
+  ];
+
+  console.log(`📊 Поиск по базе знаний: ${fixture.queries.length} вопросов, ${chunks.length} чанков, recall@${topK} и MRR (средний обратный ранг первого верного чанка)`);
+  console.log(`   Эмбеддинги: ${USE_EMBEDDINGS ? config.llm.embeddingProvider : 'офлайн (триграммы)'}, веса: вектор ${options.vectorWeight}, ключевые слова ${options.keywordWeight}\n`);
+
+  let final = null;
+  for (const mode of modes) {
+    const misses = [];
+    let recallSum = 0;
+    let reciprocalRankSum = 0;
+
+    fixture.queries.forEach(({ query, expected }, i) => {
+      const vectorMatches = mode.vectorWeight > 0
+        ? chunks
+          .map((chunk, j) => ({ id: chunk.id, score: cosineSimilarity(queryVectors[i], chunkVectors[j]), metadata: chunk.metadata }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, options.candidates)
+        : [];
+      const keywordMatches = mode.keywordWeight > 0 ? searchKeywords(index, query, options.candidates) : [];
+
+      const ranked = hybridRank(query, vectorMatches, keywordMatches, { ...options, ...mode, index }).map(match => match.id);
+      const top = ranked.slice(0, topK);
+      const firstRank = ranked.findIndex(id => expected.includes(id));
+      reciprocalRankSum += firstRank === -1 ? 0 : 1 / (firstRank + 1);
+      const found = expected.filter(id => top.includes(id)).length;
+      recallSum += found / expected.length;
+      if (found < expected.length) misses.push({ query, expected, top });
+    });
+
+    const recall = recallSum / fixture.queries.length;
+    const mrr = reciprocalRankSum / fixture.queries.length;
+    console.log(`  ${mode.name}: recall@${topK} ${(recall * 100).toFixed(0)}%, MRR ${mrr.toFixed(2)}`);
+    final = { recall, misses };
+  }
+
+  // Промахи итогового режима (гибридный + переранжирование)
+  for (const { query, expected, top } of final.misses) {
+    console.log(`❌ "${query}": ожидалось ${expected.join(', ')}, найдено ${top.join(', ')}`);
+  }
+
+  if (final.recall < fixture.minRecall) {
+    console.log(`\n❌ Полнота ${(final.recall * 100).toFixed(0)}% ниже порога ${(fixture.minRecall * 100).toFixed(0)}%`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+import { readFile } from 'fs/promises';
+import { isDeepStrictEqual } from 'util';
+import { parseTravellers, formatTravellers } from '../src/utils/travellers.js';
+
+/**
+ * Проверка разбора состава туристов на размеченных фразах scripts/fixtures/travellers.json.
+ * Для каждого ожидаемого состава проверяется и обратный путь: formatTravellers → parseTravellers даёт тот же состав.
+ * Запуск: npm run eval:travellers
+ */
+
+const FIXTURE = new URL('./fixtures/travellers.json', import.meta.url);
+
+async function main() {
+  const cases = JSON.parse(await readFile(FIXTURE, 'utf8'));
+  const failures = [];
+
+  for (const { text, expected } of cases) {
+    const actual = parseTravellers(text);
+    if (!isDeepStrictEqual(actual, expected)) {
+      failures.push(`"${text}": ${JSON.stringify(actual)}, ожидалось ${JSON.stringify(expected)}`);
+    }
+
+    const formatted = formatTravellers(expected);
+    const reparsed = parseTravellers(formatted);
+    if (!isDeepStrictEqual(reparsed, expected)) {
+      failures.push(`обратный разбор "${formatted}": ${JSON.stringify(reparsed)}, ожидалось ${JSON.stringify(expected)}`);
+    }
+  }
+
+  console.log(`📊 Состав туристов: ${cases.length} фраз, ${failures.length === 0 ? 'все разобраны верно' : `${failures.length} расхождений`}`);
+  for (const failure of failures) {
+    console.log(`❌ ${failure}`);
+  }
+
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error);
+  process.exit(1);
+});
@@ -1,8 +1,15 @@
+import crypto from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import * as cheerio from 'cheerio';
-import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
+import { config } from '../src/config/config.js';
+import llmService from '../src/services/llmService.js';
+import { createVectorStore } from '../src/providers/vectorStoreProviders.js';
+import { buildKeywordIndex } from '../src/utils/keywordIndex.js';
+import { crawlSite } from './crawler.js';
+import { loadDocuments } from './documents.js';
 
 dotenv.config();
 
@@ -10,57 +17,65 @@ dotenv.config();
 // Конфигурация
 // ============================================
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const INDEX_NAME = process.env.PINECONE_INDEX_NAME || 'planeta-kb';
-const NAMESPACE = 'planeta-kb';
-const EMBEDDING_MODEL = 'text-embedding-3-small';
+// --dry-run — только показать, что изменится; --full — не доверять манифесту и сверить всё с хранилищем
+const DRY_RUN = process.argv.includes('--dry-run');
+const FULL = process.argv.includes('--full');
 
-// Страницы для парсинга
-const URLS = [
+/**
+ * Значение аргумента командной строки: --name=value
+ */
+function argValue(name) {
+  const arg = process.argv.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Шаблоны путей из переменной окружения (RegExp через запятую)
+ */
+function patternsFromEnv(value, defaults) {
+  const sources = value ? value.split(',').map(item => item.trim()).filter(Boolean) : defaults;
+  return sources.map(source => new RegExp(source));
+}
+
+// Манифест: хеши страниц и чанков с прошлого запуска (свой для каждого хранилища)
+const MANIFEST_PATH = process.env.INDEX_MANIFEST || `data/index-manifest.${config.vectorStore.provider}.json`;
+
+// Сайт для индексации: --site=http://localhost:4173/ — например, локальная копия или тестовый сайт
+const SITE_URL = argValue('site') || process.env.INDEX_SITE_URL || 'https://planetaperm.ru/';
+
+// Стартовые страницы. Остальные находятся через sitemap.xml и ссылки; тип по умолчанию — по пути URL
+const SEED_PAGES = [
   // Основные страницы
-  { url: 'https://planetaperm.ru/', type: 'general' },
-  { url: 'https://planetaperm.ru/about/', type: 'about' },
-  { url: 'https://planetaperm.ru/contacts/', type: 'contacts' },
-  { url: 'https://planetaperm.ru/credit/', type: 'credit' },
-  { url: 'https://planetaperm.ru/feedback/', type: 'reviews' },
-  { url: 'https://planetaperm.ru/hot/', type: 'general' },
+  { path: '/', type: 'general' },
+  { path: '/about/', type: 'about' },
+  { path: '/contacts/', type: 'contacts' },
+  { path: '/credit/', type: 'credit' },
+  { path: '/feedback/', type: 'reviews' },
 
   // Направления из Перми
-  { url: 'https://planetaperm.ru/tury_iz_permi/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/turtsiya/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/egipet/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/oae/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/maldivy/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/russia/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/tailand/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/sri-lanka/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/kuba/', type: 'destination' },
-  { url: 'https://planetaperm.ru/tury_iz_permi/vetnam/', type: 'destination' },
+  { path: '/tury_iz_permi/', type: 'destination' }
 ];
 
+// Обход сайта: шаблоны путей (RegExp через запятую), глубина по ссылкам, лимит страниц
+const INCLUDE = patternsFromEnv(process.env.INDEX_INCLUDE, []);
+const EXCLUDE = patternsFromEnv(process.env.INDEX_EXCLUDE, [
+  '\\?',                                     // фильтры, сортировки, пагинация
+  '^/(?:bitrix|upload|search|personal|auth|login|cart|basket|ajax)/',
+  '/print/',
+  '^/hot/'                                   // горящие туры — цены устаревают за часы, их ведёт hotToursService
+]);
+const MAX_DEPTH = parseInt(argValue('max-depth') || process.env.INDEX_MAX_DEPTH) || 2;
+const MAX_PAGES = parseInt(argValue('max-pages') || process.env.INDEX_MAX_PAGES) || 200;
+// Пауза между запросами к сайту (Crawl-delay из robots.txt, если он больше)
+const REQUEST_DELAY_MS = 1000;
+
+// Папка с документами (PDF, DOCX) и ручными чанками (Markdown с front-matter) — см. scripts/documents.js
+const DOCS_DIR = argValue('docs') || process.env.INDEX_DOCS_DIR || fileURLToPath(new URL('../knowledge', import.meta.url));
+
 // ============================================
 // Функции
 // ============================================
 
-/**
- * Скачать HTML страницу
- */
-async function fetchPage(url) {
-  try {
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; PlanetaBot/1.0; indexing knowledge base)'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.warn(`  ⚠️  Не удалось загрузить ${url}: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Извлечь текст из HTML
  */
@@ -160,12 +175,10 @@ async function generateEmbeddings(texts) {
 
   for (let i = 0; i < texts.length; i += BATCH_SIZE) {
     const batch = texts.slice(i, i + BATCH_SIZE);
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: batch
-    });
+    // Тот же провайдер и модель, что и при поиске в боте (config.llm.embeddingProvider)
+    const embeddings = await llmService.embed(batch);
 
-    allEmbeddings.push(...response.data.map(d => d.embedding));
+    allEmbeddings.push(...embeddings);
     console.log(`  📊 Эмбеддинги: ${Math.min(i + BATCH_SIZE, texts.length)}/${texts.length}`);
   }
 
@@ -176,100 +189,184 @@ async function generateEmbeddings(texts) {
  * Создать slug из URL для ID вектора
  */
 function urlToSlug(url) {
-  return url
-    .replace('https://planetaperm.ru/', '')
+  return new URL(url).pathname
+    .replace(/^\//, '')
     .replace(/\//g, '-')
     .replace(/-$/, '') || 'index';
 }
 
-// ============================================
-// Основная функция
-// ============================================
+/**
+ * Хеш текста (sha256, hex)
+ */
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
 
-async function main() {
-  console.log('🚀 Индексация сайта planetaperm.ru в Pinecone\n');
+/**
+ * Хеш чанка: меняется при правке текста или метаданных (заголовок, тип страницы)
+ */
+function chunkHash(chunk) {
+  return hash(`${chunk.text}\n${JSON.stringify(chunk.metadata)}`);
+}
 
-  // 1. Проверяем ключи
-  if (!process.env.PINECONE_API_KEY || process.env.PINECONE_API_KEY === 'ВСТАВЬ_СЮДА_КЛЮЧ') {
-    console.error('❌ PINECONE_API_KEY не настроен в .env!');
-    process.exit(1);
-  }
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY не настроен в .env!');
-    process.exit(1);
+/**
+ * Провайдер и модель эмбеддингов: при смене все векторы нужно пересчитать
+ */
+function embeddingSignature() {
+  const name = config.llm.embeddingProvider;
+  return `${name}:${config.llm.providers[name]?.embeddingModel || ''}`;
+}
+
+/**
+ * Прочитать манифест прошлого запуска
+ * @returns {Promise<{store, embedding, sources: Object<string, {hash, chunks: Object<string, string>}>}|null>}
+ */
+async function loadManifest() {
+  try {
+    return JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`  ⚠️  Не удалось прочитать манифест ${MANIFEST_PATH}: ${error.message}`);
+    }
+    return null;
   }
+}
 
-  // 2. Подключаемся к Pinecone
-  console.log('📌 Подключение к Pinecone...');
-  const index = pinecone.index(INDEX_NAME);
+async function saveManifest(manifest) {
+  await mkdir(dirname(MANIFEST_PATH), { recursive: true });
+  await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+}
 
-  // 3. Очищаем старые данные
-  console.log('🗑️  Очистка старых данных...');
+/**
+ * Сохранить ключевой индекс по всем актуальным чанкам манифеста в хранилище векторов.
+ * Текста чанков недоступных страниц в этом запуске нет — берём их из прошлого индекса
+ * @returns {Promise<{size: number, missing: number}>} missing — чанки без текста (не было прошлого индекса)
+ */
+async function saveKeywordIndex(store, sources, manifest) {
+  let previous = { chunks: {} };
   try {
-    await index.namespace(NAMESPACE).deleteAll();
-    console.log('  ✅ Namespace очищен');
-  } catch (e) {
-    console.log('  ℹ️  Namespace пуст или не существует');
+    previous = (await store.loadKeywordIndex()) || previous;
+  } catch (error) {
+    console.warn(`  ⚠️  Не удалось прочитать прошлый ключевой индекс: ${error.message}`);
   }
 
-  // 4. Добавляем вручную критически важные чанки (офисы, FAQ и т.д.)
-  console.log('\n📌 Добавление ручных чанков...');
-
-  const allChunks = [
-    // Все офисы Планеты — явный чанк чтобы бот знал все три адреса
-    {
-      id: 'manual-offices',
-      text: `Офисы турагентства "Планета" в Перми — три офиса:
+  const fresh = buildKeywordIndex(sources.flatMap(source => source.chunks));
+  const chunks = {};
+  let missing = 0;
+  for (const entry of Object.values(manifest.sources)) {
+    for (const id of Object.keys(entry.chunks)) {
+      const item = fresh.chunks[id] || previous.chunks?.[id];
+      if (item) chunks[id] = item;
+      else missing++;
+    }
+  }
 
-1. ПЛАНЕТА НА ЕКАТЕРИНИНСКОЙ: ул. Екатерининская, 96. Телефон: +7 (342) 255-44-43.
-2. ПЛАНЕТА / ANEX TOUR НА ГЕРОЕВ ХАСАНА: ул. Героев Хасана, 5. Телефон: +7 (342) 258-12-34.
-3. PEGAS TOURISTIK НА ЛЕНИНА: ул. Ленина, 57. Телефон: +7 (342) 258-25-83.
+  await store.saveKeywordIndex({ ...fresh, updatedAt: new Date().toISOString(), chunks });
+  return { size: Object.keys(chunks).length, missing };
+}
 
-При вопросе об офисах или адресах — ВСЕГДА называй все три офиса с адресами и телефонами.
+/**
+ * Чанки локальных документов: каждый файл — отдельный источник в манифесте
+ */
+async function collectDocuments() {
+  console.log(`\n📁 Документы из ${DOCS_DIR}...\n`);
+  const sources = [];
+
+  for (const doc of await loadDocuments(DOCS_DIR)) {
+    if (doc.error) {
+      console.warn(`  ⚠️  ${doc.path}: ${doc.error}`);
+      sources.push({ key: doc.key, failed: true, chunks: [] });
+      continue;
+    }
+    if (doc.expired) {
+      console.log(`  ⏭️  ${doc.path}: срок действия истёк (${doc.meta.expires})`);
+      sources.push({ key: doc.key, hash: doc.hash, chunks: [] });
+      continue;
+    }
 
-РЕЖИМ РАБОТЫ ОФИСОВ (пермское время, MSK+2):
-Понедельник–Пятница: с 10:00 до 19:00
-Суббота: с 12:00 до 16:00
-Воскресенье: выходной
+    const chunks = chunkText(doc.text);
+    const slug = `doc-${doc.path.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9а-яА-ЯёЁ_-]+/g, '-')}`;
 
-ОН-ЛАЙН ОФИС (отвечаем в мессенджерах и ВКонтакте):
-Будни: с 19:00 до 22:00
-Выходные: с 12:00 до 22:00`,
+    const docChunks = chunks.map(chunk => ({
+      id: `${slug}-${hash(chunk).slice(0, 12)}`,
+      text: chunk,
       metadata: {
-        text: `Офисы турагентства "Планета" в Перми — три офиса: Екатерининская 96 (255-44-43), Героев Хасана 5 / Anex Tour (258-12-34), Ленина 57 / Pegas Touristik (258-25-83). Режим работы: пн-пт 10-19, сб 12-16, вс выходной. Онлайн-офис: будни 19-22, выходные 12-22.`,
-        source_url: 'https://planetaperm.ru/contacts/',
-        page_title: 'Офисы, контакты и режим работы Планета Пермь',
-        content_type: 'contacts'
+        // Краткая версия из front-matter — для документов из одного чанка
+        text: chunks.length === 1 && doc.meta.summary ? doc.meta.summary : chunk,
+        source_url: doc.meta.source_url,
+        page_title: doc.meta.title,
+        content_type: doc.meta.content_type,
+        // Pinecone не принимает null в метаданных — поле только при заданном сроке
+        ...(doc.meta.expires ? { expires_at: doc.meta.expires } : {})
       }
-    }
-  ];
+    }));
 
-  // 5. Парсим страницы
-  console.log('\n📄 Парсинг страниц...\n');
+    sources.push({ key: doc.key, hash: doc.hash, chunks: docChunks });
+    console.log(`  ✅ ${doc.path} [${doc.meta.content_type}]: ${docChunks.length} чанков (${doc.text.length} символов)`);
+  }
+
+  return sources;
+}
 
-  for (const page of URLS) {
+/**
+ * Собрать чанки всех источников: локальные документы и страницы сайта (sitemap.xml + обход ссылок)
+ * @returns {Promise<{sources: Array<{key, hash, chunks: Array<{id, text, metadata}>, failed?: boolean}>, crawlComplete: boolean}>}
+ *   failed — страницу или файл не удалось загрузить: их чанки из прошлого запуска не трогаем;
+ *   crawlComplete — обход сайта не упёрся в лимит и обошёлся без ошибок (иначе пропавшие страницы не удаляем)
+ */
+async function collectSources() {
+  const sources = await collectDocuments();
+
+  console.log(`\n📄 Обход сайта ${SITE_URL} (глубина ${MAX_DEPTH}, до ${MAX_PAGES} страниц)...\n`);
+
+  const { pages, failed, skipped, limitReached, complete } = await crawlSite({
+    siteUrl: SITE_URL,
+    seeds: SEED_PAGES,
+    include: INCLUDE,
+    exclude: EXCLUDE,
+    maxDepth: MAX_DEPTH,
+    maxPages: MAX_PAGES,
+    delayMs: REQUEST_DELAY_MS
+  });
+
+  // Сайт недоступен целиком — иначе все его страницы посчитались бы удалёнными
+  if (pages.length === 0) {
+    throw new Error(`Не удалось скачать ни одной страницы ${SITE_URL}`);
+  }
 
-    console.log(`  🌐 ${page.url}`);
+  console.log(`\n  📑 Найдено страниц: ${pages.length}, не загрузились: ${failed.length}, пропущено: ${skipped.length}`);
+  if (!complete) {
+    console.warn(`  ⚠️  Обход неполный (${limitReached ? `лимит ${MAX_PAGES} страниц` : 'есть незагруженные страницы'}): страницы прошлого запуска, до которых не дошли, не удаляем`);
+  }
+  for (const { url, reason } of skipped) {
+    console.log(`    ⏭️  ${url} (${reason})`);
+  }
 
-    const html = await fetchPage(page.url);
-    if (!html) continue;
+  for (const url of failed) {
+    sources.push({ key: url, failed: true, chunks: [] });
+  }
 
-    const { title, text } = extractText(html, page.url);
+  for (const page of pages) {
+    const { title, text } = extractText(page.html, page.url);
 
     if (text.length < 50) {
-      console.log(`    ⏭️  Мало текста (${text.length} символов), пропускаем`);
+      console.log(`  ⏭️  ${page.url}: мало текста (${text.length} символов), пропускаем`);
+      sources.push({ key: page.url, hash: hash(text), chunks: [] });
       continue;
     }
 
     const chunks = chunkText(text);
     const slug = urlToSlug(page.url);
-
-    for (let i = 0; i < chunks.length; i++) {
-      allChunks.push({
-        id: `${slug}-${i}`,
-        text: chunks[i],
+    const pageChunks = new Map();
+
+    // ID по содержимому: вставка абзаца в начало страницы не меняет ID остальных чанков
+    for (const chunk of chunks) {
+      const id = `${slug}-${hash(chunk).slice(0, 12)}`;
+      pageChunks.set(id, {
+        id,
+        text: chunk,
         metadata: {
-          text: chunks[i],
+          text: chunk,
           source_url: page.url,
           page_title: title,
           content_type: page.type
@@ -277,43 +374,213 @@ async function main() {
       });
     }
 
-    console.log(`    ✅ ${chunks.length} чанков (${text.length} символов)`);
+    sources.push({ key: page.url, hash: hash(`${title}\n${page.type}\n${text}`), chunks: [...pageChunks.values()] });
+    console.log(`  ✅ ${page.url} [${page.type}]: ${pageChunks.size} чанков (${text.length} символов)`);
+  }
+
+  return { sources, crawlComplete: complete };
+}
+
+/**
+ * Прошлое состояние из хранилища — когда манифеста нет или ему не доверяем (--full).
+ * Хешей там нет, поэтому все текущие чанки считаются изменёнными, а лишние записи — удалёнными
+ */
+async function manifestFromStore(store) {
+  const records = await store.list();
+  const chunks = Object.fromEntries(records.map(record => [record.id, null]));
+  return { fromStore: true, sources: { '(хранилище)': { hash: null, chunks } } };
+}
+
+/**
+ * Сравнить текущие источники с манифестом
+ * @param {boolean} crawlComplete - обход сайта полный; если нет, страницы прошлого запуска, которых нет в обходе,
+ *   переносятся как есть (как недоступные), а не удаляются
+ * @returns {{upsert: Array, remove: string[], unchanged: number, manifest: Object, report: Array}}
+ */
+function diffSources(sources, previous, reembedAll, crawlComplete = true) {
+  const upsert = [];
+  const remove = [];
+  let unchanged = 0;
+  const report = [];
+  const manifest = { store: config.vectorStore.provider, embedding: embeddingSignature(), updatedAt: null, sources: {} };
+
+  // Все чанки прошлого запуска: id → хеш
+  const previousChunks = new Map();
+  for (const entry of Object.values(previous.sources)) {
+    for (const [id, chunkHashValue] of Object.entries(entry.chunks)) {
+      previousChunks.set(id, chunkHashValue);
+    }
+  }
+  const keep = new Set();
+
+  for (const source of sources) {
+    const before = previous.sources[source.key];
+
+    // Страница не загрузилась — оставляем как было
+    if (source.failed) {
+      if (before) {
+        manifest.sources[source.key] = before;
+        Object.keys(before.chunks).forEach(id => keep.add(id));
+        report.push({ key: source.key, status: 'недоступна, оставлена как была', added: 0, unchanged: Object.keys(before.chunks).length, removed: 0 });
+      }
+      continue;
+    }
+
+    const entry = { hash: source.hash, chunks: {} };
+    let added = 0;
+    let same = 0;
+    for (const chunk of source.chunks) {
+      const value = chunkHash(chunk);
+      entry.chunks[chunk.id] = value;
+      keep.add(chunk.id);
+      if (!reembedAll && previousChunks.get(chunk.id) === value) {
+        same++;
+      } else {
+        upsert.push(chunk);
+        added++;
+      }
+    }
+    unchanged += same;
+    manifest.sources[source.key] = entry;
+
+    const removed = before ? Object.keys(before.chunks).filter(id => !(id in entry.chunks)).length : 0;
+    const status = !before ? 'новая' : before.hash === source.hash && added === 0 && removed === 0 ? 'без изменений' : 'изменена';
+    report.push({ key: source.key, status, added, unchanged: same, removed });
+  }
+
+  // Обход неполный — страница могла не попасть в него из-за лимита или упавшей страницы-раздела, а не исчезнуть с сайта
+  if (!crawlComplete && !previous.fromStore) {
+    for (const [key, before] of Object.entries(previous.sources)) {
+      if (!/^https?:\/\//.test(key) || sources.some(source => source.key === key)) continue;
+      manifest.sources[key] = before;
+      Object.keys(before.chunks).forEach(id => keep.add(id));
+      report.push({ key, status: 'не обойдена, оставлена как была', added: 0, unchanged: Object.keys(before.chunks).length, removed: 0 });
+    }
+  }
+
+  // Сверка с хранилищем без манифеста: не понять, какие записи — страницы, до которых обход не дошёл, поэтому ничего не удаляем
+  const canRemove = crawlComplete || !previous.fromStore;
+  for (const id of previousChunks.keys()) {
+    if (!keep.has(id) && canRemove) remove.push(id);
+  }
+
+  // Источники, которых больше нет в списке
+  if (!previous.fromStore) {
+    for (const [key, entry] of Object.entries(previous.sources)) {
+      if (!(key in manifest.sources)) {
+        report.push({ key, status: 'удалена', added: 0, unchanged: 0, removed: Object.keys(entry.chunks).length });
+      }
+    }
+  }
+
+  return { upsert, remove, unchanged, manifest, report };
+}
 
-    // Задержка между запросами
-    await new Promise(r => setTimeout(r, 1000));
+// ============================================
+// Основная функция
+// ============================================
+
+async function main() {
+  console.log(`🚀 Индексация сайта ${SITE_URL} (хранилище: ${config.vectorStore.provider})${DRY_RUN ? ' — dry run' : ''}\n`);
+
+  // 1. Проверяем ключи
+  if (!DRY_RUN && config.llm.embeddingProvider === 'openai' && !process.env.OPENAI_API_KEY) {
+    console.error('❌ OPENAI_API_KEY не настроен в .env!');
+    process.exit(1);
   }
 
-  console.log(`\n📦 Всего чанков: ${allChunks.length}`);
+  // 2. Подключаемся к хранилищу векторов (VECTOR_STORE: pinecone, pgvector, file)
+  console.log('📌 Подключение к хранилищу векторов...');
+  let store;
+  try {
+    store = createVectorStore();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // 3. Прошлое состояние: манифест или, если его нет, записи самого хранилища
+  const manifest = FULL ? null : await loadManifest();
+  const previous = manifest || await manifestFromStore(store);
+  const reembedAll = Boolean(manifest && manifest.embedding !== embeddingSignature());
+  if (!manifest) {
+    console.log(`  ℹ️  Манифест ${FULL ? 'не используется (--full)' : 'не найден'} — сверяем с содержимым хранилища`);
+  } else if (reembedAll) {
+    console.log(`  ⚠️  Сменилась модель эмбеддингов (${manifest.embedding} → ${embeddingSignature()}) — пересчитываем все векторы`);
+  }
+
+  // 4. Собираем ручные чанки и страницы
+  const { sources, crawlComplete } = await collectSources();
+  const { upsert, remove, unchanged, manifest: nextManifest, report } = diffSources(sources, previous, reembedAll, crawlComplete);
+
+  // 5. Отчёт о различиях
+  console.log('\n📋 Изменения:');
+  for (const item of report) {
+    console.log(`  ${item.key}: ${item.status} (+${item.added}, =${item.unchanged}, -${item.removed})`);
+  }
+  console.log(`\n📦 Новых и изменённых чанков: ${upsert.length}, без изменений: ${unchanged}, к удалению: ${remove.length}`);
+
+  if (DRY_RUN) {
+    for (const chunk of upsert) console.log(`  + ${chunk.id}`);
+    for (const id of remove) console.log(`  - ${id}`);
+    console.log('\n🔎 Dry run: эмбеддинги не считались, хранилище, манифест и ключевой индекс не изменены');
+    await store.close();
+    return;
+  }
 
-  if (allChunks.length === 0) {
+  const totalChunks = Object.values(nextManifest.sources).reduce((sum, entry) => sum + Object.keys(entry.chunks).length, 0);
+  if (totalChunks === 0) {
     console.error('❌ Нет данных для индексации!');
     process.exit(1);
   }
 
-  // 5. Генерируем эмбеддинги
-  console.log('\n🧠 Генерация эмбеддингов...');
-  const texts = allChunks.map(c => c.text);
-  const embeddings = await generateEmbeddings(texts);
+  // 6. Эмбеддинги и загрузка — только новые и изменённые чанки.
+  // Сначала загружаем, потом удаляем: база знаний не бывает пустой во время переиндексации
+  if (upsert.length > 0) {
+    console.log('\n🧠 Генерация эмбеддингов...');
+    const embeddings = await generateEmbeddings(upsert.map(c => c.text));
 
-  // 6. Загружаем в Pinecone
-  console.log('\n📤 Загрузка в Pinecone...');
+    console.log(`\n📤 Загрузка в ${store.name}...`);
 
-  const UPSERT_BATCH = 100;
-  for (let i = 0; i < allChunks.length; i += UPSERT_BATCH) {
-    const batch = allChunks.slice(i, i + UPSERT_BATCH).map((chunk, j) => ({
-      id: chunk.id,
-      values: embeddings[i + j],
-      metadata: chunk.metadata
-    }));
+    const UPSERT_BATCH = 100;
+    for (let i = 0; i < upsert.length; i += UPSERT_BATCH) {
+      const batch = upsert.slice(i, i + UPSERT_BATCH).map((chunk, j) => ({
+        id: chunk.id,
+        values: embeddings[i + j],
+        metadata: chunk.metadata
+      }));
+
+      await store.upsert(batch);
+      console.log(`  ✅ Загружено ${Math.min(i + UPSERT_BATCH, upsert.length)}/${upsert.length} векторов`);
+    }
+  }
 
-    await index.namespace(NAMESPACE).upsert({ records: batch });
-    console.log(`  ✅ Загружено ${Math.min(i + UPSERT_BATCH, allChunks.length)}/${allChunks.length} векторов`);
+  // 7. Удаляем векторы чанков, которых больше нет
+  if (remove.length > 0) {
+    console.log(`\n🗑️  Удаление ${remove.length} устаревших векторов...`);
+    await store.delete(remove);
+  }
+
+  nextManifest.updatedAt = new Date().toISOString();
+  await saveManifest(nextManifest);
+
+  // 8. Ключевой индекс — целиком, по всем актуальным чанкам (он маленький, эмбеддинги не нужны).
+  // Pinecone хранит только векторы с метаданными — там бот строит индекс сам из текста чанков
+  const keywordIndex = store.keywordIndexFromMetadata
+    ? { size: Object.values(nextManifest.sources).reduce((sum, entry) => sum + Object.keys(entry.chunks).length, 0), missing: 0 }
+    : await saveKeywordIndex(store, sources, nextManifest);
+  if (keywordIndex.missing > 0) {
+    console.warn(`  ⚠️  В ключевой индекс не попали ${keywordIndex.missing} чанков недоступных страниц — они найдутся при следующей индексации`);
   }
 
   console.log('\n🎉 Индексация завершена!');
-  console.log(`   📊 Страниц спарсено: ${URLS.length}`);
-  console.log(`   📦 Чанков создано: ${allChunks.length}`);
-  console.log(`   💾 Индекс: ${INDEX_NAME} / Namespace: ${NAMESPACE}`);
+  console.log(`   📊 Источников: ${sources.length}`);
+  console.log(`   📦 Загружено: ${upsert.length}, без изменений: ${unchanged}, удалено: ${remove.length}`);
+  console.log(`   💾 Хранилище: ${store.name} / Namespace: ${config.vectorStore.namespace}`);
+  console.log(`   🧾 Манифест: ${MANIFEST_PATH}`);
+  console.log(`   🔤 Ключевой индекс: ${keywordIndex.size} чанков (${store.keywordIndexFromMetadata ? 'строится ботом из метаданных' : `в хранилище ${store.name}`})`);
+
+  await store.close();
 }
 
 main().catch(error => {
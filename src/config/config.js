@@ -6,12 +6,127 @@ export const config = {
   vk: {
     accessToken: process.env.VK_ACCESS_TOKEN,
     groupId: process.env.VK_GROUP_ID || '233537605',
-    apiVersion: process.env.VK_API_VERSION || '5.199'
+    apiVersion: process.env.VK_API_VERSION || '5.199',
+    confirmationCode: process.env.VK_CONFIRMATION_CODE || '',
+    // Секретный ключ из настроек Callback API (приходит в поле secret каждого события)
+    secretKey: process.env.VK_SECRET_KEY,
+    // Без секрета Callback API события не принимаются; true — принимать неподписанные (только для локальной отладки)
+    allowUnsigned: process.env.VK_ALLOW_UNSIGNED === 'true',
+    // Сколько часов помнить обработанные event_id (защита от повторной доставки)
+    eventTtlHours: parseInt(process.env.VK_EVENT_TTL_HOURS) || 24,
+    // Способ получения событий: 'callback' (webhook) или 'longpoll' (без публичного URL)
+    transport: process.env.VK_TRANSPORT || 'callback',
+    longPollWait: parseInt(process.env.VK_LONGPOLL_WAIT) || 25
   },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
   },
+  llm: {
+    // Цепочка провайдеров чата: первый — основной, остальные — fallback по порядку
+    chain: (process.env.LLM_PROVIDERS || 'openai').split(',').map(name => name.trim()).filter(Boolean),
+    // Провайдер эмбеддингов — один, без fallback (векторы разных моделей несовместимы)
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
+    providers: {
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL,
+        chatModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+        // Модели для вложений: картинки и голосовые (без модели провайдер их не обрабатывает)
+        visionModel: process.env.VISION_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        transcriptionModel: process.env.STT_MODEL || 'whisper-1'
+      },
+      // Любой OpenAI-совместимый сервер: Ollama, vLLM, LM Studio
+      local: {
+        type: 'openai',
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+        chatModel: process.env.LOCAL_LLM_MODEL || 'qwen2.5:7b-instruct',
+        embeddingModel: process.env.LOCAL_EMBEDDING_MODEL,
+        visionModel: process.env.LOCAL_VISION_MODEL,
+        transcriptionModel: process.env.LOCAL_STT_MODEL,
+        supportsTools: process.env.LOCAL_LLM_TOOLS !== 'false'
+      },
+      yandexgpt: {
+        type: 'yandexgpt',
+        apiKey: process.env.YANDEX_API_KEY,
+        folderId: process.env.YANDEX_FOLDER_ID,
+        chatModel: process.env.YANDEX_MODEL || 'yandexgpt/latest',
+        embeddingModel: process.env.YANDEX_EMBEDDING_MODEL || 'text-search-query/latest'
+      },
+      gigachat: {
+        type: 'gigachat',
+        authKey: process.env.GIGACHAT_AUTH_KEY,
+        scope: process.env.GIGACHAT_SCOPE || 'GIGACHAT_API_PERS',
+        chatModel: process.env.GIGACHAT_MODEL || 'GigaChat-Pro',
+        embeddingModel: process.env.GIGACHAT_EMBEDDING_MODEL || 'Embeddings'
+      }
+    }
+  },
+  ai: {
+    // Агентный цикл: сколько раундов вызова инструментов подряд допускаем
+    maxToolRounds: parseInt(process.env.AI_MAX_TOOL_ROUNDS) || 3,
+    // Таймаут одного инструмента и общий дедлайн ответа (мс)
+    toolTimeoutMs: parseInt(process.env.AI_TOOL_TIMEOUT_MS) || 15000,
+    deadlineMs: parseInt(process.env.AI_DEADLINE_MS) || 45000,
+    // Время, которое оставляем на финальный ответ модели без инструментов
+    finalAnswerReserveMs: 10000
+  },
+  intent: {
+    // Порог уверенности, с которого считаем, что клиент просит менеджера
+    threshold: parseFloat(process.env.INTENT_THRESHOLD) || 0.7,
+    // Неоднозначные случаи (от ambiguousFrom до threshold) досылаем в LLM
+    ambiguousFrom: 0.3,
+    useLlm: process.env.INTENT_USE_LLM !== 'false'
+  },
+  faq: {
+    // Доля слов сообщения, покрытых ключевыми фразами, с которой отвечаем из FAQ без LLM
+    minScore: parseFloat(process.env.FAQ_MIN_SCORE) || 0.75,
+    // Длинные сообщения — почти всегда больше, чем частый вопрос: их отдаём LLM
+    maxWords: 8
+  },
+  knowledgeGaps: {
+    // Найденный в базе знаний ответ со скором ниже — тоже пробел (слабое совпадение)
+    weakScore: parseFloat(process.env.KNOWLEDGE_GAP_WEAK_SCORE) || 0.45,
+    // Насколько похожи вопросы, чтобы попасть в одну группу отчёта
+    clusterSimilarity: 0.5
+  },
+  history: {
+    // Бюджет токенов на историю диалога (сводка + свежие сообщения)
+    tokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET) || 3000,
+    // При переполнении сжимаем до этой доли бюджета, чтобы не суммаризировать каждый ход
+    compressTarget: 0.6,
+    // Минимум свежих сообщений, которые всегда идут как есть
+    minRecentMessages: 4,
+    // Сколько несжатых сообщений максимум читать из БД
+    maxFetch: 200
+  },
+  attachments: {
+    // Провайдеры: 'llm' — цепочка config.llm.chain (модели visionModel / transcriptionModel), 'stub' для локальных тестов
+    sttProvider: process.env.STT_PROVIDER || 'llm',
+    visionProvider: process.env.VISION_PROVIDER || 'llm',
+    // Голосовые длиннее этого не распознаём (секунды)
+    maxVoiceDuration: parseInt(process.env.MAX_VOICE_DURATION) || 180
+  },
+  currency: {
+    // Источник курсов для перевода бюджета в рубли: 'cbr' (курсы ЦБ) или 'fixture' (локальный JSON)
+    ratesProvider: process.env.EXCHANGE_RATES_PROVIDER || 'cbr',
+    cbrUrl: process.env.CBR_RATES_URL || 'https://www.cbr-xml-daily.ru/daily_json.js',
+    fixturePath: process.env.EXCHANGE_RATES_FIXTURE || new URL('../data/exchangeRates.json', import.meta.url),
+    // Курсы кешируем, ЦБ обновляет их раз в день
+    cacheHours: 12,
+    // Источник недоступен — повторяем запрос не раньше чем через столько минут
+    retryMinutes: 10
+  },
+  queue: {
+    // Дебаунс: ждём столько мс после последнего сообщения клиента и склеиваем всё в одно (0 — без ожидания)
+    debounceMs: Number.isFinite(parseInt(process.env.MESSAGE_DEBOUNCE_MS)) ? parseInt(process.env.MESSAGE_DEBOUNCE_MS) : 2000,
+    pollIntervalMs: 500,
+    maxAttempts: 3,
+    retryDelayMs: 30000
+  },
   postgres: {
     // Если есть DATABASE_URL (Railway/Heroku) - используем его
     // Иначе используем отдельные переменные (локальная разработка)
@@ -24,7 +139,14 @@ export const config = {
   },
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
-    chatId: process.env.TELEGRAM_CHAT_ID || '-4851482920'
+    chatId: process.env.TELEGRAM_CHAT_ID || '-4851482920',
+    // Ответы менеджеров на уведомление уходят клиенту в ВК, сообщения клиента дублируются в ветку
+    relay: process.env.TELEGRAM_RELAY !== 'false'
+  },
+  travelpayouts: {
+    // Aviasales + Hotellook, marker — наш партнёрский ID для deeplink-ов
+    token: process.env.TRAVELPAYOUTS_TOKEN,
+    marker: process.env.TRAVELPAYOUTS_MARKER
   },
   serpapi: {
     apiKey: process.env.SERPAPI_KEY
@@ -36,11 +158,58 @@ export const config = {
     apiKey: process.env.PINECONE_API_KEY,
     indexName: process.env.PINECONE_INDEX_NAME || 'planeta-kb'
   },
+  vectorStore: {
+    // Хранилище базы знаний для бота и индексатора: 'pinecone', 'pgvector' (PostgreSQL бота) или 'file' (разработка)
+    provider: process.env.VECTOR_STORE || 'pinecone',
+    namespace: 'planeta-kb',
+    filePath: process.env.VECTOR_STORE_FILE || new URL('../../data/vectors.json', import.meta.url)
+  },
+  knowledgeBase: {
+    // Чанк релевантен, если косинусная близость не ниже minScore или ключевой скор не ниже minKeywordScore
+    minScore: parseFloat(process.env.KB_MIN_SCORE) || 0.3,
+    minKeywordScore: parseFloat(process.env.KB_MIN_KEYWORD_SCORE) || 0.5,
+    // Сколько кандидатов берём из векторного и из ключевого поиска перед слиянием
+    candidates: 20,
+    // Веса слияния (0 — выключить вид поиска; пустое значение — вес по умолчанию)
+    vectorWeight: parseFloat(process.env.KB_VECTOR_WEIGHT || 0.6),
+    keywordWeight: parseFloat(process.env.KB_KEYWORD_WEIGHT || 0.4),
+    // Переранжирование: прибавка за фразы запроса в тексте и слова запроса в заголовке
+    rerank: process.env.KB_RERANK !== 'false',
+    phraseBoost: 0.15,
+    titleBoost: 0.1,
+    // Ссылки "Подробнее" в ответах: только страницы своего сайта (ссылки на сайты бронирования запрещены)
+    citationDomain: process.env.KB_CITATION_DOMAIN || 'planetaperm.ru',
+    maxCitations: 2,
+    // Ссылку ставим, только если ответ опирается на найденный чанк: столько его значимых слов должно быть в ответе
+    citationMinOverlap: 3,
+    // Ключевой индекс (BM25) лежит в хранилище векторов (pgvector — таблица kb_keyword_index, Pinecone — метаданные чанков).
+    // Файл — только для VECTOR_STORE=file
+    keywordIndexPath: process.env.KB_KEYWORD_INDEX
+      || new URL(`../../data/keyword-index.${process.env.VECTOR_STORE || 'pinecone'}.json`, import.meta.url),
+    // Как часто бот проверяет, не переиндексировали ли базу знаний (минуты)
+    keywordIndexCheckMinutes: 5
+  },
+  hotTours: {
+    // Страница горящих туров: бот разбирает её в таблицу hot_tours и обновляет по расписанию
+    enabled: process.env.HOT_TOURS_ENABLED !== 'false',
+    url: process.env.HOT_TOURS_URL || 'https://planetaperm.ru/hot/',
+    refreshMinutes: parseInt(process.env.HOT_TOURS_REFRESH_MINUTES) || 60,
+    // Город вылета, если в карточке тура его нет
+    departureCity: 'Пермь',
+    // Цена "за тур" на странице — на двоих взрослых (для сравнения с бюджетом на человека)
+    tourPriceFor: 2,
+    // Допуски подбора: дата вылета ± дней, ночей ±
+    dateFlexDays: 3,
+    nightsFlex: 2,
+    limit: 5
+  },
   uon: {
     apiKey: process.env.UON_API_KEY
   },
   server: {
     port: parseInt(process.env.PORT) || 3000,
-    webhookPath: process.env.WEBHOOK_PATH || '/vk'
+    webhookPath: process.env.WEBHOOK_PATH || '/vk',
+    // Токен для служебных эндпоинтов /admin/* (без него они отключены)
+    adminToken: process.env.ADMIN_TOKEN
   }
 };
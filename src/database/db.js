@@ -3,24 +3,31 @@ import { config } from '../config/config.js';
 
 const { Pool } = pg;
 
+/**
+ * Новый пул соединений с PostgreSQL из config.postgres
+ * (отдельный пул нужен тем, кто закрывает его сам, — например, хранилищу векторов в индексаторе)
+ */
+export function createPool() {
+  // Если есть DATABASE_URL - используем его (Railway/Heroku)
+  // Иначе используем отдельные параметры (локальная разработка)
+  if (config.postgres.connectionString) {
+    return new Pool({
+      connectionString: config.postgres.connectionString,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+  return new Pool({
+    host: config.postgres.host,
+    port: config.postgres.port,
+    database: config.postgres.database,
+    user: config.postgres.user,
+    password: config.postgres.password
+  });
+}
+
 class Database {
   constructor() {
-    // Если есть DATABASE_URL - используем его (Railway/Heroku)
-    // Иначе используем отдельные параметры (локальная разработка)
-    if (config.postgres.connectionString) {
-      this.pool = new Pool({
-        connectionString: config.postgres.connectionString,
-        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-      });
-    } else {
-      this.pool = new Pool({
-        host: config.postgres.host,
-        port: config.postgres.port,
-        database: config.postgres.database,
-        user: config.postgres.user,
-        password: config.postgres.password
-      });
-    }
+    this.pool = createPool();
   }
 
   /**
@@ -50,6 +57,94 @@ class Database {
           message_id VARCHAR(255) PRIMARY KEY,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         );
+
+        CREATE TABLE IF NOT EXISTS processed_events (
+          event_key VARCHAR(255) PRIMARY KEY,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_processed_events_created_at ON processed_events(created_at);
+
+        CREATE TABLE IF NOT EXISTS message_jobs (
+          id SERIAL PRIMARY KEY,
+          peer_id VARCHAR(255) NOT NULL,
+          text TEXT NOT NULL,
+          user_data JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          run_after TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_message_jobs_peer_status ON message_jobs(peer_id, status);
+
+        CREATE TABLE IF NOT EXISTS lead_qualification (
+          peer_id VARCHAR(255) PRIMARY KEY,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS conversation_summaries (
+          peer_id VARCHAR(255) PRIMARY KEY,
+          summary TEXT NOT NULL,
+          last_message_id INTEGER NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS bot_state (
+          key VARCHAR(255) PRIMARY KEY,
+          value TEXT,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS faq_entries (
+          id SERIAL PRIMARY KEY,
+          question TEXT NOT NULL,
+          keywords JSONB NOT NULL,
+          answer TEXT NOT NULL,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS faq_hits (
+          id SERIAL PRIMARY KEY,
+          faq_id INTEGER NOT NULL,
+          peer_id VARCHAR(255) NOT NULL,
+          message TEXT NOT NULL,
+          score REAL NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_faq_hits_faq_id ON faq_hits(faq_id);
+
+        CREATE TABLE IF NOT EXISTS knowledge_gaps (
+          id SERIAL PRIMARY KEY,
+          peer_id VARCHAR(255),
+          query TEXT NOT NULL,
+          source VARCHAR(32) NOT NULL,
+          reason VARCHAR(32) NOT NULL,
+          best_score REAL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_knowledge_gaps_created_at ON knowledge_gaps(created_at);
+
+        CREATE TABLE IF NOT EXISTS hot_tours (
+          id SERIAL PRIMARY KEY,
+          destination VARCHAR(255) NOT NULL,
+          hotel VARCHAR(255),
+          stars SMALLINT,
+          departure_city VARCHAR(100),
+          departure_date DATE NOT NULL,
+          nights SMALLINT,
+          price INTEGER NOT NULL,
+          price_per_person BOOLEAN DEFAULT FALSE,
+          url TEXT,
+          fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_hot_tours_departure_date ON hot_tours(departure_date);
       `);
 
       console.log('База данных инициализирована');
@@ -100,7 +195,63 @@ class Database {
   }
 
   /**
-   * Очистить старую историю (старше N дней)
+   * Получить сообщения чата после указанного id (в хронологическом порядке)
+   * @param {number} afterId - id последнего уже учтённого сообщения (0 — с начала)
+   * @param {number} limit - максимум сообщений (берутся самые ранние — следующая страница идёт после id последнего)
+   * @returns {Promise<Array<{id, role, content}>>}
+   */
+  async getMessagesAfter(peerId, afterId = 0, limit = 200) {
+    try {
+      const result = await this.pool.query(
+        `SELECT id, role, content
+         FROM chat_history
+         WHERE peer_id = $1 AND id > $2
+         ORDER BY id ASC
+         LIMIT $3`,
+        [peerId, afterId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Ошибка получения сообщений чата:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Получить краткое содержание ранней части диалога
+   * @returns {Promise<{summary: string, lastMessageId: number}|null>}
+   */
+  async getConversationSummary(peerId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT summary, last_message_id FROM conversation_summaries WHERE peer_id = $1',
+        [peerId]
+      );
+      if (result.rows.length === 0) return null;
+      return { summary: result.rows[0].summary, lastMessageId: result.rows[0].last_message_id };
+    } catch (error) {
+      console.error('Ошибка получения сводки диалога:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Сохранить краткое содержание диалога (покрывает сообщения до lastMessageId включительно)
+   */
+  async saveConversationSummary(peerId, summary, lastMessageId) {
+    try {
+      await this.pool.query(
+        `INSERT INTO conversation_summaries (peer_id, summary, last_message_id) VALUES ($1, $2, $3)
+         ON CONFLICT (peer_id) DO UPDATE SET summary = $2, last_message_id = $3, updated_at = CURRENT_TIMESTAMP`,
+        [peerId, summary, lastMessageId]
+      );
+    } catch (error) {
+      console.error('Ошибка сохранения сводки диалога:', error.message);
+    }
+  }
+
+  /**
+   * Очистить старую историю (старше N дней) и необработанные сообщения очереди за тот же срок
    */
   async cleanOldHistory(daysToKeep = 30) {
     try {
@@ -108,6 +259,9 @@ class Database {
       await this.pool.query(
         `DELETE FROM chat_history WHERE created_at < NOW() - INTERVAL '${intervalString}'`
       );
+      await this.pool.query(
+        `DELETE FROM message_jobs WHERE status = 'failed' AND created_at < NOW() - INTERVAL '${intervalString}'`
+      );
       console.log(`Очищена история старше ${daysToKeep} дней`);
     } catch (error) {
       console.error('Ошибка очистки истории:', error.message);
@@ -205,6 +359,446 @@ class Database {
     }
   }
 
+  /**
+   * Отметить событие VK как обработанное (идемпотентность ретраев Callback API)
+   * @param {string} eventKey - event_id события или составной ключ
+   * @param {number} ttlHours - сколько часов помнить событие
+   * @returns {Promise<boolean>} true если событие новое, false если уже обрабатывалось
+   */
+  async markEventProcessed(eventKey, ttlHours = 24) {
+    try {
+      // Просроченную запись перезаписываем — событие снова считается новым
+      const result = await this.pool.query(
+        `INSERT INTO processed_events (event_key) VALUES ($1)
+         ON CONFLICT (event_key) DO UPDATE SET created_at = CURRENT_TIMESTAMP
+         WHERE processed_events.created_at < NOW() - make_interval(hours => $2)
+         RETURNING event_key`,
+        [eventKey, ttlHours]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      // Лучше ответить дважды, чем потерять сообщение клиента
+      console.error('Ошибка дедупликации события:', error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Удалить записи об обработанных событиях старше TTL
+   */
+  async cleanProcessedEvents(ttlHours = 24) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM processed_events WHERE created_at < NOW() - make_interval(hours => $1)',
+        [ttlHours]
+      );
+      if (result.rowCount > 0) {
+        console.log(`🗑️  Удалено ${result.rowCount} старых записей дедупликации`);
+      }
+    } catch (error) {
+      console.error('Ошибка очистки дедупликации:', error.message);
+    }
+  }
+
+  /**
+   * Поставить сообщение клиента в очередь обработки
+   * @param {number} delayMs - дебаунс: через сколько мс сообщение можно обрабатывать
+   */
+  async enqueueMessage(peerId, text, userData, delayMs) {
+    try {
+      await this.pool.query(
+        `INSERT INTO message_jobs (peer_id, text, user_data, run_after)
+         VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+        [peerId, text, JSON.stringify(userData), delayMs / 1000]
+      );
+    } catch (error) {
+      console.error('Ошибка постановки сообщения в очередь:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Чаты, готовые к обработке: дебаунс последнего сообщения истёк и ничего не обрабатывается
+   * @returns {Promise<string[]>} Список peer_id
+   */
+  async getReadyMessagePeers() {
+    try {
+      const result = await this.pool.query(
+        `SELECT peer_id FROM message_jobs
+         GROUP BY peer_id
+         HAVING COUNT(*) FILTER (WHERE status = 'processing') = 0
+            AND MAX(run_after) FILTER (WHERE status = 'pending') <= NOW()`
+      );
+      return result.rows.map(row => row.peer_id);
+    } catch (error) {
+      console.error('Ошибка получения очереди сообщений:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Забрать все ожидающие сообщения чата в обработку
+   * @returns {Promise<Array<{id, text, userData, attempts}>>} Сообщения в порядке поступления
+   */
+  async claimMessages(peerId) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE message_jobs SET status = 'processing'
+         WHERE peer_id = $1 AND status = 'pending'
+         RETURNING id, text, user_data, attempts`,
+        [peerId]
+      );
+      return result.rows
+        .sort((a, b) => a.id - b.id)
+        .map(row => ({ id: row.id, text: row.text, userData: row.user_data, attempts: row.attempts }));
+    } catch (error) {
+      console.error('Ошибка захвата сообщений из очереди:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Удалить обработанные сообщения из очереди
+   */
+  async completeMessages(ids) {
+    try {
+      await this.pool.query('DELETE FROM message_jobs WHERE id = ANY($1::int[])', [ids]);
+    } catch (error) {
+      console.error('Ошибка завершения сообщений очереди:', error.message);
+    }
+  }
+
+  /**
+   * Вернуть сообщения в очередь после ошибки (повтор через retryDelayMs)
+   */
+  async retryMessages(ids, retryDelayMs) {
+    try {
+      await this.pool.query(
+        `UPDATE message_jobs
+         SET status = 'pending', attempts = attempts + 1, run_after = NOW() + make_interval(secs => $2)
+         WHERE id = ANY($1::int[])`,
+        [ids, retryDelayMs / 1000]
+      );
+    } catch (error) {
+      console.error('Ошибка возврата сообщений в очередь:', error.message);
+    }
+  }
+
+  /**
+   * Пометить сообщения как необработанные (исчерпаны попытки) — остаются в таблице для разбора до cleanOldHistory
+   */
+  async failMessages(ids) {
+    try {
+      await this.pool.query(
+        `UPDATE message_jobs SET status = 'failed', attempts = attempts + 1 WHERE id = ANY($1::int[])`,
+        [ids]
+      );
+    } catch (error) {
+      console.error('Ошибка пометки сообщений очереди как необработанных:', error.message);
+    }
+  }
+
+  /**
+   * После перезапуска вернуть «зависшие» в обработке сообщения в очередь.
+   * Прерванная обработка — тоже попытка: исчерпавшие maxAttempts помечаются как failed, а не повторяются бесконечно
+   * @returns {Promise<{restored: number, failed: Array<{peerId, text, userData}>}>} failed — сообщения, помеченные как необработанные
+   */
+  async resetProcessingMessages(maxAttempts) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE message_jobs
+         SET attempts = attempts + 1,
+             status = CASE WHEN attempts + 1 >= $1 THEN 'failed' ELSE 'pending' END
+         WHERE status = 'processing'
+         RETURNING id, peer_id, text, user_data, status`,
+        [maxAttempts]
+      );
+      const failed = result.rows
+        .filter(row => row.status === 'failed')
+        .sort((a, b) => a.id - b.id)
+        .map(row => ({ peerId: row.peer_id, text: row.text, userData: row.user_data }));
+      return { restored: result.rowCount - failed.length, failed };
+    } catch (error) {
+      console.error('Ошибка восстановления очереди сообщений:', error.message);
+      return { restored: 0, failed: [] };
+    }
+  }
+
+  /**
+   * Получить данные квалификации лида (направление, даты, состав, бюджет...)
+   * @returns {Promise<Object|null>} null если по чату ещё ничего не собрано
+   */
+  async getQualification(peerId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT data FROM lead_qualification WHERE peer_id = $1',
+        [peerId]
+      );
+      return result.rows.length > 0 ? result.rows[0].data : null;
+    } catch (error) {
+      console.error('Ошибка получения квалификации:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Сохранить данные квалификации лида
+   */
+  async saveQualification(peerId, data) {
+    try {
+      await this.pool.query(
+        `INSERT INTO lead_qualification (peer_id, data) VALUES ($1, $2)
+         ON CONFLICT (peer_id) DO UPDATE SET data = $2, updated_at = CURRENT_TIMESTAMP`,
+        [peerId, JSON.stringify(data)]
+      );
+    } catch (error) {
+      console.error('Ошибка сохранения квалификации:', error.message);
+    }
+  }
+
+  /**
+   * Получить служебное значение (например, ts Long Poll)
+   */
+  async getState(key) {
+    try {
+      const result = await this.pool.query(
+        'SELECT value FROM bot_state WHERE key = $1',
+        [key]
+      );
+      return result.rows.length > 0 ? result.rows[0].value : null;
+    } catch (error) {
+      console.error('Ошибка чтения состояния:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Сохранить служебное значение
+   */
+  async setState(key, value) {
+    try {
+      await this.pool.query(
+        'INSERT INTO bot_state (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP',
+        [key, value === null || value === undefined ? null : String(value)]
+      );
+    } catch (error) {
+      console.error('Ошибка сохранения состояния:', error.message);
+    }
+  }
+
+  /**
+   * Получить все записи FAQ
+   * @returns {Promise<Array<{id, question, keywords, answer, enabled}>>}
+   */
+  async getFaqEntries() {
+    try {
+      const result = await this.pool.query(
+        'SELECT id, question, keywords, answer, enabled FROM faq_entries ORDER BY id'
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Ошибка получения FAQ:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Добавить запись FAQ
+   * @returns {Promise<Object|null>} Созданная запись
+   */
+  async createFaqEntry({ question, keywords, answer, enabled = true }) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO faq_entries (question, keywords, answer, enabled) VALUES ($1, $2, $3, $4)
+         RETURNING id, question, keywords, answer, enabled`,
+        [question, JSON.stringify(keywords), answer, enabled]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Ошибка добавления FAQ:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Изменить запись FAQ (только переданные поля)
+   * @returns {Promise<Object|null>} Обновлённая запись или null, если не найдена
+   */
+  async updateFaqEntry(id, { question, keywords, answer, enabled }) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE faq_entries SET
+           question = COALESCE($2, question),
+           keywords = COALESCE($3, keywords),
+           answer = COALESCE($4, answer),
+           enabled = COALESCE($5, enabled),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, question, keywords, answer, enabled`,
+        [id, question ?? null, keywords ? JSON.stringify(keywords) : null, answer ?? null, enabled ?? null]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Ошибка изменения FAQ:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Удалить запись FAQ
+   * @returns {Promise<boolean>} true — запись была
+   */
+  async deleteFaqEntry(id) {
+    try {
+      const result = await this.pool.query('DELETE FROM faq_entries WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Ошибка удаления FAQ:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Записать срабатывание FAQ (для аналитики)
+   */
+  async recordFaqHit(faqId, peerId, message, score) {
+    try {
+      await this.pool.query(
+        'INSERT INTO faq_hits (faq_id, peer_id, message, score) VALUES ($1, $2, $3, $4)',
+        [faqId, peerId, message, score]
+      );
+    } catch (error) {
+      console.error('Ошибка записи срабатывания FAQ:', error.message);
+    }
+  }
+
+  /**
+   * Статистика срабатываний FAQ за последние N дней
+   * @returns {Promise<Array<{faqId, question, hits, lastHitAt}>>}
+   */
+  async getFaqStats(days = 30) {
+    try {
+      const result = await this.pool.query(
+        `SELECT f.id AS faq_id, f.question, COUNT(h.id)::int AS hits, MAX(h.created_at) AS last_hit_at
+         FROM faq_entries f
+         LEFT JOIN faq_hits h ON h.faq_id = f.id AND h.created_at > NOW() - INTERVAL '1 day' * $1
+         GROUP BY f.id, f.question
+         ORDER BY hits DESC, f.id`,
+        [days]
+      );
+      return result.rows.map(row => ({
+        faqId: row.faq_id,
+        question: row.question,
+        hits: row.hits,
+        lastHitAt: row.last_hit_at
+      }));
+    } catch (error) {
+      console.error('Ошибка получения статистики FAQ:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Записать вопрос, на который не нашлось ответа в базе знаний
+   * @param {{peerId, query, source, reason, bestScore}} gap
+   */
+  async recordKnowledgeGap({ peerId, query, source, reason, bestScore }) {
+    try {
+      await this.pool.query(
+        'INSERT INTO knowledge_gaps (peer_id, query, source, reason, best_score) VALUES ($1, $2, $3, $4, $5)',
+        [peerId ? String(peerId) : null, query, source, reason, bestScore ?? null]
+      );
+    } catch (error) {
+      console.error('Ошибка записи пробела в базе знаний:', error.message);
+    }
+  }
+
+  /**
+   * Пробелы в базе знаний за последние N дней (от старых к новым)
+   * @returns {Promise<Array<{peerId, query, source, reason, bestScore, createdAt}>>}
+   */
+  async getKnowledgeGaps(days = 30) {
+    try {
+      const result = await this.pool.query(
+        `SELECT peer_id, query, source, reason, best_score, created_at
+         FROM knowledge_gaps
+         WHERE created_at > NOW() - INTERVAL '1 day' * $1
+         ORDER BY created_at ASC`,
+        [days]
+      );
+      return result.rows.map(row => ({
+        peerId: row.peer_id,
+        query: row.query,
+        source: row.source,
+        reason: row.reason,
+        bestScore: row.best_score,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.error('Ошибка получения пробелов в базе знаний:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Заменить предложения горящих туров свежим списком (в одной транзакции — бот не увидит пустую таблицу)
+   * @param {Array<{destination, hotel, stars, departureCity, departureDate, nights, price, pricePerPerson, url}>} tours
+   * @returns {Promise<boolean>} получилось ли сохранить
+   */
+  async replaceHotTours(tours) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM hot_tours');
+      for (const tour of tours) {
+        await client.query(
+          `INSERT INTO hot_tours (destination, hotel, stars, departure_city, departure_date, nights, price, price_per_person, url)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [tour.destination, tour.hotel, tour.stars, tour.departureCity, tour.departureDate,
+            tour.nights, tour.price, tour.pricePerPerson, tour.url]
+        );
+      }
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('Ошибка сохранения горящих туров:', error.message);
+      return false;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Горящие туры с вылетом с сегодняшнего дня (по дате вылета)
+   * @returns {Promise<Array<{destination, hotel, stars, departureCity, departureDate, nights, price, pricePerPerson, url}>>}
+   */
+  async getHotTours() {
+    try {
+      const result = await this.pool.query(
+        `SELECT destination, hotel, stars, departure_city, departure_date::text AS departure_date,
+                nights, price, price_per_person, url
+         FROM hot_tours
+         WHERE departure_date >= CURRENT_DATE
+         ORDER BY departure_date ASC, price ASC`
+      );
+      return result.rows.map(row => ({
+        destination: row.destination,
+        hotel: row.hotel,
+        stars: row.stars,
+        departureCity: row.departure_city,
+        departureDate: row.departure_date,
+        nights: row.nights,
+        price: row.price,
+        pricePerPerson: row.price_per_person,
+        url: row.url
+      }));
+    } catch (error) {
+      console.error('Ошибка получения горящих туров:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Закрыть соединение с БД
    */
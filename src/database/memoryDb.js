@@ -11,6 +11,27 @@ class MemoryDatabase {
     this.pausedChats = new Map();
     // Set для отслеживания ID сообщений бота (чтобы отличить бота от менеджера)
     this.botMessageIds = new Set();
+    // Map для дедупликации событий VK: event_key -> время обработки (ms)
+    this.processedEvents = new Map();
+    // Map для служебных значений: key -> value (например, ts Long Poll)
+    this.state = new Map();
+    // Очередь сообщений на обработку: [{ id, peerId, text, userData, status, attempts, runAfter }]
+    this.messageJobs = [];
+    this.nextJobId = 1;
+    // Map для квалификации лидов: peer_id -> { destination, dates, people, ... }
+    this.qualifications = new Map();
+    // Map для сводок ранней части диалога: peer_id -> { summary, lastMessageId }
+    this.conversationSummaries = new Map();
+    this.nextMessageId = 1;
+    // Записи FAQ: [{ id, question, keywords, answer, enabled }]
+    this.faqEntries = [];
+    this.nextFaqId = 1;
+    // Срабатывания FAQ: [{ faqId, peerId, message, score, createdAt }]
+    this.faqHits = [];
+    // Вопросы без ответа в базе знаний: [{ peerId, query, source, reason, bestScore, createdAt }]
+    this.knowledgeGaps = [];
+    // Горящие туры со страницы /hot/: [{ destination, hotel, stars, departureCity, departureDate, nights, price, pricePerPerson, url }]
+    this.hotTours = [];
     console.log('💾 Используется In-Memory база данных (данные не сохраняются при перезапуске)');
   }
 
@@ -33,6 +54,7 @@ class MemoryDatabase {
 
       const messages = this.chatHistory.get(peerId);
       messages.push({
+        id: this.nextMessageId++,
         role,
         content,
         timestamp: new Date()
@@ -70,6 +92,32 @@ class MemoryDatabase {
     }
   }
 
+  /**
+   * Получить сообщения чата после указанного id (в хронологическом порядке, самые ранние limit штук)
+   */
+  async getMessagesAfter(peerId, afterId = 0, limit = 200) {
+    const messages = this.chatHistory.get(peerId) || [];
+    return messages
+      .filter(msg => msg.id > afterId)
+      .slice(0, limit)
+      .map(({ id, role, content }) => ({ id, role, content }));
+  }
+
+  /**
+   * Получить краткое содержание ранней части диалога
+   */
+  async getConversationSummary(peerId) {
+    const stored = this.conversationSummaries.get(peerId);
+    return stored ? { ...stored } : null;
+  }
+
+  /**
+   * Сохранить краткое содержание диалога
+   */
+  async saveConversationSummary(peerId, summary, lastMessageId) {
+    this.conversationSummaries.set(peerId, { summary, lastMessageId });
+  }
+
   /**
    * Поставить бота на паузу для конкретного чата
    */
@@ -125,9 +173,269 @@ class MemoryDatabase {
   }
 
   /**
-   * Очистить старую историю (для in-memory просто логируем)
+   * Отметить событие VK как обработанное
+   * @returns {Promise<boolean>} true если событие новое, false если уже обрабатывалось
+   */
+  async markEventProcessed(eventKey, ttlHours = 24) {
+    const now = Date.now();
+    const seenAt = this.processedEvents.get(eventKey);
+
+    if (seenAt && now - seenAt < ttlHours * 60 * 60 * 1000) {
+      return false;
+    }
+
+    this.processedEvents.set(eventKey, now);
+    // Чистим просроченные, чтобы Map не рос бесконечно
+    if (this.processedEvents.size > 5000) {
+      await this.cleanProcessedEvents(ttlHours);
+    }
+    return true;
+  }
+
+  /**
+   * Удалить записи об обработанных событиях старше TTL
+   */
+  async cleanProcessedEvents(ttlHours = 24) {
+    const threshold = Date.now() - ttlHours * 60 * 60 * 1000;
+    for (const [eventKey, seenAt] of this.processedEvents) {
+      if (seenAt < threshold) {
+        this.processedEvents.delete(eventKey);
+      }
+    }
+  }
+
+  /**
+   * Поставить сообщение клиента в очередь обработки
+   */
+  async enqueueMessage(peerId, text, userData, delayMs) {
+    this.messageJobs.push({
+      id: this.nextJobId++,
+      peerId,
+      text,
+      userData,
+      status: 'pending',
+      attempts: 0,
+      runAfter: Date.now() + delayMs,
+      createdAt: Date.now()
+    });
+  }
+
+  /**
+   * Чаты, готовые к обработке: дебаунс последнего сообщения истёк и ничего не обрабатывается
+   */
+  async getReadyMessagePeers() {
+    const peers = new Map();
+    for (const job of this.messageJobs) {
+      const entry = peers.get(job.peerId) || { processing: false, lastRunAfter: 0 };
+      if (job.status === 'processing') entry.processing = true;
+      if (job.status === 'pending') entry.lastRunAfter = Math.max(entry.lastRunAfter, job.runAfter);
+      peers.set(job.peerId, entry);
+    }
+
+    const now = Date.now();
+    return [...peers.entries()]
+      .filter(([, entry]) => !entry.processing && entry.lastRunAfter > 0 && entry.lastRunAfter <= now)
+      .map(([peerId]) => peerId);
+  }
+
+  /**
+   * Забрать все ожидающие сообщения чата в обработку
+   */
+  async claimMessages(peerId) {
+    const jobs = this.messageJobs.filter(job => job.peerId === peerId && job.status === 'pending');
+    jobs.forEach(job => { job.status = 'processing'; });
+    return jobs.map(({ id, text, userData, attempts }) => ({ id, text, userData, attempts }));
+  }
+
+  /**
+   * Удалить обработанные сообщения из очереди
+   */
+  async completeMessages(ids) {
+    this.messageJobs = this.messageJobs.filter(job => !ids.includes(job.id));
+  }
+
+  /**
+   * Вернуть сообщения в очередь после ошибки
+   */
+  async retryMessages(ids, retryDelayMs) {
+    for (const job of this.messageJobs) {
+      if (ids.includes(job.id)) {
+        job.status = 'pending';
+        job.attempts += 1;
+        job.runAfter = Date.now() + retryDelayMs;
+      }
+    }
+  }
+
+  /**
+   * Пометить сообщения как необработанные (исчерпаны попытки)
+   */
+  async failMessages(ids) {
+    for (const job of this.messageJobs) {
+      if (ids.includes(job.id)) {
+        job.status = 'failed';
+        job.attempts += 1;
+      }
+    }
+  }
+
+  /**
+   * Вернуть «зависшие» в обработке сообщения в очередь (исчерпавшие maxAttempts — в failed)
+   */
+  async resetProcessingMessages(maxAttempts) {
+    let restored = 0;
+    const failed = [];
+    for (const job of this.messageJobs.filter(job => job.status === 'processing')) {
+      job.attempts += 1;
+      if (job.attempts >= maxAttempts) {
+        job.status = 'failed';
+        failed.push({ peerId: job.peerId, text: job.text, userData: job.userData });
+      } else {
+        job.status = 'pending';
+        restored++;
+      }
+    }
+    return { restored, failed };
+  }
+
+  /**
+   * Получить данные квалификации лида
+   */
+  async getQualification(peerId) {
+    const data = this.qualifications.get(peerId);
+    return data ? structuredClone(data) : null;
+  }
+
+  /**
+   * Сохранить данные квалификации лида
+   */
+  async saveQualification(peerId, data) {
+    this.qualifications.set(peerId, structuredClone(data));
+  }
+
+  /**
+   * Получить служебное значение
+   */
+  async getState(key) {
+    return this.state.has(key) ? this.state.get(key) : null;
+  }
+
+  /**
+   * Сохранить служебное значение
+   */
+  async setState(key, value) {
+    this.state.set(key, value === null || value === undefined ? null : String(value));
+  }
+
+  /**
+   * Получить все записи FAQ
+   */
+  async getFaqEntries() {
+    return structuredClone(this.faqEntries);
+  }
+
+  /**
+   * Добавить запись FAQ
+   */
+  async createFaqEntry({ question, keywords, answer, enabled = true }) {
+    const entry = { id: this.nextFaqId++, question, keywords, answer, enabled };
+    this.faqEntries.push(entry);
+    return structuredClone(entry);
+  }
+
+  /**
+   * Изменить запись FAQ (только переданные поля)
+   */
+  async updateFaqEntry(id, fields) {
+    const entry = this.faqEntries.find(item => item.id === id);
+    if (!entry) return null;
+    for (const key of ['question', 'keywords', 'answer', 'enabled']) {
+      if (fields[key] !== undefined && fields[key] !== null) entry[key] = fields[key];
+    }
+    return structuredClone(entry);
+  }
+
+  /**
+   * Удалить запись FAQ
+   */
+  async deleteFaqEntry(id) {
+    const before = this.faqEntries.length;
+    this.faqEntries = this.faqEntries.filter(item => item.id !== id);
+    return this.faqEntries.length < before;
+  }
+
+  /**
+   * Записать срабатывание FAQ
+   */
+  async recordFaqHit(faqId, peerId, message, score) {
+    this.faqHits.push({ faqId, peerId: String(peerId), message, score, createdAt: new Date() });
+  }
+
+  /**
+   * Статистика срабатываний FAQ за последние N дней
+   */
+  async getFaqStats(days = 30) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return this.faqEntries
+      .map(entry => {
+        const hits = this.faqHits.filter(hit => hit.faqId === entry.id && hit.createdAt.getTime() > since);
+        return {
+          faqId: entry.id,
+          question: entry.question,
+          hits: hits.length,
+          lastHitAt: hits.length ? hits[hits.length - 1].createdAt : null
+        };
+      })
+      .sort((a, b) => b.hits - a.hits || a.faqId - b.faqId);
+  }
+
+  /**
+   * Записать вопрос, на который не нашлось ответа в базе знаний
+   */
+  async recordKnowledgeGap({ peerId, query, source, reason, bestScore }) {
+    this.knowledgeGaps.push({
+      peerId: peerId ? String(peerId) : null,
+      query,
+      source,
+      reason,
+      bestScore: bestScore ?? null,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Пробелы в базе знаний за последние N дней
+   */
+  async getKnowledgeGaps(days = 30) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return this.knowledgeGaps.filter(gap => gap.createdAt.getTime() > since).map(gap => ({ ...gap }));
+  }
+
+  /**
+   * Заменить предложения горящих туров свежим списком
+   */
+  async replaceHotTours(tours) {
+    this.hotTours = structuredClone(tours);
+    return true;
+  }
+
+  /**
+   * Горящие туры с вылетом с сегодняшнего дня (по дате вылета)
+   */
+  async getHotTours() {
+    const today = new Date().toISOString().slice(0, 10);
+    return this.hotTours
+      .filter(tour => tour.departureDate >= today)
+      .sort((a, b) => a.departureDate.localeCompare(b.departureDate) || a.price - b.price)
+      .map(tour => ({ ...tour }));
+  }
+
+  /**
+   * Очистить старую историю (для in-memory только необработанные сообщения очереди — история и так в памяти)
    */
   async cleanOldHistory(daysToKeep = 30) {
+    const cutoff = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+    this.messageJobs = this.messageJobs.filter(job => job.status !== 'failed' || job.createdAt >= cutoff);
     console.log(`🗑️  In-Memory режим: очистка истории пропущена (данные и так в памяти)`);
   }
 
@@ -139,6 +447,15 @@ class MemoryDatabase {
     this.chatHistory.clear();
     this.pausedChats.clear();
     this.botMessageIds.clear();
+    this.processedEvents.clear();
+    this.state.clear();
+    this.messageJobs = [];
+    this.qualifications.clear();
+    this.conversationSummaries.clear();
+    this.faqEntries = [];
+    this.faqHits = [];
+    this.knowledgeGaps = [];
+    this.hotTours = [];
   }
 
   /**
@@ -156,7 +473,9 @@ class MemoryDatabase {
       totalChats,
       totalMessages,
       pausedChats: this.pausedChats.size,
-      trackedBotMessages: this.botMessageIds.size
+      trackedBotMessages: this.botMessageIds.size,
+      processedEvents: this.processedEvents.size,
+      queuedMessages: this.messageJobs.length
     };
   }
 }
@@ -1,18 +1,59 @@
+import crypto from 'crypto';
 import express from 'express';
 import { config } from './config/config.js';
 import vkService from './services/vkService.js';
+import vkLongPollService from './services/vkLongPollService.js';
 import aiService from './services/aiService.js';
 import telegramService from './services/telegramService.js';
 import postgresDb from './database/db.js';
 import memoryDb from './database/memoryDb.js';
 import uonService from './services/uonService.js';
-import messageDebouncer from './utils/debounce.js'; // Убери эту строку чтобы откатить дебаунс
+import attachmentService from './services/attachmentService.js';
+import llmService from './services/llmService.js';
+import qualificationService from './services/qualificationService.js';
+import historyService from './services/historyService.js';
+import intentService from './services/intentService.js';
+import faqService from './services/faqService.js';
+import knowledgeGapService from './services/knowledgeGapService.js';
+import hotToursService from './services/hotToursService.js';
+import messageQueue from './utils/messageQueue.js';
+import { extractContacts, hasContacts, mergeContacts } from './utils/contacts.js';
 
 // Выбор базы данных: in-memory для тестов, PostgreSQL для продакшена
 const database = process.env.USE_MEMORY_DB === 'true' ? memoryDb : postgresDb;
 
 // Передаём database в telegramService для работы кнопок паузы
 telegramService.setDatabase(database);
+// Ответ менеджера на уведомление в Telegram: бот на паузе, ответ — клиенту в ВК и в историю с ролью manager
+telegramService.onManagerReply(async ({ peerId, text }) => {
+  // Пауза до отправки — чтобы бот не ответил клиенту параллельно с менеджером
+  await database.pauseBot(peerId, 'telegram_reply');
+  // Отказ VK бросает исключение — менеджер увидит ошибку в Telegram, в историю ответ не попадёт
+  const result = await vkService.sendMessage(parseInt(peerId), text);
+  // Эхо message_reply от этого сообщения — ответ через бота, а не перехват диалога менеджером в ВК
+  if (result?.response) {
+    await database.trackBotMessage(result.response);
+  }
+  await database.saveMessage(peerId, 'manager', text);
+});
+// ...и в Long Poll для хранения ts между перезапусками
+vkLongPollService.setDatabase(database);
+// ...и в очередь сообщений
+messageQueue.setDatabase(database);
+// Сообщения, которые очередь так и не смогла обработать, — менеджерам в Telegram
+messageQueue.onFailure((failure) => telegramService.sendFailedMessageNotification(failure));
+// ...и в карточки квалификации лидов
+qualificationService.setDatabase(database);
+// ...и в сборку истории диалога
+historyService.setDatabase(database);
+// ...и в FAQ (записи и статистика срабатываний)
+faqService.setDatabase(database);
+// ...и в журнал вопросов, на которые не нашлось ответа в базе знаний
+knowledgeGapService.setDatabase(database);
+// ...и в горящие туры (таблица предложений со страницы /hot/)
+hotToursService.setDatabase(database);
+
+const useLongPoll = config.vk.transport === 'longpoll';
 
 const app = express();
 
@@ -21,10 +62,76 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 /**
- * Основная обработка сообщения (вызывается после дебаунса)
+ * Отправить ответ бота, если менеджер не подключился, пока ответ готовился
+ * (сообщение могло ждать в очереди или повторяться после ошибки)
+ * @param {{answered: boolean, delivered: boolean}} turn - answered — повторять обработку уже не нужно
+ *   (ответ ушёл клиенту или VK окончательно его отклонил), delivered — ответ дошёл до клиента
+ * @returns {Promise<boolean>} false — бот на паузе, ответ не отправлен (сообщение клиента сохранено в историю)
+ */
+async function sendBotReply(userData, messageText, answer, turn) {
+  if (await database.isBotPaused(userData.peerId)) {
+    console.log(`⏸️ Бот на паузе для peer_id=${userData.peerId}, ответ не отправляем`);
+    await database.saveMessage(userData.peerId, 'user', messageText);
+    return false;
+  }
+
+  let sendResult;
+  try {
+    sendResult = await vkService.sendMessage(parseInt(userData.peerId), answer);
+  } catch (error) {
+    // Сетевые ошибки и 5xx — в повтор очереди; отказ VK (901, 914...) повтор не исправит,
+    // а контакты клиента и запрос менеджера всё равно должны дойти до Telegram и U-ON
+    if (!vkService.isFinalApiError(error)) throw error;
+    console.error(`❌ VK не принял ответ для peer_id=${userData.peerId} (${error.message}), продолжаем без ответа клиенту`);
+    turn.answered = true;
+    return true;
+  }
+  turn.answered = true;
+  turn.delivered = true;
+  if (sendResult?.response) {
+    database.trackBotMessage(sendResult.response);
+  }
+  return true;
+}
+
+/**
+ * Быстрый ответ из FAQ без LLM: только на короткий частый вопрос,
+ * без контактов и без просьбы позвать менеджера (их обрабатывает основной сценарий)
+ * @returns {Promise<boolean>} true — сообщение обработано (ответ отправлен или бот на паузе)
+ */
+async function answerFromFaq(messageText, userData, turn) {
+  if (hasContacts(extractContacts(messageText))) return false;
+  if (intentService.classifyByRules(messageText).confidence >= config.intent.ambiguousFrom) return false;
+
+  const match = faqService.findAnswer(messageText);
+  if (!match) return false;
+
+  if (!(await sendBotReply(userData, messageText, match.answer, turn))) return true;
+
+  await database.saveMessage(userData.peerId, 'user', messageText);
+  if (turn.delivered) {
+    await database.saveMessage(userData.peerId, 'assistant', match.answer);
+  }
+
+  await faqService.recordHit(match.faq.id, userData.peerId, messageText, match.score);
+  return true;
+}
+
+/**
+ * Основная обработка сообщения (вызывается очередью после дебаунса).
+ * Ошибка до отправки ответа пробрасывается — очередь повторит обработку; после отправки (или окончательного
+ * отказа VK) только логируется, чтобы клиент не получил ответ дважды
  */
 async function processMessage(messageText, userData) {
   const peerId = parseInt(userData.peerId);
+  const turn = { answered: false, delivered: false };
+
+  // Менеджер мог подключиться, пока сообщение ждало в очереди
+  if (await database.isBotPaused(userData.peerId)) {
+    console.log(`⏸️ Бот на паузе для peer_id=${peerId}, сообщение из очереди не обрабатываем`);
+    await database.saveMessage(userData.peerId, 'user', messageText);
+    return;
+  }
 
   try {
     // Статус "печатает..." с автопродлением каждые 5 секунд
@@ -34,43 +141,62 @@ async function processMessage(messageText, userData) {
     }, 5000);
 
     try {
-      // Получение истории чата
-      const conversationHistory = await database.getChatHistory(userData.peerId);
+      // Частый вопрос (адрес, часы работы, виза...) — готовый ответ без обращения к LLM
+      if (await answerFromFaq(messageText, userData, turn)) {
+        return;
+      }
+
+      // Получение истории чата (под бюджет токенов, ранняя часть — сводкой) и уже собранной информации о запросе
+      const { messages: conversationHistory, summary: historySummary } = await historyService.getContext(userData.peerId);
+      const qualification = await qualificationService.get(userData.peerId);
 
       // Получение ответа от AI
-      const aiResponse = await aiService.getChatResponse(
+      const { answer: aiResponse, sources } = await aiService.getChatResponse(
         messageText,
         userData,
-        conversationHistory
+        conversationHistory,
+        [
+          qualificationService.formatForPrompt(qualification),
+          historyService.formatSummaryForPrompt(historySummary)
+        ].filter(Boolean).join('\n\n'),
+        { travellers: qualification?.travellers || null, qualification, peerId: userData.peerId }
       );
 
-      // Проверяем запрос менеджера: по метке от GPT ИЛИ по тексту пользователя
-      const hasManagerRequestTag = aiResponse.includes('[MANAGER_REQUEST]');
-      const managerKeywords = /менеджер|оператор|человек|живой|подключ|переведи|позови|позвать|давай менеджера|можно менеджера|хочу менеджера|сюда менеджера/i;
-      const hasManagerRequestText = managerKeywords.test(messageText);
-      const hasManagerRequest = hasManagerRequestTag || hasManagerRequestText;
-      const cleanResponse = aiResponse.replace(/\s*\[MANAGER_REQUEST\]\s*/g, '').trim();
+      // Проверяем запрос менеджера: метка от GPT → правила с учётом отрицаний → LLM для спорных фраз
+      const managerIntent = await intentService.detectManagerRequest(messageText, aiResponse);
+      const hasManagerRequest = managerIntent.isManagerRequest;
+      // Сначала вырезаем метку, потом дописываем ссылки — иначе замена съедает отступ перед "Подробнее"
+      const cleanResponse = aiService.appendSourceLinks(aiResponse.replace(/\s*\[MANAGER_REQUEST\]\s*/g, ' ').trim(), sources);
 
       if (hasManagerRequest) {
-        console.log(`🔔 Обнаружен запрос менеджера (метка: ${hasManagerRequestTag}, текст: ${hasManagerRequestText})`);
+        console.log(`🔔 Обнаружен запрос менеджера (источник: ${managerIntent.source}${managerIntent.rule ? `/${managerIntent.rule}` : ''}, уверенность: ${managerIntent.confidence})`);
       }
 
-      // Сохранение сообщений в базу данных
-      await database.saveMessage(userData.peerId, 'user', messageText);
-      await database.saveMessage(userData.peerId, 'assistant', cleanResponse);
+      // Отправка ответа пользователю (если менеджер не подключился, пока модель думала)
+      if (!(await sendBotReply(userData, messageText, cleanResponse, turn))) {
+        return;
+      }
 
-      // Отправка ответа пользователю и отслеживание ID
-      const sendResult = await vkService.sendMessage(peerId, cleanResponse);
-      if (sendResult?.response) {
-        database.trackBotMessage(sendResult.response);
+      // Сохранение сообщений в базу данных (ответ — только если дошёл до клиента)
+      await database.saveMessage(userData.peerId, 'user', messageText);
+      if (turn.delivered) {
+        await database.saveMessage(userData.peerId, 'assistant', cleanResponse);
       }
 
-      // Проверка на наличие телефона в сообщении пользователя
-      const phoneRegex = /(\+7|8)?[\s\-]?\(?\d{3}\)?[\s\-]?\d{3}[\s\-]?\d{2}[\s\-]?\d{2}/;
-      if (phoneRegex.test(messageText)) {
-        const phone = messageText.match(phoneRegex)[0];
+      // Обновляем карточку квалификации — она же сводка для Telegram и U-ON
+      const updatedQualification = await qualificationService.update(
+        userData.peerId,
+        messageText,
+        cleanResponse,
+        conversationHistory
+      );
+      const conversationSummary = qualificationService.toSummary(updatedQualification);
+
+      // Проверка на наличие контактов (телефон, email, мессенджер) в сообщении пользователя
+      const contacts = extractContacts(messageText);
+      const hasContactsInMessage = hasContacts(contacts);
+      if (hasContactsInMessage) {
         const fullHistory = [...conversationHistory, { role: 'user', content: messageText }];
-        const conversationSummary = await aiService.summarizeConversation(fullHistory);
         const contactPreference = await aiService.extractContactPreference(fullHistory);
 
         // Telegram уведомление
@@ -80,7 +206,7 @@ async function processMessage(messageText, userData) {
             lastName: userData.lastName,
             fromId: userData.fromId,
             peerId: userData.peerId,
-            phone: phone,
+            contacts,
             contactPreference: contactPreference,
             summary: conversationSummary
           });
@@ -93,7 +219,7 @@ async function processMessage(messageText, userData) {
           await uonService.createLead({
             firstName: userData.firstName,
             lastName: userData.lastName,
-            phone: phone,
+            contacts,
             vkId: userData.fromId,
             summary: conversationSummary,
             contactPreference: contactPreference
@@ -104,32 +230,26 @@ async function processMessage(messageText, userData) {
       }
 
       // Проверяем: если уведомление уже отправлено и клиент указывает способ связи — обновляем
-      if (!phoneRegex.test(messageText) && telegramService.notificationMessages.has(userData.peerId)) {
+      if (!hasContactsInMessage && telegramService.notificationMessages.has(userData.peerId)) {
         const contactPreference = await aiService.extractContactPreference(
           [...conversationHistory, { role: 'user', content: messageText }]
         );
         if (contactPreference !== 'не указан') {
           console.log(`📱 Клиент указал способ связи: ${contactPreference}, обновляем уведомление`);
           try {
-            // Получаем полную историю для обновлённой сводки
-            const fullHistory = [...conversationHistory, { role: 'user', content: messageText }];
-            const conversationSummary = await aiService.summarizeConversation(fullHistory);
-
-            // Ищем телефон в истории
-            let phone = '';
-            for (const msg of conversationHistory) {
-              if (msg.role === 'user') {
-                const phoneMatch = msg.content.match(/(\+7|8)?[\s\-]?\(?\d{3}\)?[\s\-]?\d{3}[\s\-]?\d{2}[\s\-]?\d{2}/);
-                if (phoneMatch) phone = phoneMatch[0];
-              }
-            }
+            // Ищем контакты в истории
+            const knownContacts = mergeContacts(
+              ...conversationHistory
+                .filter(msg => msg.role === 'user')
+                .map(msg => extractContacts(msg.content))
+            );
 
             await telegramService.sendLeadNotification({
               firstName: userData.firstName,
               lastName: userData.lastName,
               fromId: userData.fromId,
               peerId: userData.peerId,
-              phone: phone,
+              contacts: knownContacts,
               contactPreference: contactPreference,
               summary: conversationSummary
             });
@@ -140,10 +260,7 @@ async function processMessage(messageText, userData) {
       }
 
       // Если клиент просит менеджера (без телефона) — уведомляем
-      if (hasManagerRequest && !phoneRegex.test(messageText)) {
-        const fullHistory = [...conversationHistory, { role: 'user', content: messageText }];
-        const conversationSummary = await aiService.summarizeConversation(fullHistory);
-
+      if (hasManagerRequest && !hasContactsInMessage) {
         // Telegram уведомление
         try {
           await telegramService.sendManagerRequestNotification({
@@ -175,87 +292,299 @@ async function processMessage(messageText, userData) {
     }
   } catch (error) {
     console.error('Ошибка обработки сообщения:', error);
+    if (!turn.answered) {
+      throw error;
+    }
+  }
+}
+
+if (!useLongPoll && !config.vk.secretKey) {
+  if (config.vk.allowUnsigned) {
+    console.warn('⚠️  VK_SECRET_KEY не задан, VK_ALLOW_UNSIGNED=true — события Callback API принимаются без проверки секрета');
+  } else {
+    console.error('❌ VK_SECRET_KEY не задан — события Callback API отклоняются (для локальной отладки: VK_ALLOW_UNSIGNED=true)');
   }
 }
 
 /**
- * Обработчик входящих сообщений от VK
+ * Сравнение строк за постоянное время (чтобы секрет нельзя было подобрать по таймингу)
  */
-app.post(config.server.webhookPath, async (req, res) => {
-  try {
-    const body = req.body;
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a ?? ''));
+  const bufB = Buffer.from(String(b ?? ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
 
-    // Подтверждение сервера VK Callback API
-    if (body.type === 'confirmation') {
-      return res.send(process.env.VK_CONFIRMATION_CODE || '');
-    }
+/**
+ * Проверка, что событие действительно пришло от VK для нашего сообщества
+ * @returns {string|null} Причина отказа или null если событие валидно
+ */
+function verifyCallback(body) {
+  if (!body || typeof body !== 'object' || !body.type) {
+    return 'некорректное тело запроса';
+  }
 
-    // Быстрый ответ VK, чтобы не было таймаута
-    res.send('ok');
+  if (String(body.group_id) !== String(config.vk.groupId)) {
+    return `чужой group_id=${body.group_id}`;
+  }
+
+  // confirmation приходит до того, как секрет сохранён в настройках VK
+  if (body.type === 'confirmation') {
+    return null;
+  }
 
-    // Обработка исходящего сообщения от сообщества (менеджер пишет)
-    if (body.type === 'message_reply') {
-      const message = body.object;
-      const peerId = message.peer_id;
+  // group_id публичный — без секрета любой может прислать событие от имени VK
+  if (!config.vk.secretKey) {
+    return config.vk.allowUnsigned ? null : 'VK_SECRET_KEY не задан';
+  }
 
-      // Проверяем: это сообщение от бота или от менеджера?
+  if (!safeEqual(body.secret, config.vk.secretKey)) {
+    return 'неверный secret';
+  }
+
+  return null;
+}
+
+/**
+ * Ключ идемпотентности события: event_id, а для старых версий API — conversation_message_id
+ */
+function getEventKey(body) {
+  if (body.event_id) {
+    return `event:${body.event_id}`;
+  }
+
+  const message = body.type === 'message_new' ? body.object?.message : body.object;
+  if (message?.peer_id && message?.conversation_message_id) {
+    return `${body.type}:${message.peer_id}:${message.conversation_message_id}`;
+  }
+
+  return null;
+}
+
+/**
+ * Диспетчер событий VK — общий для Callback API (webhook) и Bots Long Poll
+ */
+async function handleVkEvent(body) {
+  // VK повторяет доставку, если мы ответили медленно — второй раз не обрабатываем
+  const eventKey = getEventKey(body);
+  if (eventKey && !(await database.markEventProcessed(eventKey, config.vk.eventTtlHours))) {
+    console.log(`🔁 Повторная доставка события ${eventKey}, пропускаем`);
+    return;
+  }
+
+  // Обработка исходящего сообщения от сообщества (менеджер пишет)
+  if (body.type === 'message_reply') {
+    const message = body.object;
+    const peerId = message.peer_id;
+
+    // Проверяем: это сообщение от бота или от менеджера?
+    const isBotMsg = await database.isBotMessage(message.id);
+    if (!isBotMsg) {
+      // Это менеджер — ставим паузу
+      await database.pauseBot(peerId.toString(), 'manager_reply');
+      console.log(`⏸️ Менеджер ответил (message_reply), бот на паузе для peer_id=${peerId}`);
+    }
+    return;
+  }
+
+  // Обработка нового сообщения
+  if (body.type === 'message_new') {
+    const message = body.object.message;
+    let messageText = message.text;
+    const peerId = message.peer_id;
+    const fromId = message.from_id;
+
+    // 1. Определяем: это менеджер (от имени сообщества)?
+    const groupId = parseInt(config.vk.groupId);
+    if (fromId === -groupId || fromId < 0) {
+      // Сообщение от сообщества — проверяем, бот ли это
       const isBotMsg = await database.isBotMessage(message.id);
       if (!isBotMsg) {
         // Это менеджер — ставим паузу
-        await database.pauseBot(peerId.toString(), 'manager_reply');
-        console.log(`⏸️ Менеджер ответил (message_reply), бот на паузе для peer_id=${peerId}`);
+        await database.pauseBot(peerId.toString(), 'manager');
+        console.log(`⏸️ Менеджер подключился (message_new), бот на паузе для peer_id=${peerId}`);
       }
       return;
     }
 
-    // Обработка нового сообщения
-    if (body.type === 'message_new') {
-      const message = body.object.message;
-      const messageText = message.text;
-      const peerId = message.peer_id;
-      const fromId = message.from_id;
-
-      // 1. Определяем: это менеджер (от имени сообщества)?
-      const groupId = parseInt(config.vk.groupId);
-      if (fromId === -groupId || fromId < 0) {
-        // Сообщение от сообщества — проверяем, бот ли это
-        const isBotMsg = await database.isBotMessage(message.id);
-        if (!isBotMsg) {
-          // Это менеджер — ставим паузу
-          await database.pauseBot(peerId.toString(), 'manager');
-          console.log(`⏸️ Менеджер подключился (message_new), бот на паузе для peer_id=${peerId}`);
-        }
-        return;
-      }
+    // 2. По клиенту уже есть уведомление в Telegram — дублируем сообщение в его ветку
+    await telegramService.mirrorClientMessage(peerId.toString(), messageText, message.attachments || []);
 
-      // 2. Проверяем не на паузе ли бот для этого чата
-      const isPaused = await database.isBotPaused(peerId.toString());
-      if (isPaused) {
-        console.log(`⏸️ Бот на паузе для peer_id=${peerId}, пропускаем сообщение`);
-        return;
+    // 3. Проверяем не на паузе ли бот для этого чата
+    const isPaused = await database.isBotPaused(peerId.toString());
+    if (isPaused) {
+      // Сохраняем в историю, чтобы после возврата бот видел, о чём клиент говорил с менеджером
+      if (messageText?.trim()) {
+        await database.saveMessage(peerId.toString(), 'user', messageText);
       }
+      console.log(`⏸️ Бот на паузе для peer_id=${peerId}, пропускаем сообщение`);
+      return;
+    }
 
-      // 3. Проверка наличия текста
-      if (!messageText || messageText.trim() === '') {
-        await vkService.sendMessage(peerId, 'Отправьте пожалуйста ваше сообщение текстом 😊');
+    // 4. Вложения (голосовые, фото, стикеры, документы, геолокация) — описываем текстом для AI
+    if (message.attachments?.length || message.geo) {
+      const { text: attachmentText, reply } = await attachmentService.describeMessage(message);
+      if (reply && !messageText?.trim()) {
+        await vkService.sendMessage(peerId, reply);
         return;
       }
+      messageText = [messageText?.trim(), attachmentText].filter(Boolean).join('\n');
+    }
+
+    // 5. Проверка наличия текста
+    if (!messageText || messageText.trim() === '') {
+      await vkService.sendMessage(peerId, 'Отправьте пожалуйста ваше сообщение текстом 😊');
+      return;
+    }
+
+    // 6. Получение информации о пользователе
+    const userInfo = await vkService.getUserInfo(fromId);
+    const userData = {
+      peerId: peerId.toString(),
+      firstName: userInfo.first_name,
+      lastName: userInfo.last_name,
+      fromId: fromId.toString()
+    };
+
+    // 7. В очередь — через 2 сек тишины склеиваем сообщения и обрабатываем
+    await messageQueue.add(peerId, messageText, userData);
+  }
+}
 
-      // 4. Получение информации о пользователе
-      const userInfo = await vkService.getUserInfo(fromId);
-      const userData = {
-        peerId: peerId.toString(),
-        firstName: userInfo.first_name,
-        lastName: userInfo.last_name,
-        fromId: fromId.toString()
-      };
-
-      // 5. Дебаунс — ждём 2 сек, склеиваем сообщения если их несколько
-      messageDebouncer.add(peerId, messageText, userData, processMessage);
+/**
+ * Обработчик входящих сообщений от VK (Callback API)
+ */
+async function handleWebhook(req, res) {
+  try {
+    const body = req.body;
+
+    // Отклоняем поддельные события
+    const rejectReason = verifyCallback(body);
+    if (rejectReason) {
+      console.warn(`🚫 Отклонён callback (${rejectReason}) от ${req.ip}, type=${body?.type}`);
+      return res.status(403).send('forbidden');
     }
+
+    // Подтверждение сервера VK Callback API
+    if (body.type === 'confirmation') {
+      return res.send(config.vk.confirmationCode);
+    }
+
+    // Быстрый ответ VK, чтобы не было таймаута
+    res.send('ok');
+
+    await handleVkEvent(body);
   } catch (error) {
     console.error('Ошибка обработки webhook:', error);
   }
+}
+
+// В режиме Long Poll webhook не регистрируем — события приходят через a_check
+if (!useLongPoll) {
+  app.post(config.server.webhookPath, handleWebhook);
+}
+
+/**
+ * Доступ к служебным эндпоинтам /admin/* — только с ADMIN_TOKEN
+ */
+function requireAdmin(req, res, next) {
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!config.server.adminToken || !safeEqual(token, config.server.adminToken)) {
+    return res.status(403).json({ error: 'forbidden' });
+  }
+  next();
+}
+
+/**
+ * Статистика использования LLM по провайдерам и моделям
+ */
+app.get('/admin/llm/usage', requireAdmin, (req, res) => {
+  res.json(llmService.getUsageReport());
+});
+
+/**
+ * FAQ: список записей (включая выключенные), добавление, правка и удаление.
+ * Изменения сразу применяются к ответам бота
+ */
+app.get('/admin/faq', requireAdmin, async (req, res) => {
+  res.json(await faqService.getAllFaq());
+});
+
+/**
+ * Сколько раз срабатывала каждая запись FAQ (?days=30)
+ */
+app.get('/admin/faq/stats', requireAdmin, async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  res.json(await faqService.getStats(days));
+});
+
+/**
+ * Проверка полей записи FAQ: keywords — непустой массив строк, остальное — строки / boolean
+ */
+function validateFaq(body, partial) {
+  const { question, keywords, answer, enabled } = body || {};
+  if (!partial || question !== undefined) {
+    if (typeof question !== 'string' || !question.trim()) return 'question must be a non-empty string';
+  }
+  if (!partial || keywords !== undefined) {
+    if (!Array.isArray(keywords) || keywords.length === 0 || !keywords.every(k => typeof k === 'string' && k.trim())) {
+      return 'keywords must be a non-empty array of strings';
+    }
+  }
+  if (!partial || answer !== undefined) {
+    if (typeof answer !== 'string' || !answer.trim()) return 'answer must be a non-empty string';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  return null;
+}
+
+app.post('/admin/faq', requireAdmin, async (req, res) => {
+  const error = validateFaq(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  const { question, keywords, answer, enabled } = req.body;
+  const created = await faqService.addFaq({ question, keywords, answer, enabled });
+  if (!created) return res.status(500).json({ error: 'failed to save' });
+  res.status(201).json(created);
+});
+
+app.put('/admin/faq/:id', requireAdmin, async (req, res) => {
+  const error = validateFaq(req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const { question, keywords, answer, enabled } = req.body;
+  const updated = await faqService.updateFaq(parseInt(req.params.id), { question, keywords, answer, enabled });
+  if (!updated) return res.status(404).json({ error: 'not found' });
+  res.json(updated);
+});
+
+app.delete('/admin/faq/:id', requireAdmin, async (req, res) => {
+  const deleted = await faqService.deleteFaq(parseInt(req.params.id));
+  if (!deleted) return res.status(404).json({ error: 'not found' });
+  res.status(204).end();
+});
+
+/**
+ * Пробелы в базе знаний: похожие вопросы без ответа, сгруппированные (?days=30)
+ */
+app.get('/admin/knowledge-gaps', requireAdmin, async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  res.json(await knowledgeGapService.getReport(days));
+});
+
+/**
+ * Горящие туры: актуальные предложения и время последнего обновления
+ */
+app.get('/admin/hot-tours', requireAdmin, async (req, res) => {
+  res.json(await hotToursService.getAll());
+});
+
+/**
+ * Обновить горящие туры сейчас, не дожидаясь расписания
+ */
+app.post('/admin/hot-tours/refresh', requireAdmin, async (req, res) => {
+  const result = await hotToursService.refresh();
+  res.status(result.success ? 200 : 502).json(result);
 });
 
 /**
@@ -278,21 +607,43 @@ app.get('/', (req, res) => {
 /**
  * Запуск сервера
  */
+// Периодическая очистка записей дедупликации событий
+let cleanupTimer = null;
+
 async function start() {
   try {
     // Инициализация базы данных
     await database.init();
     console.log('База данных подключена');
 
+    // FAQ: при первом запуске заполняем записями по умолчанию
+    await faqService.init();
+
     // Запуск сервера
     app.listen(config.server.port, () => {
       console.log(`\n🚀 Сервер запущен на порту ${config.server.port}`);
-      console.log(`📡 Webhook endpoint: http://localhost:${config.server.port}${config.server.webhookPath}`);
+      if (!useLongPoll) {
+        console.log(`📡 Webhook endpoint: http://localhost:${config.server.port}${config.server.webhookPath}`);
+      }
       console.log(`💚 Health check: http://localhost:${config.server.port}/health\n`);
     });
 
+    // Long Poll — события идут в тот же диспетчер, что и webhook
+    if (useLongPoll) {
+      await vkLongPollService.start(handleVkEvent);
+    }
+
     // Очистка старой истории при запуске
     await database.cleanOldHistory(30);
+    // Записи дедупликации появляются на каждое событие VK — чистим и при запуске, и раз в час
+    await database.cleanProcessedEvents(config.vk.eventTtlHours);
+    cleanupTimer = setInterval(() => database.cleanProcessedEvents(config.vk.eventTtlHours), 60 * 60 * 1000);
+
+    // Очередь сообщений — подхватывает и то, что не успели обработать до перезапуска
+    await messageQueue.start(processMessage);
+
+    // Горящие туры — разбор страницы /hot/ по расписанию
+    await hotToursService.start();
   } catch (error) {
     console.error('Ошибка запуска сервера:', error);
     process.exit(1);
@@ -302,12 +653,20 @@ async function start() {
 // Обработка graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Получен сигнал SIGTERM, завершение работы...');
+  vkLongPollService.stop();
+  messageQueue.stop();
+  hotToursService.stop();
+  clearInterval(cleanupTimer);
   await database.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('\nПолучен сигнал SIGINT, завершение работы...');
+  vkLongPollService.stop();
+  messageQueue.stop();
+  hotToursService.stop();
+  clearInterval(cleanupTimer);
   await database.close();
   process.exit(0);
 });
@@ -0,0 +1,60 @@
+import { readFile } from 'fs/promises';
+import axios from 'axios';
+import { config } from '../config/config.js';
+
+/**
+ * Источники курсов валют для перевода бюджета клиента в рубли.
+ * Интерфейс провайдера: async getRates() → { USD: 92.5, EUR: 100.2, ... } (рублей за единицу валюты)
+ */
+
+/**
+ * Курсы ЦБ РФ (зеркало cbr-xml-daily.ru, без ключа)
+ */
+class CbrExchangeRateProvider {
+  constructor() {
+    this.name = 'cbr';
+    this.url = config.currency.cbrUrl;
+  }
+
+  async getRates() {
+    const response = await axios.get(this.url, { timeout: 10000 });
+
+    const rates = {};
+    for (const [code, valute] of Object.entries(response.data.Valute || {})) {
+      rates[code] = valute.Value / valute.Nominal;
+    }
+    return rates;
+  }
+}
+
+/**
+ * Курсы из локального JSON — для тестов и офлайн-запуска
+ */
+class FixtureExchangeRateProvider {
+  constructor() {
+    this.name = 'fixture';
+    this.path = config.currency.fixturePath;
+  }
+
+  async getRates() {
+    const data = JSON.parse(await readFile(this.path, 'utf8'));
+    return data.rates;
+  }
+}
+
+const providers = {
+  cbr: CbrExchangeRateProvider,
+  fixture: FixtureExchangeRateProvider
+};
+
+/**
+ * Создать источник курсов по имени из конфига
+ * @param {string} name - 'cbr' | 'fixture'
+ */
+export function createExchangeRateProvider(name = config.currency.ratesProvider) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Неизвестный источник курсов валют: ${name}`);
+  }
+  return new Provider();
+}
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import OpenAI, { toFile } from 'openai';
+
+/**
+ * Провайдеры LLM: чат (с вызовом инструментов) и эмбеддинги.
+ *
+ * Интерфейс провайдера:
+ *   async chat({ messages, tools, temperature, maxTokens, timeout })
+ *     → { message: { role, content, tool_calls? }, usage, model, provider }
+ *   async embed(input: string|string[], { timeout })
+ *     → { embeddings: number[][], usage, model, provider }
+ *   async transcribe(file, { language, timeout })
+ *     → { text, usage, model, provider }
+ *   supportsTools, supportsEmbeddings, supportsVision, supportsTranscription
+ *
+ * chat({ vision: true }) — запрос с картинками (content с image_url), идёт в visionModel провайдера.
+ *
+ * messages и tools — в формате OpenAI Chat Completions; провайдеры с другим API конвертируют сами.
+ * usage — { promptTokens, completionTokens, totalTokens }
+ */
+
+/**
+ * Привести usage из формата OpenAI к общему виду
+ */
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+/**
+ * Любой OpenAI-совместимый API: OpenAI, локальные серверы (Ollama, vLLM, LM Studio), прокси
+ */
+class OpenAICompatibleProvider {
+  constructor(name, options) {
+    this.name = name;
+    this.chatModel = options.chatModel;
+    this.embeddingModel = options.embeddingModel;
+    this.visionModel = options.visionModel;
+    this.transcriptionModel = options.transcriptionModel;
+    this.supportsTools = options.supportsTools !== false;
+    this.supportsEmbeddings = Boolean(options.embeddingModel);
+    this.supportsVision = Boolean(options.visionModel);
+    this.supportsTranscription = Boolean(options.transcriptionModel);
+    this.client = new OpenAI({
+      apiKey: options.apiKey || 'not-needed',
+      baseURL: options.baseURL || undefined,
+      project: options.project || undefined,
+      // Ретраи делает цепочка fallback — не ждём повторов внутри SDK
+      maxRetries: 1
+    });
+  }
+
+  async chat({ messages, tools, temperature = 0.7, maxTokens = 1500, timeout, vision = false }) {
+    const model = vision ? this.visionModel : this.chatModel;
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      ...(tools ? { tools, tool_choice: 'auto' } : {}),
+      temperature,
+      max_tokens: maxTokens
+    }, timeout ? { timeout } : undefined);
+
+    return {
+      message: response.choices[0].message,
+      usage: normalizeUsage(response.usage),
+      model,
+      provider: this.name
+    };
+  }
+
+  async transcribe(file, { language = 'ru', timeout } = {}) {
+    const response = await this.client.audio.transcriptions.create({
+      model: this.transcriptionModel,
+      file: await toFile(file.buffer, file.name, { type: file.type }),
+      language
+    }, timeout ? { timeout } : undefined);
+
+    return {
+      text: response.text?.trim() || null,
+      // Распознавание тарифицируется по длительности, токенов нет
+      usage: normalizeUsage(null),
+      model: this.transcriptionModel,
+      provider: this.name
+    };
+  }
+
+  async embed(input, { timeout } = {}) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input
+    }, timeout ? { timeout } : undefined);
+
+    return {
+      embeddings: response.data.map(d => d.embedding),
+      usage: normalizeUsage(response.usage),
+      model: this.embeddingModel,
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * YandexGPT через OpenAI-совместимый эндпоинт Yandex Cloud.
+ * Модели задаются коротко ('yandexgpt/latest'), URI с folder_id собирается здесь.
+ */
+class YandexGPTProvider extends OpenAICompatibleProvider {
+  constructor(name, options) {
+    super(name, {
+      ...options,
+      baseURL: options.baseURL || 'https://llm.api.cloud.yandex.net/v1',
+      project: options.folderId,
+      chatModel: `gpt://${options.folderId}/${options.chatModel}`,
+      embeddingModel: options.embeddingModel ? `emb://${options.folderId}/${options.embeddingModel}` : null,
+      // Картинки и аудио через этот эндпоинт не поддерживаются
+      visionModel: null,
+      transcriptionModel: null
+    });
+  }
+}
+
+/**
+ * GigaChat (Сбер). Свой OAuth и формат функций (functions/function_call, один вызов за ответ).
+ * Сертификаты НУЦ Минцифры должны быть доверенными (NODE_EXTRA_CA_CERTS).
+ */
+class GigaChatProvider {
+  constructor(name, options) {
+    this.name = name;
+    this.authKey = options.authKey;
+    this.scope = options.scope || 'GIGACHAT_API_PERS';
+    this.baseURL = options.baseURL || 'https://gigachat.devices.sberbank.ru/api/v1';
+    this.oauthURL = options.oauthURL || 'https://ngw.devices.sberbank.ru:9443/api/v2/oauth';
+    this.chatModel = options.chatModel;
+    this.embeddingModel = options.embeddingModel;
+    this.supportsTools = options.supportsTools !== false;
+    this.supportsEmbeddings = Boolean(options.embeddingModel);
+    this.supportsVision = false;
+    this.supportsTranscription = false;
+    this._token = null;
+    this._tokenExpiresAt = 0;
+  }
+
+  /**
+   * Получить access token (живёт 30 минут, обновляем заранее)
+   */
+  async _getToken() {
+    if (this._token && Date.now() < this._tokenExpiresAt - 60000) {
+      return this._token;
+    }
+
+    const response = await axios.post(this.oauthURL, new URLSearchParams({ scope: this.scope }).toString(), {
+      headers: {
+        Authorization: `Basic ${this.authKey}`,
+        RqUID: crypto.randomUUID(),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+
+    this._token = response.data.access_token;
+    this._tokenExpiresAt = response.data.expires_at;
+    return this._token;
+  }
+
+  /**
+   * Сообщения OpenAI → GigaChat: tool_calls → function_call, role 'tool' → role 'function'.
+   * GigaChat понимает один вызов за ответ, поэтому параллельные вызовы (от другого провайдера цепочки)
+   * разворачиваются в пары "вызов → результат" по порядку результатов
+   */
+  _convertMessages(messages) {
+    const calls = new Map();
+    const converted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'assistant' && msg.tool_calls?.length) {
+        msg.tool_calls.forEach((call, index) => {
+          calls.set(call.id, { call, content: index === 0 ? msg.content || '' : '' });
+        });
+        continue;
+      }
+      if (msg.role === 'tool') {
+        const pending = calls.get(msg.tool_call_id);
+        if (pending) {
+          converted.push({
+            role: 'assistant',
+            content: pending.content,
+            function_call: { name: pending.call.function.name, arguments: JSON.parse(pending.call.function.arguments || '{}') }
+          });
+        }
+        converted.push({ role: 'function', name: pending?.call.function.name, content: msg.content });
+        continue;
+      }
+      converted.push({ role: msg.role, content: msg.content });
+    }
+
+    return converted;
+  }
+
+  async chat({ messages, tools, temperature = 0.7, maxTokens = 1500, timeout }) {
+    const token = await this._getToken();
+
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model: this.chatModel,
+      messages: this._convertMessages(messages),
+      ...(tools ? { functions: tools.map(tool => tool.function), function_call: 'auto' } : {}),
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: timeout || 60000
+    });
+
+    const raw = response.data.choices[0].message;
+    const message = { role: 'assistant', content: raw.content || null };
+    if (raw.function_call) {
+      message.tool_calls = [{
+        id: `gigachat-${crypto.randomUUID()}`,
+        type: 'function',
+        function: { name: raw.function_call.name, arguments: JSON.stringify(raw.function_call.arguments || {}) }
+      }];
+    }
+
+    return {
+      message,
+      usage: normalizeUsage(response.data.usage),
+      model: this.chatModel,
+      provider: this.name
+    };
+  }
+
+  async embed(input, { timeout } = {}) {
+    const token = await this._getToken();
+
+    const response = await axios.post(`${this.baseURL}/embeddings`, {
+      model: this.embeddingModel,
+      input: Array.isArray(input) ? input : [input]
+    }, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: timeout || 60000
+    });
+
+    return {
+      embeddings: response.data.data.map(d => d.embedding),
+      usage: normalizeUsage(response.data.usage),
+      model: this.embeddingModel,
+      provider: this.name
+    };
+  }
+}
+
+const providerTypes = {
+  openai: OpenAICompatibleProvider,
+  yandexgpt: YandexGPTProvider,
+  gigachat: GigaChatProvider
+};
+
+/**
+ * Создать провайдер LLM по имени и настройкам из config.llm.providers
+ * @param {string} name - имя провайдера в цепочке (например, 'openai', 'local')
+ * @param {Object} options - настройки, options.type — тип API ('openai' | 'yandexgpt' | 'gigachat')
+ */
+export function createLLMProvider(name, options) {
+  const Provider = providerTypes[options?.type];
+  if (!Provider) {
+    throw new Error(`Неизвестный тип LLM провайдера "${options?.type}" для "${name}"`);
+  }
+  return new Provider(name, options);
+}
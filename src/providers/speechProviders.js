@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { config } from '../config/config.js';
+import llmService from '../services/llmService.js';
+
+/**
+ * Провайдеры распознавания речи (speech-to-text) для голосовых сообщений.
+ * Интерфейс провайдера: async transcribe({ url, durationSec }) → string|null
+ */
+
+// Расширение файла голосового → имя и MIME для загрузки в STT (API распознаёт формат по имени файла)
+const AUDIO_FORMATS = {
+  mp3: { name: 'voice.mp3', type: 'audio/mpeg' },
+  ogg: { name: 'voice.ogg', type: 'audio/ogg' },
+  oga: { name: 'voice.ogg', type: 'audio/ogg' },
+  opus: { name: 'voice.ogg', type: 'audio/ogg' },
+  m4a: { name: 'voice.m4a', type: 'audio/mp4' },
+  wav: { name: 'voice.wav', type: 'audio/wav' },
+  webm: { name: 'voice.webm', type: 'audio/webm' }
+};
+
+/**
+ * Формат скачанного голосового: по расширению в URL (link_mp3 / link_ogg), иначе по Content-Type ответа
+ */
+function detectAudioFormat(url, contentType = '') {
+  let extension = null;
+  try {
+    extension = new URL(url).pathname.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  } catch {
+    // Некорректный URL — ориентируемся на Content-Type
+  }
+  if (AUDIO_FORMATS[extension]) return AUDIO_FORMATS[extension];
+
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return Object.values(AUDIO_FORMATS).find(format => format.type === type) || AUDIO_FORMATS.mp3;
+}
+
+/**
+ * Распознавание через цепочку LLM провайдеров (llmService): fallback и учёт расхода как у чата.
+ * Участвуют провайдеры с transcriptionModel (STT_MODEL, LOCAL_STT_MODEL)
+ */
+class LLMSpeechProvider {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  async transcribe({ url }) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 15000
+    });
+
+    const { name, type } = detectAudioFormat(url, response.headers?.['content-type']);
+    return llmService.transcribe(
+      { buffer: Buffer.from(response.data), name, type },
+      { language: 'ru' }
+    );
+  }
+}
+
+/**
+ * Заглушка для локального тестирования — ничего не скачивает и не распознаёт
+ */
+class StubSpeechProvider {
+  constructor() {
+    this.name = 'stub';
+    this.transcript = process.env.STUB_TRANSCRIPT || 'Хотим в Турцию в июне на двоих';
+  }
+
+  async transcribe() {
+    return this.transcript;
+  }
+}
+
+const providers = {
+  llm: LLMSpeechProvider,
+  // Прежнее имя — для существующих .env
+  openai: LLMSpeechProvider,
+  stub: StubSpeechProvider
+};
+
+/**
+ * Создать провайдер распознавания речи по имени из конфига
+ * @param {string} name - 'llm' | 'stub'
+ */
+export function createSpeechProvider(name = config.attachments.sttProvider) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Неизвестный STT провайдер: ${name}`);
+  }
+  return new Provider();
+}
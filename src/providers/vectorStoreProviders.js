@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { mkdir, readFile, stat, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Pinecone } from '@pinecone-database/pinecone';
+import { config } from '../config/config.js';
+import { createPool } from '../database/db.js';
+import { buildKeywordIndex } from '../utils/keywordIndex.js';
+
+/**
+ * Хранилища векторов для базы знаний (бот и scripts/indexer.js).
+ * Интерфейс хранилища:
+ *   async upsert(records: Array<{id, values: number[], metadata}>)
+ *   async query(vector: number[], { topK }) → Array<{id, score, metadata}> (score — косинусная близость, по убыванию)
+ *   async delete(ids) — удалить записи по ID
+ *   async deleteBySource(sourceUrl) — удалить все чанки страницы или документа (metadata.source_url)
+ *   async list() → Array<{id, metadata}> — все записи без векторов
+ *   async saveKeywordIndex(data) — сохранить ключевой индекс BM25 (buildKeywordIndex) рядом с векторами
+ *   async keywordIndexVersion() → string|null — метка версии ключевого индекса (null — индекса нет)
+ *   async loadKeywordIndex() → data|null — ключевой индекс
+ *   async close() — освободить соединения (для скриптов)
+ * Все записи хранятся в одном namespace (config.vectorStore.namespace).
+ * Ключевой индекс лежит там же, где векторы, — бот видит его, даже если индексатор запускают на другой машине
+ */
+
+/**
+ * Pinecone (облачный индекс)
+ */
+class PineconeVectorStore {
+  constructor() {
+    this.name = 'pinecone';
+    if (!config.pinecone.apiKey || config.pinecone.apiKey === 'ВСТАВЬ_СЮДА_КЛЮЧ') {
+      throw new Error('PINECONE_API_KEY не настроен');
+    }
+    const pinecone = new Pinecone({ apiKey: config.pinecone.apiKey });
+    this.index = pinecone.index(config.pinecone.indexName).namespace(config.vectorStore.namespace);
+    // Хранилища для файлов у Pinecone нет: ключевой индекс строится из метаданных чанков (text, page_title)
+    this.keywordIndexFromMetadata = true;
+  }
+
+  async upsert(records) {
+    const UPSERT_BATCH = 100;
+    for (let i = 0; i < records.length; i += UPSERT_BATCH) {
+      await this.index.upsert({ records: records.slice(i, i + UPSERT_BATCH) });
+    }
+  }
+
+  async query(vector, { topK = 5 } = {}) {
+    const results = await this.index.query({ vector, topK, includeMetadata: true });
+    return (results.matches || []).map(({ id, score, metadata }) => ({ id, score, metadata }));
+  }
+
+  async delete(ids) {
+    const DELETE_BATCH = 1000;
+    for (let i = 0; i < ids.length; i += DELETE_BATCH) {
+      await this.index.deleteMany({ ids: ids.slice(i, i + DELETE_BATCH) });
+    }
+  }
+
+  async deleteBySource(sourceUrl) {
+    await this.index.deleteMany({ filter: { source_url: { $eq: sourceUrl } } });
+  }
+
+  async listIds() {
+    const ids = [];
+    let paginationToken;
+    do {
+      const page = await this.index.listPaginated({ limit: 100, paginationToken });
+      ids.push(...(page.vectors || []).map(vector => vector.id));
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+    return ids;
+  }
+
+  async list() {
+    const ids = await this.listIds();
+
+    // Метаданные listPaginated не отдаёт — догружаем через fetch
+    const records = [];
+    const FETCH_BATCH = 100;
+    for (let i = 0; i < ids.length; i += FETCH_BATCH) {
+      const result = await this.index.fetch({ ids: ids.slice(i, i + FETCH_BATCH) });
+      records.push(...Object.values(result.records).map(({ id, metadata }) => ({ id, metadata })));
+    }
+    return records;
+  }
+
+  async saveKeywordIndex() {}
+
+  /**
+   * ID чанков зависят от их текста, поэтому набор ID меняется при любой правке базы знаний
+   */
+  async keywordIndexVersion() {
+    const ids = await this.listIds();
+    return ids.length > 0 ? crypto.createHash('sha1').update(ids.sort().join('\n')).digest('hex') : null;
+  }
+
+  async loadKeywordIndex() {
+    const records = await this.list();
+    return buildKeywordIndex(records.map(({ id, metadata }) => ({ id, text: metadata?.text || '', metadata: metadata || {} })));
+  }
+
+  async close() {}
+}
+
+/**
+ * pgvector в той же PostgreSQL, что и история диалогов (нужно расширение vector).
+ * Пул свой: close() в индексаторе не должен закрывать соединения истории диалогов
+ */
+class PgVectorStore {
+  constructor() {
+    this.name = 'pgvector';
+    this.pool = createPool();
+    this.namespace = config.vectorStore.namespace;
+    this.ready = null;
+  }
+
+  /**
+   * Создать расширение и таблицу при первом обращении
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.pool.query(`
+        CREATE EXTENSION IF NOT EXISTS vector;
+
+        CREATE TABLE IF NOT EXISTS kb_vectors (
+          namespace VARCHAR(255) NOT NULL,
+          id VARCHAR(512) NOT NULL,
+          embedding vector NOT NULL,
+          metadata JSONB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (namespace, id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_kb_vectors_source ON kb_vectors(namespace, (metadata->>'source_url'));
+
+        CREATE TABLE IF NOT EXISTS kb_keyword_index (
+          namespace VARCHAR(255) PRIMARY KEY,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async upsert(records) {
+    await this.init();
+    for (const { id, values, metadata } of records) {
+      await this.pool.query(
+        `INSERT INTO kb_vectors (namespace, id, embedding, metadata) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (namespace, id)
+         DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata, updated_at = CURRENT_TIMESTAMP`,
+        [this.namespace, id, JSON.stringify(values), JSON.stringify(metadata)]
+      );
+    }
+  }
+
+  async query(vector, { topK = 5 } = {}) {
+    await this.init();
+    const result = await this.pool.query(
+      `SELECT id, metadata, 1 - (embedding <=> $2::vector) AS score
+       FROM kb_vectors
+       WHERE namespace = $1
+       ORDER BY embedding <=> $2::vector
+       LIMIT $3`,
+      [this.namespace, JSON.stringify(vector), topK]
+    );
+    return result.rows.map(row => ({ id: row.id, score: Number(row.score), metadata: row.metadata }));
+  }
+
+  async delete(ids) {
+    await this.init();
+    await this.pool.query('DELETE FROM kb_vectors WHERE namespace = $1 AND id = ANY($2)', [this.namespace, ids]);
+  }
+
+  async deleteBySource(sourceUrl) {
+    await this.init();
+    await this.pool.query(
+      `DELETE FROM kb_vectors WHERE namespace = $1 AND metadata->>'source_url' = $2`,
+      [this.namespace, sourceUrl]
+    );
+  }
+
+  async list() {
+    await this.init();
+    const result = await this.pool.query(
+      'SELECT id, metadata FROM kb_vectors WHERE namespace = $1 ORDER BY id',
+      [this.namespace]
+    );
+    return result.rows;
+  }
+
+  async saveKeywordIndex(data) {
+    await this.init();
+    await this.pool.query(
+      `INSERT INTO kb_keyword_index (namespace, data) VALUES ($1, $2)
+       ON CONFLICT (namespace) DO UPDATE SET data = EXCLUDED.data, updated_at = CURRENT_TIMESTAMP`,
+      [this.namespace, JSON.stringify(data)]
+    );
+  }
+
+  async keywordIndexVersion() {
+    await this.init();
+    const result = await this.pool.query('SELECT updated_at FROM kb_keyword_index WHERE namespace = $1', [this.namespace]);
+    return result.rows[0] ? result.rows[0].updated_at.toISOString() : null;
+  }
+
+  async loadKeywordIndex() {
+    await this.init();
+    const result = await this.pool.query('SELECT data FROM kb_keyword_index WHERE namespace = $1', [this.namespace]);
+    return result.rows[0]?.data || null;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Косинусная близость двух векторов
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * JSON-файл на диске — для разработки и офлайн-запуска (поиск перебором)
+ */
+class FileVectorStore {
+  constructor() {
+    this.name = 'file';
+    this.path = config.vectorStore.filePath;
+    this.keywordIndexPath = config.knowledgeBase.keywordIndexPath;
+    this.namespace = config.vectorStore.namespace;
+    // { namespace: { id: { values, metadata } } }
+    this.data = null;
+  }
+
+  async load() {
+    if (!this.data) {
+      try {
+        this.data = JSON.parse(await readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.data = {};
+      }
+    }
+    this.data[this.namespace] = this.data[this.namespace] || {};
+    return this.data[this.namespace];
+  }
+
+  async save() {
+    const path = this.path instanceof URL ? fileURLToPath(this.path) : this.path;
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(this.data));
+  }
+
+  async upsert(records) {
+    const stored = await this.load();
+    for (const { id, values, metadata } of records) {
+      stored[id] = { values, metadata };
+    }
+    await this.save();
+  }
+
+  async query(vector, { topK = 5 } = {}) {
+    const records = await this.load();
+    return Object.entries(records)
+      .map(([id, { values, metadata }]) => ({ id, score: cosineSimilarity(vector, values), metadata }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async delete(ids) {
+    const records = await this.load();
+    for (const id of ids) delete records[id];
+    await this.save();
+  }
+
+  async deleteBySource(sourceUrl) {
+    const records = await this.load();
+    for (const [id, { metadata }] of Object.entries(records)) {
+      if (metadata.source_url === sourceUrl) delete records[id];
+    }
+    await this.save();
+  }
+
+  async list() {
+    const records = await this.load();
+    return Object.entries(records).map(([id, { metadata }]) => ({ id, metadata }));
+  }
+
+  async saveKeywordIndex(data) {
+    const path = this.keywordIndexPath instanceof URL ? fileURLToPath(this.keywordIndexPath) : this.keywordIndexPath;
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(data));
+  }
+
+  async keywordIndexVersion() {
+    try {
+      const { mtimeMs } = await stat(this.keywordIndexPath);
+      return String(mtimeMs);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async loadKeywordIndex() {
+    try {
+      return JSON.parse(await readFile(this.keywordIndexPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async close() {}
+}
+
+const providers = {
+  pinecone: PineconeVectorStore,
+  pgvector: PgVectorStore,
+  file: FileVectorStore
+};
+
+/**
+ * Создать хранилище векторов по имени из конфига
+ * @param {string} name - 'pinecone' | 'pgvector' | 'file'
+ */
+export function createVectorStore(name = config.vectorStore.provider) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Неизвестное хранилище векторов: ${name}`);
+  }
+  return new Provider();
+}
@@ -0,0 +1,74 @@
+import { config } from '../config/config.js';
+import llmService from '../services/llmService.js';
+
+/**
+ * Провайдеры распознавания изображений (скриншоты туров, фото отелей, документы).
+ * Интерфейс провайдера: async describeImage({ url }) → string|null
+ */
+
+const VISION_PROMPT = `Клиент турагентства прислал изображение. Кратко (2-4 предложения) опиши, что на нём, на русском языке.
+Если это скриншот тура или отеля — обязательно перечисли: страну/курорт, название отеля, звёздность, даты, количество ночей, состав туристов, цену, город вылета (что видно).
+Если это паспорт или другой документ с персональными данными — НЕ переписывай данные, просто укажи тип документа.`;
+
+/**
+ * Описание изображения через цепочку LLM провайдеров (llmService): участвуют провайдеры
+ * с visionModel (VISION_MODEL, LOCAL_VISION_MODEL), fallback и учёт расхода как у чата
+ */
+class LLMVisionProvider {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  async describeImage({ url }) {
+    const { message } = await llmService.chat({
+      vision: true,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: VISION_PROMPT },
+            { type: 'image_url', image_url: { url } }
+          ]
+        }
+      ],
+      temperature: 0.2,
+      maxTokens: 300
+    });
+
+    return message.content?.trim() || null;
+  }
+}
+
+/**
+ * Заглушка для локального тестирования
+ */
+class StubVisionProvider {
+  constructor() {
+    this.name = 'stub';
+    this.description = process.env.STUB_IMAGE_DESCRIPTION
+      || 'Скриншот тура: Турция, Анталия, отель 5*, 7 ночей, 2 взрослых, цена 180 000 ₽';
+  }
+
+  async describeImage() {
+    return this.description;
+  }
+}
+
+const providers = {
+  llm: LLMVisionProvider,
+  // Прежнее имя — для существующих .env
+  openai: LLMVisionProvider,
+  stub: StubVisionProvider
+};
+
+/**
+ * Создать провайдер распознавания изображений по имени из конфига
+ * @param {string} name - 'llm' | 'stub'
+ */
+export function createVisionProvider(name = config.attachments.visionProvider) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Неизвестный vision провайдер: ${name}`);
+  }
+  return new Provider();
+}
@@ -1,16 +1,23 @@
-import OpenAI from 'openai';
 import { config } from '../config/config.js';
+import llmService from './llmService.js';
 import tavilyService from './tavilyService.js';
-import pineconeService from './pineconeService.js';
+import knowledgeGapService from './knowledgeGapService.js';
+import knowledgeBaseService from './knowledgeBaseService.js';
+import aviasalesApi from './aviasalesApi.js';
+import hotellookApi from './hotellookApi.js';
+import serpApiService from './serpApiService.js';
+import hotToursService from './hotToursService.js';
+import { withTimeout, TimeoutError } from '../utils/withTimeout.js';
+import { tokenize } from '../utils/russianText.js';
+import { parseTravelDates } from '../utils/dateParser.js';
+import { normalizeTravellers, formatTravellers, passengerCounts, guestsPerRoom, INFANT_AGE } from '../utils/travellers.js';
+
+// Ответ клиенту, если модель так и не дала текста (пустой content у локальной модели или GigaChat после инструментов)
+const EMPTY_ANSWER_FALLBACK = 'Извините, не получилось сформулировать ответ 🙏 Уточните, пожалуйста, вопрос — или я передам его менеджеру.';
 
 class AIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-    this.model = config.openai.model;
-
-    // Определяем доступные функции для OpenAI Function Calling
+    // Определяем доступные функции для Function Calling (формат OpenAI, провайдеры конвертируют сами)
     this.tools = [
       {
         type: 'function',
@@ -45,14 +52,143 @@ class AIService {
             required: ['query']
           }
         }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'search_flights',
+          description: 'Поиск реальных цен на авиабилеты (Aviasales). Используй для оценки стоимости перелёта перед сводкой с ценами и когда клиент спрашивает цену билетов.',
+          parameters: {
+            type: 'object',
+            properties: {
+              origin: {
+                type: 'string',
+                description: 'Город вылета на русском (например: "Пермь") или IATA код'
+              },
+              destination: {
+                type: 'string',
+                description: 'Город/курорт прилёта на русском (например: "Анталия", "Дубай") или IATA код'
+              },
+              departure_date: {
+                type: 'string',
+                description: 'Дата вылета YYYY-MM-DD (или YYYY-MM если точная дата неизвестна) либо даты словами клиента: "с 28 декабря по 5 января", "на майские", "в конце июня на 10 ночей"'
+              },
+              return_date: {
+                type: 'string',
+                description: 'Дата обратного вылета YYYY-MM-DD (опционально; если в departure_date диапазон или длительность — вычисляется сама)'
+              },
+              adults: {
+                type: 'integer',
+                description: 'Количество взрослых пассажиров (если не указано — из карточки клиента)'
+              },
+              children_ages: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: 'Возраст каждого ребёнка, младенцам до года — 0 (если не указано — из карточки клиента)'
+              }
+            },
+            required: ['origin', 'destination', 'departure_date']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'search_hotels',
+          description: 'Поиск реальных отелей и цен на проживание (Google Hotels / Hotellook). Используй ПЕРЕД сводкой с отелями, вместо цен по памяти.',
+          parameters: {
+            type: 'object',
+            properties: {
+              location: {
+                type: 'string',
+                description: 'Курорт или город (например: "Анталия", "Хургада", "Пхукет")'
+              },
+              check_in: {
+                type: 'string',
+                description: 'Дата заезда YYYY-MM-DD либо даты словами клиента ("с 10 по 17 июня", "на новогодние")'
+              },
+              check_out: {
+                type: 'string',
+                description: 'Дата выезда YYYY-MM-DD (опционально, если в check_in диапазон или длительность)'
+              },
+              adults: {
+                type: 'integer',
+                description: 'Количество взрослых (если не указано — из карточки клиента)'
+              },
+              children_ages: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: 'Возраст каждого ребёнка, младенцам до года — 0 (если не указано — из карточки клиента)'
+              },
+              rooms: {
+                type: 'integer',
+                description: 'Количество номеров, если клиент селится в несколько (по умолчанию 1)'
+              },
+              stars: {
+                type: 'integer',
+                description: 'Желаемая звёздность (3, 4 или 5), опционально'
+              },
+              max_price_per_night: {
+                type: 'integer',
+                description: 'Максимальная цена за ночь в рублях, опционально'
+              }
+            },
+            required: ['location', 'check_in']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'find_hot_tours',
+          description: 'Горящие туры агентства со страницы planetaperm.ru/hot/ (реальные предложения с ценами). Незаданные параметры берутся из карточки клиента.',
+          parameters: {
+            type: 'object',
+            properties: {
+              destination: {
+                type: 'string',
+                description: 'Страна или курорт (например: "Турция", "Хургада"); пусто — любое направление'
+              },
+              departure_city: {
+                type: 'string',
+                description: 'Город вылета (например: "Пермь")'
+              },
+              dates: {
+                type: 'string',
+                description: 'Дата вылета YYYY-MM-DD либо даты словами клиента ("в начале ноября", "с 25 октября на неделю")'
+              },
+              nights: {
+                type: 'integer',
+                description: 'Количество ночей'
+              },
+              max_price_per_person: {
+                type: 'integer',
+                description: 'Максимальная цена тура на человека в рублях'
+              },
+              stars: {
+                type: 'integer',
+                description: 'Минимальная звёздность отеля (3, 4 или 5)'
+              }
+            }
+          }
+        }
       }
     ];
+
+    // Обработчики инструментов: имя функции → async (args) => результат для модели
+    this.toolHandlers = {
+      search_general_info: (args, context) => this.performGeneralSearch(args.query, context),
+      search_company_info: (args, context) => this.performCompanySearch(args.query, context),
+      search_flights: (args, context) => this.performFlightSearch(args, context),
+      search_hotels: (args, context) => this.performHotelSearch(args, context),
+      find_hot_tours: (args, context) => this.performHotToursSearch(args, context)
+    };
   }
 
   /**
    * Генерация системного промпта для AI агента (v2.0 — квалификатор лидов)
    */
-  generateSystemPrompt(userData) {
+  generateSystemPrompt(userData, knownFacts = '') {
     const now = new Date();
     const currentDate = now.toLocaleString('ru-RU', {
       day: '2-digit',
@@ -68,7 +204,7 @@ ID клиента: ${userData.peerId}.
 Сайт компании: planetaperm.ru
 
 ВАЖНО: Используй текущую дату для расчёта дат поездок. Если клиент говорит "через месяц" — считай от текущей даты.
-
+${knownFacts ? `\n${knownFacts}\n` : ''}
 Ты — Катя, ИИ-консультант турагентства "Планета" (г. Пермь). Твоя задача — тепло и профессионально пообщаться с клиентом, собрать информацию о его пожеланиях, дать примерную оценку стоимости и передать менеджеру готовый запрос с контактом.
 
 ТОНАЛЬНОСТЬ И СТИЛЬ:
@@ -110,14 +246,15 @@ ID клиента: ${userData.peerId}.
 
 ОЦЕНКА БЮДЖЕТА И РЕАЛИСТИЧНОСТЬ:
 Когда клиент назвал бюджет и направление — оцени реалистичность!
+Сравнивай бюджет НА ВСЮ ПОЕЗДКУ в рублях: если в карточке клиента указан пересчёт (из валюты или "на человека") — бери его.
 - Если бюджет СЛИШКОМ маленький для направления (например, Мальдивы за 100 000₽ на двоих) — МЯГКО предупреди: "Для Мальдив бюджет в 100 000₽ на двоих может быть маловат — обычно туры туда стартуют от 250-300 тысяч ✈️ Может рассмотреть варианты ближе к бюджету, например Турцию или Египет?"
 - Если бюджет реалистичный — подтверди: "Отличный бюджет для этого направления! 👌"
 
 ПОСЛЕ СБОРА ВСЕЙ ИНФОРМАЦИИ:
 
-1. Подбери 2-3 конкретных отеля, подходящих под запрос клиента (используй свои знания о популярных отелях или search_general_info)
+1. Подбери 2-3 конкретных отеля, подходящих под запрос клиента (вызови search_hotels — НЕ бери цены из памяти)
 2. Для каждого отеля укажи: название, звёздность, краткое описание (1 строка) и ПРИМЕРНУЮ стоимость за весь период
-3. Укажи примерную стоимость перелёта
+3. Укажи примерную стоимость перелёта (вызови search_flights)
 4. ОБЯЗАТЕЛЬНО добавь дисклеймер — цены ориентировочные, ты можешь ошибаться, точные рассчитает менеджер или можно посмотреть на сайте planetaperm.ru
 
 Пример:
@@ -156,18 +293,48 @@ ID клиента: ${userData.peerId}.
 
 ИСПОЛЬЗОВАНИЕ ИНСТРУМЕНТОВ:
 
-У тебя есть 2 инструмента:
+У тебя есть 5 инструментов:
 
 A) search_general_info — поиск информации через Tavily AI
    ОБЯЗАТЕЛЬНО вызывай когда клиент спрашивает про: рейсы, перелёты, авиабилеты, прямые рейсы, пересадки, расписание самолётов, стоимость билетов — ВСЕГДА иди в интернет, НИКОГДА не отвечай по памяти на вопросы о рейсах!
    Также вызывай для: виз, погоды, отзывов, климата, достопримечательностей.
-   Также вызывай для поиска актуальных цен на перелёты/отели перед формированием сводки.
+   Для цен на перелёты и отели используй search_flights и search_hotels.
    ВАЖНО: Никогда не утверждай что рейс прямой или что маршрут существует без проверки через этот инструмент!
    КРИТИЧЕСКИ ВАЖНО: В ответе от Tavily поле "ВЫВОД ПОИСКА" — это итоговый вывод поисковика, он самый точный. Доверяй ему БЕЗОГОВОРОЧНО. Если там написано "прямых рейсов нет" — значит прямых рейсов НЕТ, даже если в деталях источников упоминаются авиакомпании. НЕ ПРОТИВОРЕЧЬ выводу поиска!
 
 B) search_company_info — поиск информации о турагентстве "Планета"
    Вызывай когда клиент спрашивает о самой компании, её услугах, офисах, контактах, рассрочке/кредите, отзывах, доступных направлениях из Перми, FAQ, работниках, директорах, контактах компании/менеджеров.
    Примеры: "где ваш офис?", "можно ли в рассрочку?", "какие направления есть?", "расскажите о компании"
+   Ссылку "Подробнее" на страницу сайта из sources система добавит к ответу сама — не вставляй её в текст.
+
+C) search_flights — реальные цены на авиабилеты (Aviasales)
+   Вызывай перед сводкой с ценами, когда известны город вылета, направление и даты. Даты передавай в формате YYYY-MM-DD или словами клиента ("с 28 декабря по 5 января", "на майские на 7 ночей") — они разберутся сами.
+   Называй клиенту цену из результата, а не по памяти. Если цен нет — не придумывай, скажи что уточнит менеджер.
+
+D) search_hotels — реальные отели и цены на проживание
+   Вызывай перед сводкой с отелями. Передавай состав (взрослые и возраст детей) и звёздность, если клиент их назвал.
+   Если в результате цена помечена как ПРИМЕРНАЯ — так и скажи клиенту.
+   Цены отелей — только проживание. Итог = перелёт + проживание.
+
+E) find_hot_tours — горящие туры агентства (перелёт + отель, реальные предложения с сайта)
+   Вызывай, когда клиент спрашивает про горящие туры, "что есть подешевле", "куда можно улететь на днях", или когда даты близкие и известно направление.
+   Параметры, которые клиент не называл в последних сообщениях, можно не передавать — возьмутся из карточки клиента.
+   Предлагай только туры из результата. Если подходящих нет — скажи об этом и предложи направления, по которым горящие туры есть, или подбор менеджером.
+   Всегда предупреждай, что места в горящих турах разбирают быстро, а наличие и точную цену подтвердит менеджер.
+
+Инструменты можно вызывать несколько раз подряд и параллельно (например, сразу search_flights и search_hotels).
+
+ВЛОЖЕНИЯ ОТ КЛИЕНТА:
+Фрагменты в квадратных скобках вида [Голосовое сообщение]: ..., [Клиент прислал фото. Содержимое: ...], [Клиент отправил геолокацию: ...] — это автоматическое описание вложений, которые прислал клиент.
+- Голосовое — отвечай на расшифровку как на обычный текст
+- Скриншот тура — используй данные со скриншота (страна, отель, даты, цена) как пожелания клиента и не переспрашивай то, что уже видно
+- Геолокация — можно уточнить, будет ли это город вылета
+- Стикер без текста — коротко и дружелюбно ответь и продолжи диалог с того места, где остановились
+- Документ или видео, содержимое которого недоступно — вежливо попроси кратко написать суть текстом
+НИКОГДА не упоминай квадратные скобки и слово "вложение" в ответе.
+
+СООБЩЕНИЯ МЕНЕДЖЕРА:
+Сообщения в истории с пометкой [Менеджер] написал клиенту менеджер агентства. Не противоречь его ответам и договорённостям, не повторяй то, что он уже сказал, и никогда не начинай свои ответы с этой пометки.
 
 ОБРАБОТКА ВОЗРАЖЕНИЙ:
 
@@ -188,7 +355,7 @@ B) search_company_info — поиск информации о турагентс
 - Один вопрос за раз! Не задавай несколько вопросов в одном сообщении
 - Если дети — спроси возраст!
 - НИКОГДА не обсуждай комиссию, наценку, цену закупки
-- НИКОГДА не давай прямые ссылки на Booking.com или другие сайты бронирования
+- НИКОГДА не давай прямые ссылки на Booking.com или другие сайты бронирования (исключение — партнёрские ссылки из search_flights и search_hotels, и только если клиент сам просит ссылку)
 - Для приблизительных цен — ВСЕГДА в конце добавляй оговорку с ⚠️ что цены ориентировочные, ты могла ошибиться как в меньшую так и в большую сторону, точные цены у менеджера или на сайте planetaperm.ru
 - Если не уверен в ценах — так и скажи, не выдумывай конкретных чисел
 - Телефон и способ связи проси ПОСЛЕ сводки с примерными ценами
@@ -198,10 +365,21 @@ B) search_company_info — поиск информации о турагентс
 
   /**
    * Получить ответ от AI с поддержкой Function Calling
+   * knownFacts — блоки контекста для промпта: карточка квалификации и сводка ранней части диалога
+   * context — данные чата для инструментов: { travellers } — состав туристов из карточки, { qualification } — вся карточка
+   * (недостающие параметры find_hot_tours), { peerId } — для журнала пробелов в базе знаний.
+   * Ссылки "Подробнее" не дописываются: метку [MANAGER_REQUEST] нужно сначала вырезать — см. appendSourceLinks
+   *
+   * Агентный цикл: модель может вызывать инструменты до maxToolRounds раундов подряд
+   * (например, сначала визы, потом перелёты). Вызовы одного раунда выполняются параллельно,
+   * у каждого свой таймаут, а общий дедлайн не даёт статусу "печатает..." висеть минуту.
+   * @returns {Promise<{answer: string, sources: Array<{url, title, text}>}>}
+   *   answer — ответ модели как есть (может содержать [MANAGER_REQUEST]; пустой ответ заменяется заготовкой),
+   *   sources — страницы сайта из search_company_info
    */
-  async getChatResponse(userMessage, userData, conversationHistory = []) {
+  async getChatResponse(userMessage, userData, conversationHistory = [], knownFacts = '', context = {}) {
     try {
-      const systemPrompt = this.generateSystemPrompt(userData);
+      const systemPrompt = this.generateSystemPrompt(userData, knownFacts);
 
       const messages = [
         { role: 'system', content: systemPrompt },
@@ -209,80 +387,137 @@ B) search_company_info — поиск информации о турагентс
         { role: 'user', content: userMessage }
       ];
 
-      // Первый запрос к OpenAI с tools
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        tools: this.tools,
-        tool_choice: 'auto',
-        temperature: 0.7,
-        max_tokens: 1500
-      });
-
-      const assistantMessage = response.choices[0].message;
+      const { maxToolRounds, deadlineMs, finalAnswerReserveMs } = config.ai;
+      const deadline = Date.now() + deadlineMs;
+      // Страницы сайта, найденные search_company_info за этот ответ — для ссылки "Подробнее"
+      const toolContext = { ...context, sources: [] };
+
+      for (let round = 0; ; round++) {
+        // Инструменты разрешены, пока не исчерпаны раунды и остаётся время на финальный ответ
+        const toolsAllowed = round < maxToolRounds && deadline - Date.now() > finalAnswerReserveMs;
+
+        const { message: assistantMessage } = await llmService.chat({
+          messages: messages,
+          tools: toolsAllowed ? this.tools : undefined,
+          temperature: 0.7,
+          maxTokens: 1500,
+          timeout: Math.max(deadline - Date.now(), finalAnswerReserveMs)
+        });
 
-      // Если AI не вызвал функции — возвращаем обычный ответ
-      if (!assistantMessage.tool_calls) {
-        return assistantMessage.content;
-      }
+        // Если AI не вызвал функции — возвращаем обычный ответ
+        if (!assistantMessage.tool_calls || !toolsAllowed) {
+          let answer = (assistantMessage.content || '').trim();
+          // Пустой ответ при доступных инструментах — ещё один запрос без них, чтобы модель ответила текстом
+          if (!answer && toolsAllowed) {
+            console.warn('⚠️  Модель вернула пустой ответ, повторяем запрос без инструментов');
+            const { message: retryMessage } = await llmService.chat({
+              messages: messages,
+              temperature: 0.7,
+              maxTokens: 1500,
+              timeout: Math.max(deadline - Date.now(), finalAnswerReserveMs)
+            });
+            answer = (retryMessage.content || '').trim();
+          }
+          if (!answer) {
+            console.warn('⚠️  Модель вернула пустой ответ, отвечаем заготовкой');
+            answer = EMPTY_ANSWER_FALLBACK;
+          }
+          return { answer, sources: toolContext.sources };
+        }
 
-      // Если AI вызвал функции — обрабатываем их
-      console.log('🤖 AI вызвал функции:', assistantMessage.tool_calls.map(tc => tc.function.name).join(', '));
+        console.log(`🤖 AI вызвал функции (раунд ${round + 1}/${maxToolRounds}):`, assistantMessage.tool_calls.map(tc => tc.function.name).join(', '));
 
-      // Добавляем сообщение ассистента с вызовом функций в историю
-      messages.push(assistantMessage);
+        // Добавляем сообщение ассистента с вызовом функций в историю
+        messages.push(assistantMessage);
 
-      // Обрабатываем каждый вызов функции
-      for (const toolCall of assistantMessage.tool_calls) {
-        const functionName = toolCall.function.name;
-        const functionArgs = JSON.parse(toolCall.function.arguments);
+        // Выполняем все вызовы раунда параллельно
+        const toolMessages = await Promise.all(
+          assistantMessage.tool_calls.map(toolCall => this.executeToolCall(toolCall, deadline, toolContext))
+        );
+        messages.push(...toolMessages);
+      }
 
-        console.log(`🔧 Вызов функции: ${functionName}`, functionArgs);
+    } catch (error) {
+      console.error('❌ Ошибка получения ответа от LLM:', error.message);
+      throw error;
+    }
+  }
 
-        let functionResult;
+  /**
+   * Дописать к ответу "Подробнее: <ссылка>" на страницы сайта, по которым отвечала база знаний.
+   * Ссылки уже только со своего домена (knowledgeBaseService.getSources). Страницу цитируем, только если ответ
+   * действительно взят из неё (в ответе не меньше citationMinOverlap значимых слов её чанка); повторы и ссылки,
+   * которые модель сама вставила в ответ, пропускаем. Вызывать для ответа уже без метки [MANAGER_REQUEST]
+   */
+  appendSourceLinks(answer, sources) {
+    if (!answer || sources.length === 0) return answer;
 
-        if (functionName === 'search_general_info') {
-          functionResult = await this.performGeneralSearch(functionArgs.query);
-        } else if (functionName === 'search_company_info') {
-          functionResult = await this.performCompanySearch(functionArgs.query);
-        } else {
-          functionResult = { error: 'Неизвестная функция' };
-        }
+    const answerStems = new Set(tokenize(answer).map(token => token.stem));
+    const usedInAnswer = (source) => new Set(tokenize(source.text)
+      .map(token => token.stem)
+      .filter(stem => answerStems.has(stem))).size >= config.knowledgeBase.citationMinOverlap;
 
-        // Добавляем результат функции в историю
-        messages.push({
-          role: 'tool',
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(functionResult)
-        });
-      }
+    const links = [...new Set(sources.filter(usedInAnswer).map(source => source.url))]
+      .filter(url => !answer.includes(url))
+      .slice(0, config.knowledgeBase.maxCitations);
+    if (links.length === 0) return answer;
 
-      // Второй запрос к OpenAI с результатами функций
-      const secondResponse = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 1500
-      });
+    return `${answer}\n\nПодробнее: ${links.join('\n')}`;
+  }
 
-      return secondResponse.choices[0].message.content;
+  /**
+   * Выполнить один вызов инструмента с таймаутом
+   * @param {Object} toolCall - tool_call из ответа модели
+   * @param {number} deadline - общий дедлайн ответа (timestamp)
+   * @param {Object} context - данные чата для обработчика
+   * @returns {Promise<Object>} Сообщение с role: 'tool' для истории
+   */
+  async executeToolCall(toolCall, deadline, context = {}) {
+    const functionName = toolCall.function.name;
+    let functionResult;
 
+    try {
+      const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
+      console.log(`🔧 Вызов функции: ${functionName}`, functionArgs);
+
+      const handler = this.toolHandlers[functionName];
+      if (!handler) {
+        functionResult = { error: 'Неизвестная функция' };
+      } else {
+        const timeoutMs = Math.max(
+          Math.min(config.ai.toolTimeoutMs, deadline - Date.now() - config.ai.finalAnswerReserveMs),
+          1000
+        );
+        functionResult = await withTimeout(handler(functionArgs, context), timeoutMs, functionName);
+      }
     } catch (error) {
-      console.error('❌ Ошибка получения ответа от OpenAI:', error.message);
-      throw error;
+      console.error(`❌ Ошибка функции ${functionName}:`, error.message);
+      functionResult = {
+        success: false,
+        message: error instanceof TimeoutError
+          ? 'Поиск занял слишком много времени, результат недоступен.'
+          : 'Произошла ошибка при выполнении функции.'
+      };
     }
+
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(functionResult)
+    };
   }
 
   /**
    * Поиск информации через Tavily AI
    */
-  async performGeneralSearch(query) {
+  async performGeneralSearch(query, context = {}) {
     try {
       console.log(`🌐 Поиск информации: "${query}"`);
 
       const result = await tavilyService.searchInfo(query);
 
       if (!result) {
+        await knowledgeGapService.record({ peerId: context.peerId, query, source: 'web', reason: 'no_results', bestScore: null });
         return {
           success: false,
           message: 'Не удалось найти информацию по запросу.'
@@ -296,6 +531,7 @@ B) search_company_info — поиск информации о турагентс
 
     } catch (error) {
       console.error('❌ Ошибка поиска информации:', error.message);
+      await knowledgeGapService.record({ peerId: context.peerId, query, source: 'web', reason: 'error', bestScore: null });
       return {
         success: false,
         message: 'Произошла ошибка при поиске информации.'
@@ -304,13 +540,15 @@ B) search_company_info — поиск информации о турагентс
   }
 
   /**
-   * Поиск информации о компании в базе знаний (Pinecone)
+   * Поиск информации о компании в базе знаний
    */
-  async performCompanySearch(query) {
+  async performCompanySearch(query, context = {}) {
     try {
       console.log(`📚 Поиск в базе знаний: "${query}"`);
 
-      const result = await pineconeService.searchKnowledgeBase(query, 5);
+      const search = await knowledgeBaseService.search(query, 5);
+      await knowledgeGapService.recordSearch(query, context.peerId, search);
+      const result = search.text;
 
       if (!result) {
         return {
@@ -319,9 +557,13 @@ B) search_company_info — поиск информации о турагентс
         };
       }
 
+      // Цитируем только самую релевантную страницу поиска — остальные чанки могли попасть в выдачу по порогу, но в ответ не войти
+      context.sources?.push(...search.sources.slice(0, 1));
+
       return {
         success: true,
-        info: result
+        info: result,
+        sources: search.sources.map(({ url, title }) => ({ url, title }))
       };
 
     } catch (error) {
@@ -333,13 +575,340 @@ B) search_company_info — поиск информации о турагентс
     }
   }
 
+  /**
+   * Поиск авиабилетов через Aviasales (Travelpayouts)
+   */
+  async performFlightSearch({ origin, destination, departure_date, return_date, adults, children_ages }, context = {}) {
+    try {
+      const dates = this.resolveTripDates(departure_date, return_date);
+      if (!dates.from) {
+        return {
+          success: false,
+          message: `Не удалось разобрать дату вылета "${departure_date}". Уточни даты у клиента.`
+        };
+      }
+
+      const originCode = this.resolveIataCode(origin);
+      const destinationCode = this.resolveIataCode(destination);
+
+      if (!originCode || !destinationCode) {
+        return {
+          success: false,
+          message: `Не удалось определить код аэропорта для "${!originCode ? origin : destination}". Попробуй указать крупный город рядом.`
+        };
+      }
+
+      const travellers = this.resolveTravellers({ adults, children_ages }, context.travellers, 1);
+      const passengers = passengerCounts(travellers);
+
+      const flights = await aviasalesApi.searchFlights({
+        origin: originCode,
+        destination: destinationCode,
+        // Примерный месяц без конкретных дат — Aviasales ищет самые дешёвые билеты за месяц
+        departureDate: dates.approximate && !dates.to ? dates.from.slice(0, 7) : dates.from,
+        returnDate: dates.to || undefined,
+        ...passengers
+      });
+
+      if (!flights) {
+        return {
+          success: false,
+          message: 'Цены на авиабилеты по этому направлению не найдены. Не называй конкретную цену перелёта — скажи, что уточнит менеджер.'
+        };
+      }
+
+      return {
+        success: true,
+        info: this.formatFlightsForAI(flights, origin, destination, travellers)
+      };
+
+    } catch (error) {
+      console.error('❌ Ошибка поиска авиабилетов:', error.message);
+      return {
+        success: false,
+        message: 'Произошла ошибка при поиске авиабилетов.'
+      };
+    }
+  }
+
+  /**
+   * Поиск отелей: Google Hotels (SerpAPI) если настроен, иначе Hotellook
+   */
+  async performHotelSearch({ location, check_in, check_out, adults, children_ages, rooms, stars = null, max_price_per_night = null }, context = {}) {
+    try {
+      const dates = this.resolveTripDates(check_in, check_out);
+      if (!dates.from || !dates.to) {
+        return {
+          success: false,
+          message: 'Для поиска отелей нужны даты заезда и выезда (или длительность). Уточни их у клиента.'
+        };
+      }
+      check_in = dates.from;
+      check_out = dates.to;
+
+      const travellers = this.resolveTravellers({ adults, children_ages, rooms }, context.travellers, 2);
+      if (travellers.childrenAges.includes(null)) {
+        return {
+          success: false,
+          message: 'Цена проживания зависит от возраста детей. Уточни у клиента возраст каждого ребёнка.'
+        };
+      }
+
+      // Ищем цену одного номера, итог умножаем на количество номеров
+      const guests = guestsPerRoom(travellers);
+      const priceFactor = travellers.rooms;
+
+      const deepLink = hotellookApi.generateDeepLink({
+        location,
+        checkIn: check_in,
+        checkOut: check_out,
+        adults: guests.adults,
+        childrenAges: guests.childrenAges
+      });
+
+      if (config.serpapi.apiKey) {
+        const hotels = await serpApiService.searchHotels({
+          location,
+          checkInDate: check_in,
+          checkOutDate: check_out,
+          adults: guests.adults,
+          childrenAges: guests.childrenAges,
+          maxPrice: max_price_per_night
+        });
+
+        const filtered = (hotels || []).filter(hotel => !stars || hotel.stars >= stars);
+        if (filtered.length > 0) {
+          return {
+            success: true,
+            info: this.formatHotelsForAI(filtered.map(hotel => ({
+              name: hotel.name,
+              stars: hotel.stars,
+              rating: hotel.rating,
+              priceTotal: hotel.totalPrice * priceFactor,
+              pricePerNight: hotel.pricePerNight * priceFactor,
+              amenities: hotel.amenities
+            })), location, deepLink, travellers)
+          };
+        }
+      }
+
+      const hotels = await hotellookApi.searchHotels({
+        location,
+        checkIn: check_in,
+        checkOut: check_out,
+        // Младенцы в отелях обычно бесплатно — считаем только гостей от 2 лет
+        adults: guests.adults + guests.childrenAges.filter(age => age >= INFANT_AGE).length,
+        stars
+      });
+
+      if (!hotels || hotels.length === 0) {
+        return {
+          success: false,
+          message: 'Отели по запросу не найдены. Не называй конкретные цены — скажи, что варианты подберёт менеджер.'
+        };
+      }
+
+      return {
+        success: true,
+        approximate: hotels.some(hotel => hotel.approximate),
+        info: this.formatHotelsForAI(hotels.map(hotel => ({
+          name: hotel.name,
+          stars: hotel.stars,
+          rating: hotel.rating,
+          priceTotal: hotel.price_total * priceFactor,
+          pricePerNight: hotel.price_per_night * priceFactor,
+          approximate: hotel.approximate
+        })), location, deepLink, travellers)
+      };
+
+    } catch (error) {
+      console.error('❌ Ошибка поиска отелей:', error.message);
+      return {
+        success: false,
+        message: 'Произошла ошибка при поиске отелей.'
+      };
+    }
+  }
+
+  /**
+   * Горящие туры: аргументы модели поверх карточки клиента (направление, даты, город вылета, бюджет)
+   */
+  async performHotToursSearch({ destination, departure_city, dates, nights, max_price_per_person, stars }, context = {}) {
+    try {
+      const qualification = context.qualification || {};
+      const datesText = dates || qualification.dates;
+      const trip = /^\d{4}-\d{2}(?:-\d{2})?$/.test(datesText || '')
+        ? { dateFrom: datesText.length === 7 ? `${datesText}-01` : datesText, nights: null, approximate: datesText.length === 7 }
+        : parseTravelDates(datesText);
+
+      // Примерные даты без конца ("в ноябре", "в конце октября") — вылет в любой день до конца месяца,
+      // точные — рядом с датой вылета (допуск config.hotTours.dateFlexDays)
+      let latestDeparture = null;
+      if (trip?.approximate && !trip.dateTo) {
+        const [year, month] = trip.dateFrom.split('-').map(Number);
+        latestDeparture = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+      }
+
+      const filters = {
+        destination: destination || qualification.destination || null,
+        departureCity: departure_city || qualification.departureCity || null,
+        dateFrom: trip?.dateFrom || null,
+        dateTo: latestDeparture,
+        nights: nights ?? trip?.nights ?? null,
+        maxPricePerPerson: max_price_per_person || this.budgetPerPerson(qualification),
+        stars: stars || null
+      };
+
+      const result = await hotToursService.find(filters);
+      if (result.total === 0) {
+        return {
+          success: false,
+          message: 'Сейчас нет данных о горящих турах. Не называй цены горящих туров — предложи подбор менеджером.'
+        };
+      }
+
+      if (result.tours.length === 0) {
+        return {
+          success: false,
+          message: `Горящих туров под запрос клиента нет. Горящие туры сейчас есть по направлениям: ${result.destinations.join('; ')}. Можешь предложить их как альтернативу или подбор менеджером.`
+        };
+      }
+
+      return {
+        success: true,
+        info: this.formatHotToursForAI(result.tours, result.updatedAt)
+      };
+
+    } catch (error) {
+      console.error('❌ Ошибка поиска горящих туров:', error.message);
+      return {
+        success: false,
+        message: 'Произошла ошибка при поиске горящих туров.'
+      };
+    }
+  }
+
+  /**
+   * Бюджет клиента на человека в рублях (для сравнения с ценами горящих туров)
+   */
+  budgetPerPerson(qualification) {
+    const range = qualification.budgetRange;
+    if (!range?.max) return null;
+    if (range.perPerson) return range.max;
+
+    const travellers = normalizeTravellers(qualification.travellers);
+    const people = travellers ? travellers.adults + travellers.childrenAges.length : config.hotTours.tourPriceFor;
+    return Math.round(range.max / people);
+  }
+
+  /**
+   * Состав для поиска: аргументы модели (из последних сообщений) поверх состава из карточки клиента
+   * @returns {{adults, childrenAges, infants, rooms}}
+   */
+  resolveTravellers({ adults, children_ages, rooms }, stored, defaultAdults) {
+    const known = normalizeTravellers(stored);
+    return normalizeTravellers({
+      adults: adults ?? known?.adults ?? defaultAdults,
+      childrenAges: children_ages ?? known?.childrenAges ?? [],
+      rooms: rooms ?? known?.rooms ?? 1
+    });
+  }
+
+  /**
+   * Даты для поиска: модель передаёт YYYY-MM-DD или фразу клиента ("с 28 декабря по 5 января", "на майские")
+   * @returns {{from: string|null, to: string|null, approximate: boolean}}
+   */
+  resolveTripDates(from, to) {
+    const isIso = (value) => /^\d{4}-\d{2}(?:-\d{2})?$/.test(value || '');
+
+    const start = isIso(from) ? { dateFrom: from, dateTo: null, approximate: from.length === 7 } : parseTravelDates(from);
+    if (!start?.dateFrom) {
+      return { from: null, to: null, approximate: false };
+    }
+
+    let end = start.dateTo;
+    if (to) {
+      // Обратная дата без года считается от даты вылета, а не от сегодня
+      end = isIso(to) ? to : (parseTravelDates(to, new Date(`${start.dateFrom}T00:00:00`))?.dateFrom || end);
+    }
+
+    return { from: start.dateFrom, to: end, approximate: start.approximate && !to };
+  }
+
+  /**
+   * Название города или IATA код → IATA код
+   */
+  resolveIataCode(city) {
+    if (!city) return null;
+    if (/^[A-Z]{3}$/.test(city.trim())) {
+      return city.trim();
+    }
+    return aviasalesApi.getCityCode(city);
+  }
+
+  /**
+   * Форматирование перелётов для GPT
+   */
+  formatFlightsForAI(flights, origin, destination, travellers) {
+    const lines = flights.map((flight, index) => {
+      const transfers = flight.transfers === 0 ? 'прямой' : `пересадок: ${flight.transfers ?? 'н/д'}`;
+      const returnPart = flight.return_at ? `, обратно ${flight.return_at.substring(0, 10)}` : '';
+      return `${index + 1}. ${flight.airline} ${flight.flight_number || ''}, вылет ${flight.departure_at?.substring(0, 10)}${returnPart}, ${transfers}
+   Цена: ${flight.price_per_person}₽ за взрослого, ${flight.price}₽ на всех (${formatTravellers(travellers)})
+   Ссылка: ${flight.link}`;
+    });
+
+    return `Авиабилеты ${origin} → ${destination} (реальные цены Aviasales, могут измениться):
+${lines.join('\n')}
+${travellers.childrenAges.length > 0 ? 'Дети посчитаны по взрослому тарифу, младенцы без места — ~10%. Итог примерный, точный детский тариф уточнит менеджер.\n' : ''}Ссылки партнёрские — давай клиенту только если он сам попросит ссылку.`;
+  }
+
+  /**
+   * Форматирование отелей для GPT
+   */
+  formatHotelsForAI(hotels, location, deepLink, travellers) {
+    const lines = hotels.map((hotel, index) => {
+      const amenities = hotel.amenities ? `\n   Удобства: ${hotel.amenities}` : '';
+      const title = hotel.approximate ? `Средний отель ${hotel.stars}⭐` : `${hotel.name} ${hotel.stars || '?'}⭐ (рейтинг ${hotel.rating})`;
+      return `${index + 1}. ${title}
+   Цена: ${hotel.priceTotal}₽ за весь период, ${hotel.pricePerNight}₽ за ночь${hotel.approximate ? ' (ПРИМЕРНАЯ оценка, не реальная цена)' : ''}${amenities}`;
+    });
+
+    const roomsNote = travellers.rooms > 1 ? `, цена за все номера вместе (${travellers.rooms})` : '';
+    return `Отели в ${location} для ${formatTravellers(travellers)} (только проживание, без перелёта${roomsNote}):
+${lines.join('\n')}
+Ссылка на поиск с этими датами (партнёрская, только по просьбе клиента): ${deepLink}`;
+  }
+
+  /**
+   * Форматирование горящих туров для GPT
+   */
+  formatHotToursForAI(tours, updatedAt) {
+    const lines = tours.map((tour, index) => {
+      const hotel = tour.hotel ? `${tour.hotel} ${tour.stars ? `${tour.stars}⭐` : ''}`.trim() : 'отель уточнит менеджер';
+      const nights = tour.nights ? `, ${tour.nights} ночей` : '';
+      const price = tour.pricePerPerson
+        ? `${tour.price}₽ на человека`
+        : `${tour.price}₽ за тур на ${config.hotTours.tourPriceFor} взрослых (~${tour.priceForPerson}₽ на человека)`;
+      const url = tour.url ? `\n   Страница тура: ${tour.url}` : '';
+      return `${index + 1}. ${tour.destination} — ${hotel}
+   Вылет ${tour.departureDate} из города ${tour.departureCity || config.hotTours.departureCity}${nights}
+   Цена: ${price}${url}`;
+    });
+
+    const updated = updatedAt ? ` (обновлено ${new Date(updatedAt).toLocaleString('ru-RU')})` : '';
+    return `Горящие туры агентства${updated}, перелёт + проживание:
+${lines.join('\n')}
+Цены горящих туров меняются в течение дня, места разбирают быстро — наличие и точную цену подтвердит менеджер.`;
+  }
+
   /**
    * Суммировать диалог для уведомления в Telegram (структурированный формат)
    */
   async summarizeConversation(conversationHistory) {
     try {
       if (!conversationHistory || conversationHistory.length === 0) {
-        return { details: 'Клиент оставил телефон' };
+        return { details: 'Клиент оставил контакты' };
       }
 
       const allMessages = conversationHistory
@@ -365,16 +934,15 @@ ${allMessages}
 
 JSON:`;
 
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
+      const { message } = await llmService.chat({
         messages: [
           { role: 'user', content: summaryPrompt }
         ],
         temperature: 0.3,
-        max_tokens: 500
+        maxTokens: 500
       });
 
-      const raw = response.choices[0].message.content.trim();
+      const raw = message.content.trim();
 
       // Пытаемся распарсить JSON
       try {
@@ -386,7 +954,7 @@ JSON:`;
           people: parsed.people || null,
           budget: parsed.budget || null,
           departureCity: parsed.departureCity || null,
-          details: parsed.details || 'Клиент оставил телефон'
+          details: parsed.details || 'Клиент оставил контакты'
         };
       } catch {
         // Если GPT вернул не JSON — используем как текст
@@ -401,7 +969,7 @@ JSON:`;
         .join('. ')
         .substring(0, 200);
 
-      return { details: recentMessages || 'Клиент оставил телефон' };
+      return { details: recentMessages || 'Клиент оставил контакты' };
     }
   }
 
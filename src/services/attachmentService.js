@@ -0,0 +1,153 @@
+import { config } from '../config/config.js';
+import { createSpeechProvider } from '../providers/speechProviders.js';
+import { createVisionProvider } from '../providers/visionProviders.js';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif'];
+
+class AttachmentService {
+  constructor() {
+    this.speech = createSpeechProvider();
+    this.vision = createVisionProvider();
+    console.log(`📎 Вложения: STT=${this.speech.name}, vision=${this.vision.name}`);
+  }
+
+  /**
+   * Описать вложения и геометку сообщения VK текстом для AI
+   * @param {Object} message - объект message из события message_new
+   * @returns {Promise<{text: string|null, reply: string|null}>}
+   *   text — описание для getChatResponse, reply — готовый ответ клиенту без AI
+   */
+  async describeMessage(message) {
+    const parts = [];
+    let voiceFailed = false;
+
+    for (const attachment of message.attachments || []) {
+      const description = await this.describeAttachment(attachment);
+      if (description === null && attachment.type === 'audio_message') {
+        voiceFailed = true;
+      }
+      if (description) {
+        parts.push(description);
+      }
+    }
+
+    if (message.geo) {
+      parts.push(this.describeGeo(message.geo));
+    }
+
+    if (parts.length === 0) {
+      return {
+        text: null,
+        reply: voiceFailed
+          ? 'Не получилось разобрать голосовое сообщение 🙏 Напишите, пожалуйста, текстом — я сразу отвечу!'
+          : null
+      };
+    }
+
+    return { text: parts.join('\n'), reply: null };
+  }
+
+  /**
+   * Описать одно вложение
+   * @returns {Promise<string|null>} Описание или null если вложение не удалось обработать
+   */
+  async describeAttachment(attachment) {
+    const data = attachment[attachment.type];
+
+    try {
+      switch (attachment.type) {
+        case 'audio_message':
+          return await this.describeVoice(data);
+        case 'photo':
+          return await this.describeImage(this.getLargestPhotoUrl(data), 'фото');
+        case 'sticker':
+          return '[Клиент отправил стикер]';
+        case 'doc':
+          if (IMAGE_EXTENSIONS.includes(data?.ext?.toLowerCase())) {
+            return await this.describeImage(data.url, `изображение «${data.title}»`);
+          }
+          return `[Клиент прислал документ «${data?.title || 'без названия'}»${data?.ext ? ` (${data.ext})` : ''} — содержимое документа недоступно]`;
+        case 'link':
+          return `[Клиент прислал ссылку: ${data?.title ? `${data.title} — ` : ''}${data?.url}]`;
+        case 'wall':
+          return `[Клиент переслал запись со стены${data?.text ? `: ${data.text.substring(0, 500)}` : ''}]`;
+        case 'video':
+          return `[Клиент прислал видео${data?.title ? ` «${data.title}»` : ''}]`;
+        default:
+          return `[Клиент прислал вложение типа ${attachment.type}]`;
+      }
+    } catch (error) {
+      console.error(`❌ Ошибка обработки вложения ${attachment.type}:`, error.message);
+      return attachment.type === 'audio_message' ? null : `[Клиент прислал ${attachment.type === 'photo' ? 'фото' : 'вложение'}, распознать не удалось]`;
+    }
+  }
+
+  /**
+   * Голосовое: сначала расшифровка от VK (если готова), иначе STT провайдер
+   */
+  async describeVoice(audio) {
+    if (!audio) return null;
+
+    if (audio.transcript && audio.transcript_state === 'done') {
+      console.log('🎙️ Голосовое: используем расшифровку VK');
+      return `[Голосовое сообщение]: ${audio.transcript}`;
+    }
+
+    if (audio.duration > config.attachments.maxVoiceDuration) {
+      console.warn(`⚠️  Голосовое слишком длинное (${audio.duration} сек), пропускаем`);
+      return null;
+    }
+
+    const url = audio.link_mp3 || audio.link_ogg;
+    if (!url) return null;
+
+    console.log(`🎙️ Распознаём голосовое (${audio.duration} сек) через ${this.speech.name}`);
+    const transcript = await this.speech.transcribe({ url, durationSec: audio.duration });
+
+    return transcript ? `[Голосовое сообщение]: ${transcript}` : null;
+  }
+
+  /**
+   * Картинка: описание через vision провайдер
+   */
+  async describeImage(url, label) {
+    if (!url) {
+      return `[Клиент прислал ${label}]`;
+    }
+
+    console.log(`🖼️ Распознаём ${label} через ${this.vision.name}`);
+    const description = await this.vision.describeImage({ url });
+
+    return description
+      ? `[Клиент прислал ${label}. Содержимое: ${description}]`
+      : `[Клиент прислал ${label}, распознать не удалось]`;
+  }
+
+  /**
+   * Геометка: название места или координаты
+   */
+  describeGeo(geo) {
+    const place = geo.place;
+    const placeName = [place?.title, place?.city, place?.country].filter(Boolean).join(', ');
+    const coords = geo.coordinates
+      ? `${geo.coordinates.latitude}, ${geo.coordinates.longitude}`
+      : 'координаты неизвестны';
+
+    return `[Клиент отправил геолокацию: ${placeName || coords}]`;
+  }
+
+  /**
+   * URL самого большого размера фото
+   */
+  getLargestPhotoUrl(photo) {
+    if (photo?.orig_photo?.url) {
+      return photo.orig_photo.url;
+    }
+
+    const sizes = photo?.sizes || [];
+    const largest = [...sizes].sort((a, b) => (b.width * b.height) - (a.width * a.height))[0];
+    return largest?.url || null;
+  }
+}
+
+export default new AttachmentService();
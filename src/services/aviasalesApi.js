@@ -1,6 +1,10 @@
 import axios from 'axios';
 import { config } from '../config/config.js';
 
+// Младенец без места обычно платит ~10% взрослого тарифа; детский тариф у разных авиакомпаний разный —
+// считаем по взрослому, чтобы не занижать оценку
+const INFANT_FARE_SHARE = 0.1;
+
 class AviasalesApi {
   constructor() {
     this.baseUrl = 'https://api.travelpayouts.com/aviasales/v3';
@@ -15,10 +19,12 @@ class AviasalesApi {
    * @param {string} params.destination - IATA код города прилёта
    * @param {string} params.departureDate - дата вылета (YYYY-MM-DD)
    * @param {string} params.returnDate - дата возврата (YYYY-MM-DD, опционально)
-   * @param {number} params.adults - количество взрослых пассажиров
+   * @param {number} params.adults - количество взрослых пассажиров (включая детей от 12 лет)
+   * @param {number} params.children - дети 2-11 лет
+   * @param {number} params.infants - младенцы до 2 лет (без места)
    * @returns {Promise<Array|null>} Массив рейсов с ценами или null
    */
-  async searchFlights({ origin, destination, departureDate, returnDate, adults = 1 }) {
+  async searchFlights({ origin, destination, departureDate, returnDate, adults = 1, children = 0, infants = 0 }) {
     try {
       if (!this.token) {
         console.warn('⚠️  Travelpayouts token не настроен. Пропуск поиска авиабилетов.');
@@ -47,7 +53,7 @@ class AviasalesApi {
       });
 
       // Форматируем результаты для AI (передаём параметры поиска)
-      return this.formatFlightResults(response.data.data, adults, origin, destination, departureDate, returnDate);
+      return this.formatFlightResults(response.data.data, { adults, children, infants }, origin, destination, departureDate, returnDate);
     } catch (error) {
       console.error('❌ Ошибка поиска авиабилетов:', error.message);
 
@@ -63,47 +69,77 @@ class AviasalesApi {
    * @param {string} params.destination - IATA код прилёта
    * @param {string} params.departureDate - дата вылета (YYYY-MM-DD)
    * @param {string} params.returnDate - дата возврата (YYYY-MM-DD, опционально)
+   * @param {number} params.adults - взрослые
+   * @param {number} params.children - дети 2-11 лет
+   * @param {number} params.infants - младенцы
    * @returns {string} Deeplink URL
    */
-  generateDeepLink({ origin, destination, departureDate, returnDate }) {
-    // Формат даты: 20260501 (без дефисов)
-    const formattedDep = departureDate.replace(/-/g, '');
-    const formattedRet = returnDate ? returnDate.replace(/-/g, '') : '';
+  generateDeepLink({ origin, destination, departureDate, returnDate, adults = 1, children = 0, infants = 0 }) {
+    // Формат даты: 0105 (ДДММ)
+    const toDayMonth = (date) => {
+      const [, month, day] = date.substring(0, 10).split('-');
+      return `${day || '01'}${month}`;
+    };
+    const formattedDep = toDayMonth(departureDate);
+    const formattedRet = returnDate ? toDayMonth(returnDate) : '';
+
+    // Формат: /search/{origin}{dep_date}{destination}{ret_date}{adults}[{children}{infants}]
+    const passengers = children || infants ? `${adults}${children}${infants}` : `${adults}`;
+    return `https://www.aviasales.ru/search/${origin}${formattedDep}${destination}${formattedRet}${passengers}?marker=${this.marker}`;
+  }
 
-    // Формат: /search/{origin}{dep_date}{destination}{ret_date}{adults}
-    return `https://www.aviasales.ru/search/${origin}${formattedDep}${destination}${formattedRet}1?marker=${this.marker}`;
+  /**
+   * Добавить наш маркер к ссылке из API (API отдаёт относительный путь /search/...)
+   * @param {string} link - ссылка из ответа prices_for_dates
+   * @returns {string} Абсолютная партнёрская ссылка
+   */
+  withMarker(link) {
+    const url = new URL(link, 'https://www.aviasales.ru');
+    url.searchParams.set('marker', this.marker);
+    return url.toString();
   }
 
   /**
    * Форматировать результаты для AI
    * @param {Array} flights - массив рейсов от API
-   * @param {number} adults - количество взрослых
+   * @param {Object} passengers - { adults, children, infants }
    * @param {string} origin - IATA код вылета
    * @param {string} destination - IATA код прилёта
    * @param {string} departureDate - дата вылета для fallback ссылки
    * @param {string} returnDate - дата возврата для fallback ссылки
    * @returns {Array|null} Форматированный массив или null
    */
-  formatFlightResults(flights, adults, origin, destination, departureDate, returnDate) {
+  formatFlightResults(flights, passengers, origin, destination, departureDate, returnDate) {
     if (!flights || flights.length === 0) {
       return null;
     }
 
+    const { adults, children = 0, infants = 0 } = passengers;
+    const fareUnits = adults + children + infants * INFANT_FARE_SHARE;
+
     return flights.slice(0, 3).map(flight => {
       // Генерируем правильный deeplink
-      const deeplink = flight.link || this.generateDeepLink({
+      const deeplink = flight.link ? this.withMarker(flight.link) : this.generateDeepLink({
         origin,
         destination,
         departureDate: flight.departure_at || departureDate,
-        returnDate: flight.return_at || returnDate
+        returnDate: flight.return_at || returnDate,
+        adults,
+        children,
+        infants
       });
 
+      // v3 API отдаёт цену в поле price (value — в старых версиях)
+      const pricePerPerson = flight.price ?? flight.value;
+
       return {
-        price: flight.value * adults,
+        price: Math.round(pricePerPerson * fareUnits),
+        price_per_person: pricePerPerson,
         airline: flight.airline,
         departure_at: flight.departure_at,
         return_at: flight.return_at,
         flight_number: flight.flight_number,
+        transfers: flight.transfers,
         link: deeplink
       };
     });
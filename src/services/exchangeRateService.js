@@ -0,0 +1,100 @@
+import { config } from '../config/config.js';
+import { createExchangeRateProvider } from '../providers/exchangeRateProviders.js';
+import { parseBudget } from '../utils/budget.js';
+
+/**
+ * Курсы валют и перевод бюджета клиента в рубли.
+ * Курсы кешируются на config.currency.cacheHours; если источник недоступен — берём последние
+ * полученные курсы, а без них — локальный файл с курсами.
+ */
+class ExchangeRateService {
+  constructor() {
+    this.provider = null;
+    this.rates = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Подменить источник курсов (например, fixture для локального запуска)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.rates = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Получить курсы: { USD: 92.5, ... } — рублей за единицу валюты
+   */
+  async getRates() {
+    const maxAge = config.currency.cacheHours * 60 * 60 * 1000;
+    if (this.rates && Date.now() - this.fetchedAt < maxAge) {
+      return this.rates;
+    }
+
+    if (!this.provider) {
+      this.provider = createExchangeRateProvider();
+    }
+
+    try {
+      this.rates = { ...(await this.provider.getRates()), RUB: 1 };
+      this.fetchedAt = Date.now();
+      console.log(`💱 Курсы валют обновлены (${this.provider.name})`);
+    } catch (error) {
+      console.error(`❌ Ошибка получения курсов (${this.provider.name}):`, error.message);
+      if (!this.rates) {
+        console.warn('⚠️  Используем курсы из локального файла');
+        this.rates = { ...(await createExchangeRateProvider('fixture').getRates()), RUB: 1 };
+      }
+      // Прежние курсы считаем свежими ещё retryMinutes — иначе каждый toRub снова ждёт таймаут источника
+      this.fetchedAt = Date.now() - maxAge + config.currency.retryMinutes * 60 * 1000;
+    }
+
+    return this.rates;
+  }
+
+  /**
+   * Перевести сумму в рубли
+   * @returns {Promise<number|null>} null — курс валюты неизвестен
+   */
+  async toRub(amount, currency) {
+    if (amount === null || amount === undefined) return null;
+    if (currency === 'RUB') return amount;
+
+    const rates = await this.getRates();
+    const rate = rates[currency];
+    return rate ? Math.round(amount * rate) : null;
+  }
+
+  /**
+   * Разобрать бюджет клиента и перевести в рубли
+   * @param {string} text - бюджет как сказал клиент ("$3000 на человека", "от 150 до 200 тыс")
+   * @returns {Promise<{min, max, perPerson, currency: 'RUB', original: {min, max, currency}}|null>}
+   */
+  async normalizeBudget(text) {
+    const parsed = parseBudget(text);
+    if (!parsed) return null;
+
+    try {
+      const min = await this.toRub(parsed.min, parsed.currency);
+      const max = await this.toRub(parsed.max, parsed.currency);
+      if ((parsed.min !== null && min === null) || (parsed.max !== null && max === null)) {
+        console.warn(`⚠️  Нет курса для ${parsed.currency}, бюджет не переведён в рубли`);
+        return null;
+      }
+
+      return {
+        min,
+        max,
+        perPerson: parsed.perPerson,
+        currency: 'RUB',
+        original: { min: parsed.min, max: parsed.max, currency: parsed.currency }
+      };
+    } catch (error) {
+      console.error('Ошибка перевода бюджета в рубли:', error.message);
+      return null;
+    }
+  }
+}
+
+export default new ExchangeRateService();
@@ -1,76 +1,188 @@
+import { config } from '../config/config.js';
+import { tokenize, tokensMatch } from '../utils/russianText.js';
+
+// Записи по умолчанию — попадают в БД при первом запуске, дальше правятся через /admin/faq
+const DEFAULT_FAQ = [
+  {
+    question: 'Где находятся офисы?',
+    keywords: ['адрес', 'где находитесь', 'офис', 'где вы', 'как до вас добраться', 'как к вам проехать', 'где офис'],
+    answer: 'Наши офисы в Перми 📍\n\n1. ул. Екатерининская, 96 — +7 (342) 255-44-43\n2. ул. Героев Хасана, 5 (Anex Tour) — +7 (342) 258-12-34\n3. ул. Ленина, 57 (Pegas Touristik) — +7 (342) 258-25-83\n\nДля записи на встречу оставьте телефон - менеджер свяжется с вами ✨'
+  },
+  {
+    question: 'Часы работы',
+    keywords: ['часы работы', 'время работы', 'режим работы', 'график работы', 'график', 'когда работаете', 'во сколько работаете', 'до скольки работаете', 'работаете в выходные', 'работаете в воскресенье', 'работаете в субботу'],
+    answer: 'Офисы работают (пермское время, MSK+2):\nПн-Пт: 10:00 - 19:00\nСб: 12:00 - 16:00\nВс: выходной 🕐\n\nОнлайн-офис (ВКонтакте и мессенджеры):\nБудни: 19:00 - 22:00\nВыходные: 12:00 - 22:00\n\nДля консультации оставьте телефон - менеджер свяжется с вами ✨'
+  },
+  {
+    question: 'Помогаете с визой?',
+    keywords: ['виза', 'нужна виза', 'визовая поддержка', 'оформление визы', 'помогаете с визой', 'оформить визу'],
+    answer: 'Мы помогаем с оформлением виз! 📄\n\nДля уточнения деталей оставьте телефон - специалист по визам свяжется с вами ✨'
+  },
+  {
+    question: 'Входит ли страховка?',
+    keywords: ['страховка', 'медицинская страховка', 'нужна страховка', 'включена страховка', 'страховка входит', 'страховка входит в стоимость'],
+    answer: 'Все наши туры включают медицинскую страховку! 🏥\n\nДля выбора тура оставьте телефон - менеджер подберёт лучший вариант ✨'
+  },
+  {
+    question: 'Способы оплаты',
+    keywords: ['оплата', 'как оплатить', 'способы оплаты', 'рассрочка', 'можно в рассрочку', 'оплатить картой', 'оплатить тур', 'оплата тура'],
+    answer: 'Мы принимаем оплату:\n- Наличные в офисе 💵\n- Банковский перевод 💳\n- Рассрочка (при наличии)\n\nДля деталей оставьте телефон - менеджер всё расскажет ✨'
+  },
+  {
+    question: 'Отмена и возврат',
+    keywords: ['отмена', 'вернуть деньги', 'возврат', 'отменить тур', 'возврат средств', 'возврат денег', 'отмена тура'],
+    answer: 'Условия возврата зависят от тарифа тура 📋\n\nДля уточнения оставьте телефон - менеджер объяснит все условия ✨'
+  },
+  {
+    question: 'Как связаться',
+    keywords: ['контакты', 'ваш телефон', 'как связаться', 'номер телефона', 'ваша почта', 'email'],
+    answer: 'Мы всегда на связи! 📞\n\nТелефоны офисов: +7 (342) 255-44-43, +7 (342) 258-12-34, +7 (342) 258-25-83\n\nИли оставьте ваш телефон - менеджер свяжется с вами в течение часа и ответит на все вопросы ✨'
+  }
+];
+
+/**
+ * Частые вопросы: адрес, часы работы, визы, оплата...
+ * Записи хранятся в БД, уверенное совпадение отвечается без LLM
+ */
 class FaqService {
   constructor() {
-    // База частых вопросов
-    this.faq = [
-      {
-        keywords: ['адрес', 'где находитесь', 'офис', 'где вы', 'как до вас', 'как к вам'],
-        answer: 'Наш офис находится в городе Пермь 📍\n\nДля уточнения адреса и записи на встречу оставьте телефон - менеджер свяжется с вами ✨'
-      },
-      {
-        keywords: ['часы работы', 'время работы', 'когда работаете', 'график', 'во сколько работаете'],
-        answer: 'Мы работаем:\nПн-Пт: 9:00 - 19:00\nСб-Вс: 10:00 - 17:00 🕐\n\nДля консультации оставьте телефон - менеджер свяжется с вами ✨'
-      },
-      {
-        keywords: ['виза', 'нужна виза', 'визовая поддержка', 'оформление визы', 'помогаете с визой'],
-        answer: 'Мы помогаем с оформлением виз! 📄\n\nДля уточнения деталей оставьте телефон - специалист по визам свяжется с вами ✨'
-      },
-      {
-        keywords: ['страховка', 'медицинская страховка', 'нужна страховка', 'включена страховка'],
-        answer: 'Все наши туры включают медицинскую страховку! 🏥\n\nДля выбора тура оставьте телефон - менеджер подберёт лучший вариант ✨'
-      },
-      {
-        keywords: ['оплата', 'как оплатить', 'способы оплаты', 'рассрочка', 'можно в рассрочку'],
-        answer: 'Мы принимаем оплату:\n- Наличные в офисе 💵\n- Банковский перевод 💳\n- Рассрочка (при наличии)\n\nДля деталей оставьте телефон - менеджер всё расскажет ✨'
-      },
-      {
-        keywords: ['отмена', 'вернуть деньги', 'возврат', 'отменить тур', 'возврат средств'],
-        answer: 'Условия возврата зависят от тарифа тура 📋\n\nДля уточнения оставьте телефон - менеджер объяснит все условия ✨'
-      },
-      {
-        keywords: ['контакты', 'телефон', 'как связаться', 'ваш телефон', 'почта', 'email'],
-        answer: 'Мы всегда на связи! 📞\n\nОставьте ваш телефон - менеджер свяжется с вами в течение часа и ответит на все вопросы ✨'
+    this.database = null;
+    // Включённые записи с разобранными ключевыми фразами
+    this.entries = [];
+  }
+
+  /**
+   * Установить экземпляр базы данных
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Заполнить FAQ по умолчанию (если таблица пустая) и загрузить записи
+   */
+  async init() {
+    if (!this.database) return;
+
+    try {
+      const existing = await this.database.getFaqEntries();
+      if (existing.length === 0) {
+        for (const entry of DEFAULT_FAQ) {
+          await this.database.createFaqEntry(entry);
+        }
+        console.log(`📚 FAQ: добавлено ${DEFAULT_FAQ.length} записей по умолчанию`);
       }
-    ];
+    } catch (error) {
+      console.error('Ошибка инициализации FAQ:', error.message);
+    }
+
+    await this.reload();
+  }
+
+  /**
+   * Перечитать записи из БД (после правки через админку)
+   */
+  async reload() {
+    if (!this.database) return;
+
+    const rows = await this.database.getFaqEntries();
+    this.entries = rows
+      .filter(row => row.enabled)
+      .map(row => ({
+        ...row,
+        phrases: row.keywords.map(tokenize).filter(tokens => tokens.length > 0)
+      }));
+    console.log(`📚 FAQ: загружено ${this.entries.length} записей`);
+  }
+
+  /**
+   * Насколько сообщение совпадает с записью: доля значимых слов сообщения,
+   * покрытых ключевыми фразами (фраза засчитывается, только если совпали все её слова)
+   */
+  scoreEntry(tokens, entry) {
+    const covered = new Set();
+
+    for (const phrase of entry.phrases) {
+      const matched = phrase.map(keyword => tokens.findIndex(token => tokensMatch(token, keyword)));
+      if (matched.every(index => index !== -1)) {
+        matched.forEach(index => covered.add(index));
+      }
+    }
+
+    return covered.size / tokens.length;
   }
 
   /**
    * Найти ответ на частый вопрос
    * @param {string} userMessage - сообщение пользователя
-   * @returns {string|null} Ответ или null если не нашли
+   * @returns {{faq: Object, score: number, answer: string}|null} null — нет уверенного совпадения
    */
   findAnswer(userMessage) {
-    const normalizedMessage = userMessage.toLowerCase().trim();
-
-    for (const faqItem of this.faq) {
-      // Проверяем есть ли хотя бы одно ключевое слово в сообщении
-      const hasKeyword = faqItem.keywords.some(keyword =>
-        normalizedMessage.includes(keyword)
-      );
+    const tokens = tokenize(userMessage);
+    if (tokens.length === 0 || tokens.length > config.faq.maxWords) return null;
 
-      if (hasKeyword) {
-        console.log(`✅ FAQ: Найден ответ на вопрос "${userMessage}"`);
-        return faqItem.answer;
+    let best = null;
+    for (const entry of this.entries) {
+      const score = this.scoreEntry(tokens, entry);
+      if (score > 0 && (!best || score > best.score)) {
+        best = { faq: entry, score };
       }
     }
 
-    return null;  // Не нашли подходящего ответа
+    if (!best || best.score < config.faq.minScore) return null;
+
+    console.log(`✅ FAQ: "${userMessage}" → "${best.faq.question}" (совпадение ${best.score.toFixed(2)})`);
+    return { faq: best.faq, score: Number(best.score.toFixed(2)), answer: best.faq.answer };
+  }
+
+  /**
+   * Записать срабатывание FAQ для аналитики
+   */
+  async recordHit(faqId, peerId, message, score) {
+    if (!this.database) return;
+    await this.database.recordFaqHit(faqId, String(peerId), message, score);
+  }
+
+  /**
+   * Добавить новый FAQ
+   * @param {{question: string, keywords: string[], answer: string, enabled?: boolean}} entry
+   */
+  async addFaq(entry) {
+    const created = await this.database.createFaqEntry(entry);
+    await this.reload();
+    return created;
+  }
+
+  /**
+   * Изменить FAQ (только переданные поля)
+   */
+  async updateFaq(id, fields) {
+    const updated = await this.database.updateFaqEntry(id, fields);
+    await this.reload();
+    return updated;
+  }
+
+  /**
+   * Удалить FAQ
+   */
+  async deleteFaq(id) {
+    const deleted = await this.database.deleteFaqEntry(id);
+    await this.reload();
+    return deleted;
   }
 
   /**
-   * Добавить новый FAQ (для будущего расширения)
-   * @param {string[]} keywords - массив ключевых слов
-   * @param {string} answer - готовый ответ
+   * Получить все FAQ, включая выключенные (для администрирования)
    */
-  addFaq(keywords, answer) {
-    this.faq.push({ keywords, answer });
+  async getAllFaq() {
+    return this.database.getFaqEntries();
   }
 
   /**
-   * Получить все FAQ (для администрирования)
-   * @returns {Array} Массив всех FAQ
+   * Сколько раз срабатывала каждая запись за последние N дней
    */
-  getAllFaq() {
-    return this.faq;
+  async getStats(days = 30) {
+    return this.database.getFaqStats(days);
   }
 }
 
@@ -0,0 +1,173 @@
+import { config } from '../config/config.js';
+import llmService from './llmService.js';
+import { estimateTokens, estimateMessageTokens } from '../utils/tokens.js';
+
+/**
+ * Сборка истории диалога под бюджет токенов.
+ *
+ * Свежие сообщения идут в контекст как есть, а всё, что не влезает в бюджет, сжимается
+ * в накопительную сводку (conversation_summaries) — так ранние детали вроде возраста детей не теряются.
+ * Сжимаем с запасом (до compressTarget бюджета), чтобы не вызывать суммаризацию на каждом ходе.
+ */
+class HistoryService {
+  constructor() {
+    this.database = null;
+  }
+
+  /**
+   * Установить ссылку на базу данных (вызывается из index.js)
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Получить контекст диалога для AI
+   * @returns {Promise<{messages: Array<{role, content}>, summary: string|null}>}
+   */
+  async getContext(peerId) {
+    const { tokenBudget, compressTarget, minRecentMessages, maxFetch } = config.history;
+
+    const stored = await this.database.getConversationSummary(peerId);
+    let summary = stored?.summary || null;
+    let lastMessageId = stored?.lastMessageId || 0;
+    let messages = await this.database.getMessagesAfter(peerId, lastMessageId, maxFetch);
+
+    // Полная страница — несжатых сообщений больше, чем читаем за раз (например, сжатие долго не удавалось).
+    // Догоняем сводку по порядку, сжимая старшую половину страницы, — младшая остаётся на следующую страницу,
+    // так что после догонки свежий хвост не пустеет
+    while (messages.length === maxFetch) {
+      const older = messages.slice(0, Math.ceil(maxFetch / 2));
+      const refreshed = await this.summarizeInChunks(summary, older);
+      if (!refreshed) {
+        // Сводку не обновить — отвечаем по свежему хвосту и старой сводке, id сжатого не двигаем
+        const tail = await this.database.getChatHistory(peerId, maxFetch);
+        const recent = this.takeRecent(tail, tokenBudget - estimateTokens(summary), minRecentMessages);
+        return { messages: recent.map(msg => this.toChatMessage(msg)), summary };
+      }
+
+      summary = refreshed;
+      lastMessageId = older[older.length - 1].id;
+      await this.database.saveConversationSummary(peerId, summary, lastMessageId);
+      console.log(`🗜️  История peer_id=${peerId}: ${older.length} сообщений сжато в сводку (догоняем)`);
+      messages = await this.database.getMessagesAfter(peerId, lastMessageId, maxFetch);
+    }
+
+    const totalTokens = estimateTokens(summary) + messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+    if (totalTokens <= tokenBudget) {
+      return { messages: messages.map(msg => this.toChatMessage(msg)), summary };
+    }
+
+    // Не влезаем — оставляем свежий хвост до compressTarget бюджета, остальное сжимаем
+    const recent = this.takeRecent(messages, tokenBudget * compressTarget - estimateTokens(summary), minRecentMessages);
+    const overflow = messages.slice(0, messages.length - recent.length);
+
+    if (overflow.length > 0) {
+      const refreshed = await this.summarize(summary, overflow);
+      if (refreshed) {
+        summary = refreshed;
+        await this.database.saveConversationSummary(peerId, summary, overflow[overflow.length - 1].id);
+        console.log(`🗜️  История peer_id=${peerId}: ${overflow.length} сообщений сжато в сводку`);
+      }
+    }
+
+    return { messages: recent.map(msg => this.toChatMessage(msg)), summary };
+  }
+
+  /**
+   * Сообщение истории для модели. Ответы менеджера (role 'manager', из Telegram) идут от лица агентства
+   * с пометкой [Менеджер] — роли manager у моделей нет
+   */
+  toChatMessage({ role, content }) {
+    if (role === 'manager') {
+      return { role: 'assistant', content: `[Менеджер] ${content}` };
+    }
+    return { role, content };
+  }
+
+  /**
+   * Взять самые свежие сообщения в пределах бюджета (но не меньше minCount)
+   */
+  takeRecent(messages, budget, minCount) {
+    const recent = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = estimateMessageTokens(messages[i]);
+      if (used + tokens > budget && recent.length >= minCount) break;
+      recent.unshift(messages[i]);
+      used += tokens;
+    }
+
+    return recent;
+  }
+
+  /**
+   * Обновить накопительную сводку сообщениями, выпавшими из окна
+   * @returns {Promise<string|null>} Новая сводка или null при ошибке
+   */
+  async summarize(previousSummary, messages) {
+    const dialog = messages
+      .map(msg => `${{ user: 'Клиент', manager: 'Менеджер' }[msg.role] || 'Бот'}: ${msg.content}`)
+      .join('\n');
+
+    const prompt = `Ты ведёшь краткое содержание диалога турагентства с клиентом.
+
+Текущее краткое содержание:
+${previousSummary || '(пока пусто)'}
+
+Следующая часть диалога:
+${dialog}
+
+Напиши обновлённое краткое содержание всего диалога (5-10 предложений, без markdown).
+Обязательно сохрани все факты, важные для подбора тура: направление, даты, состав и возраст детей, бюджет, город вылета, пожелания, телефон и способ связи, о чём уже договорились и какие вопросы бот уже задавал.`;
+
+    try {
+      const { message } = await llmService.chat({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        maxTokens: 600
+      });
+      return message.content?.trim() || null;
+    } catch (error) {
+      console.error('Ошибка сжатия истории:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Сжать длинную пачку сообщений частями примерно по бюджету истории — один запрос на всю пачку не влезет в модель
+   * @returns {Promise<string|null>} Новая сводка или null, если какая-то часть не сжалась
+   */
+  async summarizeInChunks(previousSummary, messages) {
+    const { tokenBudget } = config.history;
+    let summary = previousSummary;
+    let chunk = [];
+    let used = 0;
+
+    for (const [index, msg] of messages.entries()) {
+      chunk.push(msg);
+      used += estimateMessageTokens(msg);
+      if (used < tokenBudget && index < messages.length - 1) continue;
+
+      summary = await this.summarize(summary, chunk);
+      if (!summary) return null;
+      chunk = [];
+      used = 0;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Блок для системного промпта
+   */
+  formatSummaryForPrompt(summary) {
+    return summary
+      ? `КРАТКОЕ СОДЕРЖАНИЕ БОЛЕЕ РАННЕЙ ЧАСТИ ДИАЛОГА:\n${summary}`
+      : '';
+  }
+}
+
+export default new HistoryService();
@@ -0,0 +1,182 @@
+import axios from 'axios';
+import { config } from '../config/config.js';
+import { parseHotTours } from '../utils/hotTours.js';
+import { tokenize, tokensMatch } from '../utils/russianText.js';
+
+// Когда таблица обновлялась в последний раз (ISO) — чтобы после перезапуска не качать страницу заново
+const REFRESHED_AT_KEY = 'hot_tours_refreshed_at';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Горящие туры со страницы сайта (config.hotTours.url): разбор в таблицу hot_tours по расписанию
+ * и подбор предложений под запрос клиента для инструмента find_hot_tours.
+ * Цены горящих туров меняются несколько раз в день, поэтому в базу знаний (векторы) страница не попадает
+ */
+class HotToursService {
+  constructor() {
+    this.database = null;
+    this.timer = null;
+    // Идущее обновление — повторный вызов ждёт его, а не качает страницу второй раз
+    this.refreshing = null;
+  }
+
+  /**
+   * Установить экземпляр базы данных
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Запустить обновление по расписанию. Если с прошлого обновления прошло меньше интервала — ждём следующего
+   */
+  async start() {
+    const { enabled, refreshMinutes } = config.hotTours;
+    if (!enabled) {
+      console.log('🔥 Горящие туры отключены (HOT_TOURS_ENABLED=false)');
+      return;
+    }
+
+    const intervalMs = refreshMinutes * 60 * 1000;
+    const refreshedAt = Date.parse(await this.database.getState(REFRESHED_AT_KEY));
+    if (!refreshedAt || Date.now() - refreshedAt >= intervalMs) {
+      // Не задерживаем запуск бота загрузкой страницы
+      this.refresh();
+    }
+
+    this.timer = setInterval(() => this.refresh(), intervalMs);
+    console.log(`🔥 Горящие туры: обновление раз в ${refreshMinutes} мин (${config.hotTours.url})`);
+  }
+
+  /**
+   * Остановить обновление по расписанию
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Скачать страницу и заменить предложения в таблице
+   * @returns {Promise<{success: boolean, count: number, error?: string}>}
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async _refresh() {
+    const { url, departureCity } = config.hotTours;
+
+    try {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        responseType: 'text',
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; PlanetaBot/1.0; +https://planetaperm.ru)' }
+      });
+
+      const tours = parseHotTours(response.data, url, new Date(), { departureCity });
+
+      // Пустой разбор — скорее сменилась вёрстка, чем закончились туры: старые предложения не трогаем
+      if (tours.length === 0) {
+        console.warn(`⚠️  Горящие туры: на странице ${url} не найдено ни одного предложения — оставляем прежние`);
+        return { success: false, count: 0, error: 'На странице не найдено предложений' };
+      }
+
+      if (!(await this.database.replaceHotTours(tours))) {
+        return { success: false, count: 0, error: 'Не удалось сохранить предложения' };
+      }
+      await this.database.setState(REFRESHED_AT_KEY, new Date().toISOString());
+
+      console.log(`🔥 Горящие туры обновлены: ${tours.length} предложений`);
+      return { success: true, count: tours.length };
+    } catch (error) {
+      console.error('❌ Ошибка обновления горящих туров:', error.message);
+      return { success: false, count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Все актуальные предложения и время последнего обновления
+   * @returns {Promise<{updatedAt: string|null, tours: Array}>}
+   */
+  async getAll() {
+    return {
+      updatedAt: await this.database.getState(REFRESHED_AT_KEY),
+      tours: await this.database.getHotTours()
+    };
+  }
+
+  /**
+   * Цена на человека: цены "за тур" делим на config.hotTours.tourPriceFor
+   */
+  pricePerPerson(tour) {
+    return tour.pricePerPerson ? tour.price : Math.round(tour.price / config.hotTours.tourPriceFor);
+  }
+
+  /**
+   * Подобрать горящие туры под запрос клиента. Незаданные фильтры не ограничивают выбор
+   * @param {Object} filters
+   * @param {string} [filters.destination] - страна или курорт ("Турция", "Кемер", "Турция или Египет")
+   * @param {string} [filters.departureCity] - город вылета
+   * @param {string} [filters.dateFrom] - YYYY-MM-DD, желаемая дата вылета
+   * @param {string} [filters.dateTo] - YYYY-MM-DD, для примерных дат ("в ноябре") — конец периода вылета
+   * @param {number} [filters.nights] - длительность
+   * @param {number} [filters.maxPricePerPerson] - бюджет в рублях на человека
+   * @param {number} [filters.stars] - минимальная звёздность
+   * @returns {Promise<{tours: Array, total: number, destinations: string[], updatedAt: string|null}>}
+   *   tours — подходящие, дешевле — выше (с полем priceForPerson); total и destinations — по всем актуальным предложениям
+   *   (с вылетом не раньше сегодняшнего дня)
+   */
+  async find(filters = {}) {
+    const { dateFlexDays, nightsFlex, limit } = config.hotTours;
+    const { updatedAt, tours: stored } = await this.getAll();
+
+    // Уже улетевшие не предлагаем: если обновление страницы не удалось, в таблице остаются прежние предложения
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const tours = stored.filter(tour => tour.departureDate >= today);
+
+    const wanted = filters.destination ? tokenize(filters.destination) : [];
+    const city = filters.departureCity ? tokenize(filters.departureCity) : [];
+    const day = (date) => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+    const earliest = filters.dateFrom ? day(filters.dateFrom) - dateFlexDays : null;
+    const latest = filters.dateFrom ? day(filters.dateTo || filters.dateFrom) + dateFlexDays : null;
+
+    const matches = tours
+      .map(tour => ({ ...tour, priceForPerson: this.pricePerPerson(tour) }))
+      .filter(tour => {
+        if (wanted.length > 0) {
+          const place = tokenize(tour.destination);
+          if (!wanted.some(token => place.some(other => tokensMatch(token, other)))) return false;
+        }
+        if (city.length > 0 && tour.departureCity) {
+          const from = tokenize(tour.departureCity);
+          if (!city.some(token => from.some(other => tokensMatch(token, other)))) return false;
+        }
+        if (earliest !== null) {
+          const departure = day(tour.departureDate);
+          if (departure < earliest || departure > latest) return false;
+        }
+        if (filters.nights && tour.nights && Math.abs(tour.nights - filters.nights) > nightsFlex) return false;
+        if (filters.stars && tour.stars && tour.stars < filters.stars) return false;
+        if (filters.maxPricePerPerson && tour.priceForPerson > filters.maxPricePerPerson) return false;
+        return true;
+      })
+      .sort((a, b) => a.priceForPerson - b.priceForPerson);
+
+    return {
+      tours: matches.slice(0, limit),
+      total: tours.length,
+      destinations: [...new Set(tours.map(tour => tour.destination))],
+      updatedAt
+    };
+  }
+}
+
+export default new HotToursService();
@@ -68,7 +68,7 @@ class HotellookApi {
       });
 
       // Форматируем результаты для AI
-      const hotels = this.formatHotelResults(response.data, checkIn, checkOut);
+      const hotels = this.formatHotelResults(response.data, checkIn, checkOut, location, adults);
 
       // Если API не вернул отели - fallback
       if (!hotels || hotels.length === 0) {
@@ -153,9 +153,11 @@ class HotellookApi {
    * @param {Array|Object} hotels - массив отелей от API
    * @param {string} checkIn - дата заезда
    * @param {string} checkOut - дата выезда
+   * @param {string} location - название города (для адреса и ссылки)
+   * @param {number} adults - количество гостей (для ссылки)
    * @returns {Array|null} Форматированный массив или null
    */
-  formatHotelResults(hotels, checkIn, checkOut) {
+  formatHotelResults(hotels, checkIn, checkOut, location, adults = 2) {
     if (!hotels || (Array.isArray(hotels) && hotels.length === 0)) {
       return null;
     }
@@ -170,10 +172,34 @@ class HotellookApi {
       price_per_night: hotel.price ? Math.round(hotel.price / nights) : 0,
       rating: hotel.rating || 'н/д',
       address: hotel.address || location,
-      link: hotel.link || `https://www.hotellook.ru/?marker=${this.marker}`
+      link: hotel.link || this.generateDeepLink({ location, checkIn, checkOut, adults })
     }));
   }
 
+  /**
+   * Генерировать партнёрскую ссылку на поиск Hotellook (с нашим маркером)
+   * @param {Object} params - параметры поиска
+   * @param {string} params.location - название города
+   * @param {string} params.checkIn - дата заезда (YYYY-MM-DD)
+   * @param {string} params.checkOut - дата выезда (YYYY-MM-DD)
+   * @param {number} params.adults - количество гостей
+   * @param {number[]} params.childrenAges - возраст детей
+   * @returns {string} Deeplink URL
+   */
+  generateDeepLink({ location, checkIn, checkOut, adults = 2, childrenAges = [] }) {
+    const params = new URLSearchParams({
+      destination: location,
+      checkIn,
+      checkOut,
+      adults: String(adults),
+      marker: this.marker
+    });
+    if (childrenAges.length > 0) {
+      params.set('children', childrenAges.join(','));
+    }
+    return `https://search.hotellook.com/hotels?${params.toString()}`;
+  }
+
   /**
    * Рассчитать количество ночей
    * @param {string} checkIn - дата заезда (YYYY-MM-DD)
@@ -229,6 +255,7 @@ class HotellookApi {
         price_total: adjustedPrice,
         price_per_night: Math.round(adjustedPrice / nights),
         rating: 'примерно',
+        approximate: true,
         address: location,
         link: `https://www.hotellook.ru/?marker=${this.marker}`
       }
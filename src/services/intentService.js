@@ -0,0 +1,167 @@
+import { config } from '../config/config.js';
+import llmService from './llmService.js';
+
+// Кого клиент может звать: основы слов (менеджер, менеджера, менеджеру...)
+const STAFF = '(?:менеджер|оператор|консультант|специалист|сотрудник|администратор|агент)';
+// "Человек" — только в явных оборотах, иначе "нас 2 человека" превращается в запрос менеджера
+const HUMAN = '(?:человек|живо|людьм|люд)';
+// Обращение к сотруднику в формах, которые может требовать просьба: "менеджер", "менеджера", "с менеджером".
+// Дательный ("менеджеру") — почти всегда "передать/отправить менеджеру", а не "позовите" (он допустим только после "к")
+const STAFF_FORM = `(?:к\\s+${STAFF}[а-я]*|(?:(?:на|с|со)\\s+)?${STAFF}(?:а|ы|ом|ов|ами)?(?![а-я]))`;
+// Глаголы "позвать/переключить": между глаголом и сотрудником могут стоять любые 1-2 слова ("позовите, пожалуйста, менеджера")
+const CALL_VERB = '(?:позов|позва|зови|подключ|переключ|перевед|переве|соедин|свяж|связа|пригласи|дайте|дай|попроси|верни)';
+// Модальные слова ("хочу", "нужен", "можно") — только вплотную или через служебные слова,
+// иначе "можно узнать, менеджер перезвонит?" и "нужно ли менеджеру..." выглядят как просьба
+const MODAL_VERB = '(?:давай|хочу|хотим|хотел|нужен|нужна|нужно|можно|пусть)';
+const MODAL_FILLER = '(?:я|мы|мне|нам|меня|нас|лучше|бы|уже|пожалуйста|срочно|все|таки|же)';
+// Глаголы, после которых "человек" однозначно про сотрудника: "позовите человека"
+const CALL_HUMAN_VERB = '(?:позов|позва|зови|подключ|переключ|перевед|переве|соедин|пригласи|дайте|дай)';
+
+/**
+ * Правила: регулярка по нормализованному тексту → уверенность
+ */
+const RULES = [
+  // "живой человек", "живого оператора", "реальным человеком"
+  { name: 'live_person', pattern: new RegExp(`(?:^|\\s)(?:жив|реальн|настоящ|нормальн)\\S*\\s+(?:${STAFF}|человек)`), confidence: 0.95 },
+  // "поговорить/общаться с человеком", "не с ботом"
+  { name: 'talk_to_human', pattern: new RegExp(`(?:поговорить|пообщаться|общаться|переписываться|разговаривать)\\s+(?:с|со)\\s+(?:человеком|живым|${STAFF}ом)`), confidence: 0.9 },
+  { name: 'not_with_bot', pattern: /(?:^|\s)не\s+(?:с|со)\s+бот|не\s+с\s+роботом|надоел\S*\s+бот|хватит\s+бот/, confidence: 0.85 },
+  // "без менеджера не разберусь", "без человека тут не обойтись"
+  { name: 'cannot_without', pattern: new RegExp(`(?:^|\\s)без\\s+(?:${STAFF}|человек|живого)[а-я]*\\s+(?:мне\\s+|нам\\s+|тут\\s+|здесь\\s+)?не\\s+(?:разбер|обой|справ|понять|поним|решить)`), confidence: 0.9 },
+  // "позовите менеджера", "переключите на оператора", "свяжите меня с сотрудником"
+  { name: 'verb_staff', pattern: new RegExp(`(?:^|\\s)${CALL_VERB}\\S*\\s+(?:\\S+\\s+){0,2}?${STAFF_FORM}`), confidence: 0.9 },
+  // "хочу менеджера", "нужен менеджер", "можно с менеджером", "пусть менеджер позвонит"
+  { name: 'modal_staff', pattern: new RegExp(`(?:^|\\s)${MODAL_VERB}\\S*\\s+(?:${MODAL_FILLER}\\s+){0,3}${STAFF_FORM}`), confidence: 0.9 },
+  { name: 'verb_human', pattern: new RegExp(`(?:^|\\s)${CALL_HUMAN_VERB}\\S*\\s+(?:меня\\s+|нас\\s+)?(?:на\\s+|с\\s+|к\\s+)?${HUMAN}`), confidence: 0.9 },
+  // "менеджер нужен", "оператора пожалуйста", "специалиста срочно"
+  { name: 'staff_please', pattern: new RegExp(`(?:^|\\s)${STAFF}\\S*\\s+(?:\\S+\\s+)?(?:нужен|нужна|пожалуйста|пжл|плиз|срочно)`), confidence: 0.85 }
+];
+
+// Отрицание относится только к обороту, который управляет обращением к сотруднику:
+// "не надо менеджера", "не переключайте", "без оператора", "менеджер не нужен".
+// "Не понял, нужен менеджер" и "не знаю, переключите на менеджера" — не отрицание просьбы
+const NEGATED_MODAL = '(?:надо|нужно|нужен|нужна|стоит|хочу|хотим|будем|буду)';
+const NEGATED_CALL = '(?:зов|зва|позов|позва|переключ|перевод|переве|подключ|соедин|связыв)';
+const NEGATIONS = [
+  new RegExp(`(?:^|\\s)не\\s+(?:${NEGATED_MODAL}\\s+)?(?:пока\\s+|мне\\s+|нам\\s+)?(?:${NEGATED_CALL}\\S*\\s+)?(?:меня\\s+|нас\\s+)?(?:на\\s+|с\\s+|со\\s+|к\\s+)?${STAFF}`),
+  new RegExp(`(?:^|\\s)не\\s+(?:${NEGATED_MODAL}\\s+)?${NEGATED_CALL}`),
+  // "без менеджера", но не "без менеджера не разберусь"
+  new RegExp(`(?:^|\\s)без\\s+${STAFF}[а-я]*(?![а-я])(?!\\s+(?:мне\\s+|нам\\s+|тут\\s+|здесь\\s+)?не\\s)`),
+  new RegExp(`${STAFF}\\S*\\s+(?:пока\\s+|мне\\s+|нам\\s+)?(?:не\\s+нужен|не\\s+нужна|не\\s+надо|не\\s+требуется|ни\\s+к\\s+чему)`),
+  /(?:^|\s)(?:сам|сама|сами)\s+(?:разберусь|разберемся|справлюсь|справимся)/
+];
+
+// Упоминание менеджера без явной просьбы — неоднозначно ("менеджер перезвонит?")
+const MENTION = new RegExp(`(?:^|\\s)${STAFF}\\S*`);
+const STAFF_WORD = new RegExp(`^${STAFF}`);
+// Слова, которые могут стоять рядом с обращением: "оператора сюда", "менеджер пожалуйста"
+const FILLER_WORDS = new Set(['пожалуйста', 'пжл', 'плиз', 'срочно', 'сюда', 'мне', 'нам', 'ваш', 'вашего', 'эй', 'алло']);
+
+/**
+ * Определение намерения "позовите менеджера".
+ * Источники по приоритету: метка [MANAGER_REQUEST] от модели → правила с учётом отрицаний →
+ * LLM-классификация для неоднозначных случаев.
+ */
+class IntentService {
+  /**
+   * Нормализация: нижний регистр, ё → е, без пунктуации
+   */
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[^a-zа-я0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Классификация только по правилам (без сети)
+   * @param {string} text - сообщение клиента
+   * @returns {{confidence: number, rule: string|null}}
+   */
+  classifyByRules(text) {
+    const normalized = this.normalize(text);
+    if (!normalized) {
+      return { confidence: 0, rule: null };
+    }
+
+    if (NEGATIONS.some(pattern => pattern.test(normalized))) {
+      return { confidence: 0.05, rule: 'negation' };
+    }
+
+    for (const rule of RULES) {
+      if (rule.pattern.test(normalized)) {
+        return { confidence: rule.confidence, rule: rule.name };
+      }
+    }
+
+    // Короткое сообщение из одного обращения: "Менеджера!", "оператор пожалуйста"
+    const words = normalized.split(' ');
+    if (words.length <= 3 && MENTION.test(normalized) &&
+        words.every(word => STAFF_WORD.test(word) || FILLER_WORDS.has(word))) {
+      return { confidence: 0.85, rule: 'short_mention' };
+    }
+
+    if (MENTION.test(normalized)) {
+      return { confidence: 0.4, rule: 'mention' };
+    }
+
+    return { confidence: 0, rule: null };
+  }
+
+  /**
+   * Классификация через LLM (для неоднозначных случаев)
+   * @returns {Promise<number|null>} Уверенность 0..1 или null при ошибке
+   */
+  async classifyByLLM(text) {
+    const prompt = `Клиент турагентства написал чат-боту сообщение. Определи, просит ли клиент СЕЙЧАС подключить живого менеджера/оператора к диалогу.
+Вопросы о менеджере ("менеджер перезвонит?", "как зовут менеджера?") и упоминания людей в составе поездки ("нас 2 человека") — это НЕ просьба.
+
+Сообщение: "${text}"
+
+Верни ТОЛЬКО JSON: {"manager_request": true|false, "confidence": число от 0 до 1}`;
+
+    try {
+      const { message } = await llmService.chat({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+        maxTokens: 50
+      });
+      const parsed = JSON.parse(message.content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      const confidence = Math.min(Math.max(Number(parsed.confidence) || 0, 0), 1);
+      return parsed.manager_request ? confidence : 1 - confidence;
+    } catch (error) {
+      console.error('Ошибка LLM-классификации намерения:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Просит ли клиент подключить менеджера
+   * @param {string} messageText - сообщение клиента
+   * @param {string} aiResponse - ответ модели (может содержать метку [MANAGER_REQUEST])
+   * @returns {Promise<{isManagerRequest: boolean, confidence: number, source: string, rule: string|null}>}
+   */
+  async detectManagerRequest(messageText, aiResponse = '') {
+    const { threshold, ambiguousFrom, useLlm } = config.intent;
+
+    if (aiResponse.includes('[MANAGER_REQUEST]')) {
+      return { isManagerRequest: true, confidence: 1, source: 'tag', rule: null };
+    }
+
+    const { confidence, rule } = this.classifyByRules(messageText);
+    let result = { confidence, source: 'rules', rule };
+
+    if (useLlm && confidence >= ambiguousFrom && confidence < threshold) {
+      const llmConfidence = await this.classifyByLLM(messageText);
+      if (llmConfidence !== null) {
+        result = { confidence: llmConfidence, source: 'llm', rule };
+      }
+    }
+
+    return { ...result, isManagerRequest: result.confidence >= threshold };
+  }
+}
+
+export default new IntentService();
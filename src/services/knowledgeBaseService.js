@@ -0,0 +1,180 @@
+import { config } from '../config/config.js';
+import { createVectorStore } from '../providers/vectorStoreProviders.js';
+import { hybridRank } from '../utils/hybridSearch.js';
+import { prepareKeywordIndex, searchKeywords } from '../utils/keywordIndex.js';
+import llmService from './llmService.js';
+
+/**
+ * Поиск по базе знаний компании. Хранилище векторов выбирается VECTOR_STORE
+ * (pinecone, pgvector, file) — то же, в которое пишет scripts/indexer.js.
+ * Векторные результаты сливаются с ключевым поиском BM25 по индексу из того же хранилища
+ */
+class KnowledgeBaseService {
+  constructor() {
+    // Хранилище создаётся лениво — при первом запросе
+    this._store = null;
+
+    // Ключевой индекс, его версия в хранилище (перечитываем после переиндексации) и время последней проверки
+    this._keywordIndex = null;
+    this._keywordIndexVersion = null;
+    this._keywordIndexCheckedAt = 0;
+  }
+
+  /**
+   * Ленивая инициализация хранилища (чтобы бот запускался даже без ключа Pinecone)
+   */
+  _getStore() {
+    if (!this._store) {
+      try {
+        this._store = createVectorStore();
+      } catch (error) {
+        console.warn(`⚠️  База знаний (${config.vectorStore.provider}) не настроена: ${error.message}`);
+        return null;
+      }
+    }
+    return this._store;
+  }
+
+  /**
+   * Ключевой индекс из хранилища. Версию проверяем не чаще keywordIndexCheckMinutes.
+   * Индекса нет — только векторный поиск; хранилище не ответило — работаем с прежним индексом
+   */
+  async _getKeywordIndex(store) {
+    const checkMs = config.knowledgeBase.keywordIndexCheckMinutes * 60 * 1000;
+    if (Date.now() - this._keywordIndexCheckedAt < checkMs) {
+      return this._keywordIndex;
+    }
+    this._keywordIndexCheckedAt = Date.now();
+
+    try {
+      const version = await store.keywordIndexVersion();
+      if (!version) {
+        if (this._keywordIndexVersion !== 'missing') {
+          console.warn(`⚠️  Ключевого индекса в хранилище ${store.name} нет (запустите npm run index) — только векторный поиск`);
+        }
+        this._keywordIndex = null;
+        this._keywordIndexVersion = 'missing';
+      } else if (version !== this._keywordIndexVersion) {
+        const data = await store.loadKeywordIndex();
+        this._keywordIndex = data ? prepareKeywordIndex(data) : null;
+        this._keywordIndexVersion = version;
+        console.log(`🔤 Ключевой индекс базы знаний (${store.name}): ${this._keywordIndex?.docs.size || 0} чанков`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Ключевой индекс базы знаний не обновлён (${error.message})${this._keywordIndex ? ' — используем прежний' : ' — только векторный поиск'}`);
+    }
+
+    return this._keywordIndex;
+  }
+
+  /**
+   * Поиск в базе знаний компании
+   * @param {string} query - Вопрос пользователя
+   * @param {number} topK - Количество результатов
+   * @returns {Promise<string|null>} Форматированный текст из базы знаний
+   */
+  async searchKnowledgeBase(query, topK = 5) {
+    const { text } = await this.search(query, topK);
+    return text;
+  }
+
+  /**
+   * Поиск в базе знаний с подробностями — для записи пробелов в базе знаний
+   * @returns {Promise<{text: string|null, bestScore: number|null, reason: string|null, sources?: Array<{url, title}>}>}
+   *   bestScore — сильнейший сигнал среди найденного: косинусная близость или ключевой скор.
+   *   sources — страницы своего сайта, по которым найден ответ (только когда ответ найден).
+   *   reason: null — нашли, 'no_results' | 'low_score' | 'error' | 'not_configured'
+   */
+  async search(query, topK = 5) {
+    console.log(`📚 База знаний: "${query}"`);
+
+    const store = this._getStore();
+    if (!store) {
+      return { text: null, bestScore: null, reason: 'not_configured' };
+    }
+
+    try {
+      const options = config.knowledgeBase;
+
+      // 1. Векторный поиск: эмбеддинг запроса → хранилище
+      let vectorMatches = [];
+      if (options.vectorWeight > 0) {
+        const [queryVector] = await llmService.embed(query);
+        vectorMatches = await store.query(queryVector, { topK: Math.max(topK, options.candidates) });
+      }
+
+      // 2. Ключевой поиск BM25
+      const index = options.keywordWeight > 0 ? await this._getKeywordIndex(store) : null;
+      const keywordMatches = index ? searchKeywords(index, query, options.candidates) : [];
+
+      // 3. Слияние и переранжирование
+      // Документы с истёкшим сроком (expires в front-matter) не показываем, даже если их ещё не переиндексировали
+      const today = new Date().toISOString().slice(0, 10);
+      const matches = hybridRank(query, vectorMatches, keywordMatches, { ...options, index })
+        .filter(m => !m.metadata?.expires_at || m.metadata.expires_at >= today);
+
+      if (matches.length === 0) {
+        console.warn(`⚠️  База знаний (${store.name}): ничего не найдено`);
+        return { text: null, bestScore: null, reason: 'no_results' };
+      }
+
+      const bestScore = Math.max(...matches.map(m => Math.max(m.vectorScore, m.keywordScore)));
+
+      // 4. Фильтруем по минимальному скору
+      const relevant = matches
+        .filter(m => m.vectorScore >= options.minScore || m.keywordScore >= options.minKeywordScore)
+        .slice(0, topK);
+      console.log(`✅ База знаний (${store.name}): ${relevant.length} релевантных результатов (из ${matches.length}, ключевых совпадений: ${keywordMatches.length})`);
+
+      if (relevant.length === 0) {
+        return { text: null, bestScore, reason: 'low_score' };
+      }
+
+      // 5. Форматируем
+      return { text: this.formatResults(relevant), bestScore, reason: null, sources: this.getSources(relevant) };
+
+    } catch (error) {
+      console.error(`❌ Ошибка базы знаний (${store.name}):`, error.message);
+      return { text: null, bestScore: null, reason: 'error' };
+    }
+  }
+
+  /**
+   * Источники для ссылки "Подробнее": страницы своего сайта (config.knowledgeBase.citationDomain)
+   * в порядке релевантности, без повторов. Документы (file:...) и чужие сайты не попадают
+   * @returns {Array<{url: string, title: string, text: string}>} text — самый релевантный чанк страницы
+   */
+  getSources(matches) {
+    const domain = config.knowledgeBase.citationDomain.toLowerCase();
+    const sources = new Map();
+
+    for (const { metadata } of matches) {
+      let url;
+      try {
+        url = new URL(metadata?.source_url);
+      } catch {
+        continue;
+      }
+      const ownSite = (url.protocol === 'https:' || url.protocol === 'http:')
+        && (url.hostname === domain || url.hostname.endsWith(`.${domain}`));
+      if (ownSite && !sources.has(url.href)) {
+        sources.set(url.href, { url: url.href, title: metadata.page_title, text: metadata.text || '' });
+      }
+    }
+
+    return [...sources.values()];
+  }
+
+  /**
+   * Форматирование результатов для GPT
+   */
+  formatResults(matches) {
+    return matches.map(match => {
+      const meta = match.metadata;
+      const score = (match.score * 100).toFixed(0);
+      return `[${meta.content_type} | ${meta.page_title} | релевантность ${score}%]\n${meta.text}`;
+    }).join('\n\n---\n\n');
+  }
+}
+
+export default new KnowledgeBaseService();
@@ -0,0 +1,110 @@
+import { config } from '../config/config.js';
+import { tokenize, tokensMatch } from '../utils/russianText.js';
+
+/**
+ * Доля совпавших значимых слов двух вопросов (от большего из них)
+ */
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const matched = a.filter(token => b.some(other => tokensMatch(token, other))).length;
+  return matched / Math.max(a.length, b.length);
+}
+
+/**
+ * Пробелы в базе знаний: вопросы, на которые поиск по базе знаний или в интернете не дал ответа.
+ * Отчёт группирует похожие вопросы, чтобы контент-менеджер видел, какие страницы
+ * или документы (knowledge/) добавить в базу знаний
+ */
+class KnowledgeGapService {
+  constructor() {
+    this.database = null;
+  }
+
+  /**
+   * Установить экземпляр базы данных
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Записать неудачный или слабый поиск
+   * @param {{peerId, query: string, source: 'knowledge_base'|'web', reason: string, bestScore: number|null}} gap
+   *   reason: 'no_results' | 'low_score' | 'weak_match' | 'error'
+   */
+  async record(gap) {
+    if (!this.database || !gap.query) return;
+
+    try {
+      await this.database.recordKnowledgeGap(gap);
+      console.log(`🕳️  Пробел в базе знаний (${gap.source}/${gap.reason}): "${gap.query}"`);
+    } catch (error) {
+      console.error('Ошибка записи пробела в базе знаний:', error.message);
+    }
+  }
+
+  /**
+   * Записать результат поиска по базе знаний, если ответа нет или он слабый
+   * @param {{text, bestScore, reason}} result - результат knowledgeBaseService.search
+   */
+  async recordSearch(query, peerId, { text, bestScore, reason }) {
+    // Не настроенное хранилище — не пробел в контенте
+    if (reason === 'not_configured') return;
+
+    if (!text) {
+      await this.record({ peerId, query, source: 'knowledge_base', reason, bestScore });
+    } else if (bestScore !== null && bestScore < config.knowledgeGaps.weakScore) {
+      await this.record({ peerId, query, source: 'knowledge_base', reason: 'weak_match', bestScore });
+    }
+  }
+
+  /**
+   * Отчёт: похожие вопросы за последние N дней, сгруппированные по смыслу
+   * @returns {Promise<Array<{question, count, peers, sources, reasons, bestScore, lastAskedAt, examples}>>}
+   *   question — самая частая формулировка, bestScore — лучший скор в группе (null — ни одного совпадения)
+   */
+  async getReport(days = 30) {
+    if (!this.database) return [];
+
+    const gaps = await this.database.getKnowledgeGaps(days);
+    const clusters = [];
+
+    for (const gap of gaps) {
+      const tokens = tokenize(gap.query);
+      let cluster = clusters.find(item => similarity(tokens, item.tokens) >= config.knowledgeGaps.clusterSimilarity);
+      if (!cluster) {
+        cluster = { tokens, gaps: [] };
+        clusters.push(cluster);
+      }
+      cluster.gaps.push(gap);
+    }
+
+    return clusters
+      .map(({ gaps: items }) => {
+        // Одинаковые формулировки (с точностью до регистра) считаем вместе: key → { question, count }
+        const counts = new Map();
+        for (const item of items) {
+          const key = item.query.trim().toLowerCase();
+          const entry = counts.get(key) || { question: item.query.trim(), count: 0 };
+          entry.count += 1;
+          counts.set(key, entry);
+        }
+        const examples = [...counts.values()].sort((a, b) => b.count - a.count).map(({ question }) => question);
+        const scores = items.map(item => item.bestScore).filter(score => score !== null);
+
+        return {
+          question: examples[0],
+          count: items.length,
+          peers: new Set(items.map(item => item.peerId).filter(Boolean)).size,
+          sources: [...new Set(items.map(item => item.source))],
+          reasons: [...new Set(items.map(item => item.reason))],
+          bestScore: scores.length ? Number(Math.max(...scores).toFixed(2)) : null,
+          lastAskedAt: items[items.length - 1].createdAt,
+          examples: examples.slice(0, 5)
+        };
+      })
+      .sort((a, b) => b.count - a.count || b.peers - a.peers);
+  }
+}
+
+export default new KnowledgeGapService();
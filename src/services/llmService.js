@@ -0,0 +1,146 @@
+import { config } from '../config/config.js';
+import { createLLMProvider } from '../providers/llmProviders.js';
+
+/**
+ * Единая точка доступа к LLM: чат с цепочкой fallback-провайдеров и эмбеддинги.
+ * Сервисы не знают, какой вендор отвечает — провайдеры и модели задаются в config.llm.
+ */
+class LLMService {
+  constructor() {
+    this._providers = new Map();
+    // Статистика использования: "провайдер:модель" → { requests, failures, promptTokens, completionTokens }
+    this.usage = new Map();
+  }
+
+  /**
+   * Ленивое создание провайдера (чтобы бот запускался без ключей неиспользуемых вендоров)
+   */
+  _getProvider(name) {
+    if (!this._providers.has(name)) {
+      this._providers.set(name, createLLMProvider(name, config.llm.providers[name]));
+    }
+    return this._providers.get(name);
+  }
+
+  /**
+   * Учесть вызов в статистике
+   */
+  _recordUsage(provider, model, usage, failed = false) {
+    const key = `${provider}:${model}`;
+    const entry = this.usage.get(key) || { requests: 0, failures: 0, promptTokens: 0, completionTokens: 0 };
+
+    entry.requests += 1;
+    if (failed) {
+      entry.failures += 1;
+    } else {
+      entry.promptTokens += usage.promptTokens;
+      entry.completionTokens += usage.completionTokens;
+    }
+
+    this.usage.set(key, entry);
+  }
+
+  /**
+   * Вызов с fallback: пробуем провайдеров по порядку config.llm.chain
+   * @param {Function} supports - (provider) => boolean, умеет ли провайдер такой запрос
+   * @param {Function} call - async (provider) => результат провайдера ({ usage, model, provider, ... })
+   * @param {Function} modelOf - (provider) => модель (для статистики ошибок)
+   */
+  async _withFallback(supports, call, modelOf) {
+    let lastError = null;
+
+    for (const name of config.llm.chain) {
+      let provider;
+      try {
+        provider = this._getProvider(name);
+      } catch (error) {
+        console.error(`❌ LLM ${name}: ${error.message}`);
+        lastError = error;
+        continue;
+      }
+
+      if (!supports(provider)) {
+        continue;
+      }
+
+      try {
+        const result = await call(provider);
+        this._recordUsage(result.provider, result.model, result.usage);
+        console.log(`🧠 LLM ${result.provider} (${result.model}): ${result.usage.promptTokens}+${result.usage.completionTokens} токенов`);
+        return result;
+      } catch (error) {
+        this._recordUsage(name, modelOf(provider), null, true);
+        console.error(`❌ LLM ${name} недоступен: ${error.message}${config.llm.chain.at(-1) !== name ? ' — переключаемся на следующий провайдер' : ''}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('Нет доступных LLM провайдеров');
+  }
+
+  /**
+   * Чат-запрос с fallback: пробуем провайдеров по порядку config.llm.chain
+   * @param {Object} params - { messages, tools, temperature, maxTokens, timeout, vision }
+   *   vision: true — в сообщениях есть картинки, отвечают только провайдеры с visionModel
+   * @returns {Promise<{message, usage, model, provider}>}
+   */
+  async chat(params) {
+    return this._withFallback(
+      // Если в запросе инструменты, а провайдер их не умеет — он не сможет продолжить диалог
+      provider => (!params.tools || provider.supportsTools) && (!params.vision || provider.supportsVision),
+      provider => provider.chat(params),
+      provider => (params.vision ? provider.visionModel : provider.chatModel)
+    );
+  }
+
+  /**
+   * Распознать речь с fallback по провайдерам, у которых задана transcriptionModel
+   * @param {{buffer: Buffer, name: string, type: string}} file - аудиофайл
+   * @param {Object} options - { language, timeout }
+   * @returns {Promise<string|null>} Текст
+   */
+  async transcribe(file, options = {}) {
+    const result = await this._withFallback(
+      provider => provider.supportsTranscription,
+      provider => provider.transcribe(file, options),
+      provider => provider.transcriptionModel
+    );
+    return result.text;
+  }
+
+  /**
+   * Эмбеддинги. Без fallback: векторы разных моделей несовместимы с уже построенным индексом
+   * @param {string|string[]} input - текст или массив текстов
+   * @returns {Promise<number[][]>} Векторы в порядке входных текстов
+   */
+  async embed(input, options = {}) {
+    const name = config.llm.embeddingProvider;
+    const provider = this._getProvider(name);
+
+    if (!provider.supportsEmbeddings) {
+      throw new Error(`Провайдер ${name} не настроен для эмбеддингов`);
+    }
+
+    try {
+      const result = await provider.embed(input, options);
+      this._recordUsage(result.provider, result.model, result.usage);
+      return result.embeddings;
+    } catch (error) {
+      this._recordUsage(name, provider.embeddingModel, null, true);
+      throw error;
+    }
+  }
+
+  /**
+   * Отчёт об использовании для /admin/llm/usage
+   */
+  getUsageReport() {
+    return {
+      chain: config.llm.chain,
+      embeddingProvider: config.llm.embeddingProvider,
+      usage: Object.fromEntries(this.usage)
+    };
+  }
+}
+
+export default new LLMService();
@@ -0,0 +1,219 @@
+import llmService from './llmService.js';
+import aiService from './aiService.js';
+import exchangeRateService from './exchangeRateService.js';
+import { normalizeTravellers, parseTravellers, formatTravellers } from '../utils/travellers.js';
+import { totalBudget, formatBudget } from '../utils/budget.js';
+
+// Слоты квалификации — в том же порядке, в котором Катя их собирает
+const SLOTS = {
+  destination: 'Направление',
+  preferences: 'Пожелания',
+  dates: 'Даты',
+  people: 'Состав',
+  budget: 'Бюджет',
+  departureCity: 'Город вылета'
+};
+
+/**
+ * Квалификация лида: хранит собранные слоты по каждому чату и обновляет их после каждой реплики.
+ * Вместо повторной суммаризации всей истории — одно короткое обновление за ход.
+ */
+class QualificationService {
+  constructor() {
+    this.database = null;
+  }
+
+  /**
+   * Установить ссылку на базу данных (вызывается из index.js)
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Пустая карточка
+   */
+  empty() {
+    return {
+      destination: null,
+      preferences: null,
+      dates: null,
+      people: null,
+      budget: null,
+      departureCity: null,
+      details: null,
+      // Структурированный состав { adults, childrenAges, infants, rooms } — для поиска и CRM
+      travellers: null,
+      // Бюджет в рублях { min, max, perPerson, original } — для проверки реалистичности и CRM
+      budgetRange: null
+    };
+  }
+
+  /**
+   * Получить карточку чата (null — по чату ещё ничего не собрано)
+   */
+  async get(peerId) {
+    return this.database.getQualification(peerId);
+  }
+
+  /**
+   * Обновить карточку по последнему обмену репликами и сохранить
+   * @param {string} peerId
+   * @param {string} userMessage - сообщение клиента
+   * @param {string} assistantReply - ответ бота
+   * @param {Array} conversationHistory - история ДО этого обмена (нужна только для первой карточки старых диалогов)
+   * @returns {Promise<Object>} Обновлённая карточка
+   */
+  async update(peerId, userMessage, assistantReply, conversationHistory = []) {
+    let current = await this.get(peerId);
+
+    // Диалог начался до появления карточек — один раз собираем её по всей истории
+    if (!current) {
+      current = conversationHistory.length > 0
+        ? { ...this.empty(), ...(await aiService.summarizeConversation(conversationHistory)) }
+        : this.empty();
+    }
+
+    const changes = await this.extractChanges(current, userMessage, assistantReply);
+    const updated = { ...this.empty(), ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      if (key in updated && key !== 'travellers' && key !== 'budgetRange' && value) {
+        updated[key] = value;
+      }
+    }
+
+    // Состав: структура от LLM, иначе разбираем текст (карточки до появления структуры, сбой LLM)
+    const extracted = normalizeTravellers(changes.travellers);
+    const travellers = extracted || (changes.people || !updated.travellers ? parseTravellers(updated.people) : null);
+    if (travellers) {
+      updated.travellers = travellers;
+    }
+    if (extracted && !changes.people) {
+      updated.people = formatTravellers(extracted);
+    }
+
+    if (updated.budget && (changes.budget || !updated.budgetRange)) {
+      updated.budgetRange = await exchangeRateService.normalizeBudget(updated.budget);
+    }
+
+    await this.database.saveQualification(peerId, updated);
+    return updated;
+  }
+
+  /**
+   * Извлечь из последнего обмена новые или изменившиеся слоты
+   * @returns {Promise<Object>} Только изменившиеся поля (null — без изменений)
+   */
+  async extractChanges(current, userMessage, assistantReply) {
+    const prompt = `Ты ведёшь карточку запроса клиента турагентства.
+
+Текущая карточка (JSON):
+${JSON.stringify(current, null, 2)}
+
+Последнее сообщение клиента:
+${userMessage}
+
+Ответ консультанта:
+${assistantReply}
+
+Верни ТОЛЬКО JSON (без markdown, без \`\`\`) с полями:
+{
+  "destination": "направление (страна, город/курорт) или null",
+  "preferences": "пожелания по отдыху (all inclusive, SPA, первая линия и т.д.) или null",
+  "dates": "даты поездки и длительность (например: '5-12 февраля 2027 (7 дней)') или null",
+  "people": "состав группы (например: '2 взрослых + 1 ребёнок 5 лет') или null",
+  "travellers": {"adults": число взрослых, "childrenAges": [возраст каждого ребёнка, младенцу до года — 0, неизвестный возраст — null], "infants": число детей до 2 лет, "rooms": число номеров} или null,
+  "budget": "бюджет (например: '~500 000₽ на всех') или null",
+  "departureCity": "город вылета или null",
+  "details": "обновлённое краткое описание запроса 4-5 предложений для менеджера или null"
+}
+
+Заполняй поле ТОЛЬКО если клиент назвал или изменил его в последнем сообщении. Иначе null — значит "без изменений".
+Пиши поле целиком (например, если клиент добавил ребёнка к "2 взрослых" — верни "2 взрослых + 1 ребёнок 7 лет").
+"travellers" заполняй вместе с "people" и тоже целиком.
+
+JSON:`;
+
+    try {
+      const { message } = await llmService.chat({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+        maxTokens: 500
+      });
+
+      const raw = message.content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error('Ошибка обновления квалификации:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Карточка в формате summary для Telegram и U-ON
+   */
+  toSummary(qualification) {
+    const q = qualification || this.empty();
+    return {
+      destination: q.destination || null,
+      dates: q.dates || null,
+      preferences: q.preferences || null,
+      people: q.people || null,
+      budget: q.budget || null,
+      departureCity: q.departureCity || null,
+      travellers: normalizeTravellers(q.travellers) || parseTravellers(q.people),
+      budgetRange: q.budgetRange || null,
+      details: q.details || 'Клиент оставил контакты'
+    };
+  }
+
+  /**
+   * Бюджет для промпта: как сказал клиент + в рублях на всю поездку (по нему проверяем реалистичность)
+   */
+  describeBudget(qualification) {
+    const range = qualification.budgetRange;
+    if (!range) return qualification.budget;
+
+    const travellers = normalizeTravellers(qualification.travellers);
+    const people = travellers ? travellers.adults + travellers.childrenAges.length : null;
+    const parts = [];
+
+    if (range.original.currency !== 'RUB') {
+      parts.push(`≈ ${formatBudget(range).replace(/^~/, '')}`);
+    }
+    if (range.perPerson && people) {
+      const total = totalBudget(range, people);
+      parts.push(`на всю поездку (${people} чел.) ≈ ${formatBudget({ ...total, currency: 'RUB', perPerson: false }).replace(/^~/, '')}`);
+    }
+
+    return parts.length > 0 ? `${qualification.budget} (${parts.join(', ')})` : qualification.budget;
+  }
+
+  /**
+   * Блок для системного промпта: что уже известно и что осталось спросить
+   * @returns {string} Пустая строка если ничего не известно
+   */
+  formatForPrompt(qualification) {
+    if (!qualification) return '';
+
+    const known = [];
+    const missing = [];
+    for (const [key, label] of Object.entries(SLOTS)) {
+      if (key === 'budget' && qualification.budget) {
+        known.push(`- ${label}: ${this.describeBudget(qualification)}`);
+      } else if (qualification[key]) {
+        known.push(`- ${label}: ${qualification[key]}`);
+      } else {
+        missing.push(label.toLowerCase());
+      }
+    }
+
+    if (known.length === 0) return '';
+
+    return `УЖЕ ИЗВЕСТНО О ЗАПРОСЕ КЛИЕНТА (НЕ переспрашивай это, используй в расчётах):
+${known.join('\n')}
+${missing.length > 0 ? `Ещё не известно: ${missing.join(', ')}` : 'Вся информация собрана — переходи к сводке с ценами.'}`;
+  }
+}
+
+export default new QualificationService();
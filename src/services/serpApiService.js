@@ -14,11 +14,11 @@ class SerpApiService {
    * @param {string} params.checkInDate - Дата заезда (YYYY-MM-DD)
    * @param {string} params.checkOutDate - Дата выезда (YYYY-MM-DD)
    * @param {number} params.adults - Количество взрослых
-   * @param {number} params.children - Количество детей
+   * @param {number[]} params.childrenAges - Возраст каждого ребёнка
    * @param {number} params.maxPrice - Максимальная цена за ночь (в рублях, опционально)
    * @returns {Promise<Array>} Список отелей
    */
-  async searchHotels({ location, checkInDate, checkOutDate, adults = 2, children = 0, childrenAges = [], maxPrice = null }) {
+  async searchHotels({ location, checkInDate, checkOutDate, adults = 2, childrenAges = [], maxPrice = null }) {
     console.log(`🔍 SerpAPI: Поиск отелей в "${location}" с ${checkInDate} по ${checkOutDate}`);
 
     try {
@@ -34,15 +34,10 @@ class SerpApiService {
         api_key: this.apiKey
       };
 
-      // Добавляем детей ТОЛЬКО если их больше 0
-      if (children > 0) {
-        params.children = children;
-        // SerpAPI требует children_ages для каждого ребёнка
-        // Если возраст не указан, ставим дефолтный 10 лет
-        const ages = childrenAges.length === children
-          ? childrenAges
-          : Array(children).fill(10);
-        params.children_ages = ages.join(',');
+      // Добавляем детей ТОЛЬКО если их больше 0 (SerpAPI требует children_ages для каждого ребёнка)
+      if (childrenAges.length > 0) {
+        params.children = childrenAges.length;
+        params.children_ages = childrenAges.join(',');
       }
 
       const response = await axios.get(this.baseUrl, {
@@ -1,15 +1,35 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/config.js';
 
+// Служебные ключи в БД: уведомление о лиде по peerId и peerId по сообщению ветки (уведомление или копия сообщения клиента)
+const LEAD_MESSAGE_KEY = 'telegram_lead:';
+const THREAD_PEER_KEY = 'telegram_thread:';
+
+const ATTACHMENT_LABELS = {
+  photo: 'фото',
+  audio_message: 'голосовое',
+  audio: 'аудио',
+  video: 'видео',
+  doc: 'документ',
+  sticker: 'стикер',
+  wall: 'запись',
+  link: 'ссылка'
+};
+
 class TelegramService {
   constructor() {
     this.database = null;
     // Хранение message_id уведомлений по peerId для возможности редактирования
     this.notificationMessages = new Map();
+    // Доставка ответа менеджера клиенту в ВК (задаёт index.js)
+    this.managerReplyHandler = null;
 
     if (config.telegram.botToken) {
       this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
       this.setupCallbackHandlers();
+      if (config.telegram.relay) {
+        this.setupReplyRelay();
+      }
     }
     this.chatId = config.telegram.chatId;
   }
@@ -95,6 +115,143 @@ class TelegramService {
     console.log('📱 Telegram: обработчики кнопок настроены');
   }
 
+  /**
+   * Установить обработчик ответов менеджера из Telegram
+   * @param {Function} handler - async ({ peerId, text, managerName }) => void, бросает ошибку, если доставить не удалось
+   */
+  onManagerReply(handler) {
+    this.managerReplyHandler = handler;
+  }
+
+  /**
+   * Ответы менеджеров: reply на уведомление о лиде (или на копию сообщения клиента) уходит клиенту в ВК
+   */
+  setupReplyRelay() {
+    this.bot.on('message', async (msg) => {
+      try {
+        const replyTo = msg.reply_to_message;
+        if (String(msg.chat.id) !== String(this.chatId) || !replyTo || msg.from?.is_bot) return;
+
+        const peerId = await this.findThreadPeer(replyTo.message_id);
+        if (!peerId || !this.managerReplyHandler) return;
+
+        const text = (msg.text || msg.caption || '').trim();
+        if (!text) {
+          await this.bot.sendMessage(this.chatId, '⚠️ Клиенту в ВК можно переслать только текст', {
+            reply_to_message_id: msg.message_id
+          });
+          return;
+        }
+
+        const managerName = [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' ') || null;
+        try {
+          await this.managerReplyHandler({ peerId, text, managerName });
+        } catch (error) {
+          console.error('Ошибка доставки ответа менеджера в ВК:', error.message);
+          await this.bot.sendMessage(this.chatId, `❌ Не удалось отправить ответ клиенту в ВК: ${error.message}`, {
+            reply_to_message_id: msg.message_id
+          });
+          return;
+        }
+
+        console.log(`📨 Ответ менеджера из Telegram отправлен в ВК, peer_id=${peerId}`);
+        await this.showResumeButton(peerId);
+      } catch (error) {
+        console.error('Ошибка обработки ответа менеджера из Telegram:', error.message);
+      }
+    });
+
+    console.log('📱 Telegram: ответы менеджеров пересылаются клиентам в ВК');
+  }
+
+  /**
+   * Запомнить сообщение ветки лида: ответ на него уйдёт клиенту peerId
+   * @param {boolean} isLead - это само уведомление (к нему привязываются копии сообщений клиента)
+   */
+  async rememberThread(peerId, messageId, isLead = false) {
+    if (isLead) {
+      this.notificationMessages.set(peerId, messageId);
+    }
+    if (!this.database) return;
+
+    try {
+      await this.database.setState(`${THREAD_PEER_KEY}${messageId}`, peerId);
+      if (isLead) {
+        await this.database.setState(`${LEAD_MESSAGE_KEY}${peerId}`, messageId);
+      }
+    } catch (error) {
+      console.error('Ошибка сохранения ветки Telegram:', error.message);
+    }
+  }
+
+  /**
+   * message_id уведомления о лиде (переживает перезапуск — хранится в БД)
+   */
+  async getLeadMessageId(peerId) {
+    if (this.notificationMessages.has(peerId)) {
+      return this.notificationMessages.get(peerId);
+    }
+    const stored = this.database ? await this.database.getState(`${LEAD_MESSAGE_KEY}${peerId}`) : null;
+    return stored ? parseInt(stored, 10) : null;
+  }
+
+  /**
+   * peerId клиента по сообщению ветки в Telegram
+   */
+  async findThreadPeer(messageId) {
+    return this.database ? this.database.getState(`${THREAD_PEER_KEY}${messageId}`) : null;
+  }
+
+  /**
+   * Менеджер ответил из Telegram — бот на паузе, на уведомлении оставляем кнопку "Вернуть бота"
+   */
+  async showResumeButton(peerId) {
+    const messageId = await this.getLeadMessageId(peerId);
+    if (!messageId) return;
+
+    try {
+      await this.bot.editMessageReplyMarkup({
+        inline_keyboard: [
+          [{ text: '▶️ Вернуть бота', callback_data: `resume_${peerId}` }]
+        ]
+      }, {
+        chat_id: this.chatId,
+        message_id: messageId
+      });
+    } catch (error) {
+      // Кнопки уже такие (повторный ответ) — Telegram отвечает "message is not modified"
+    }
+  }
+
+  /**
+   * Продублировать сообщение клиента в ветку уведомления о лиде (если уведомление было)
+   * @param {string} peerId
+   * @param {string} text - текст сообщения клиента
+   * @param {Array} attachments - вложения VK (в ветке — только их типы)
+   */
+  async mirrorClientMessage(peerId, text, attachments = []) {
+    if (!this.bot || !config.telegram.relay) return;
+
+    const leadMessageId = await this.getLeadMessageId(peerId);
+    if (!leadMessageId) return;
+
+    const labels = [...new Set(attachments.map(attachment => ATTACHMENT_LABELS[attachment.type] || attachment.type))];
+    const body = [text?.trim(), labels.length > 0 ? `📎 ${labels.join(', ')}` : null].filter(Boolean).join('\n');
+    if (!body) return;
+
+    try {
+      // Без parse_mode: текст клиента не экранируем
+      const sent = await this.retryRequest(() => this.bot.sendMessage(this.chatId, `💬 Клиент: ${body}`, {
+        reply_to_message_id: leadMessageId,
+        allow_sending_without_reply: true,
+        disable_web_page_preview: true
+      }));
+      await this.rememberThread(peerId, sent.message_id);
+    } catch (error) {
+      console.error('Ошибка пересылки сообщения клиента в Telegram:', error.message);
+    }
+  }
+
   /**
    * Повторить запрос при ошибке с экспоненциальной задержкой
    */
@@ -163,8 +320,8 @@ class TelegramService {
           reply_markup: keyboard
         });
 
-        // Сохраняем message_id для будущего редактирования
-        this.notificationMessages.set(leadData.peerId, sent.message_id);
+        // Сохраняем message_id для будущего редактирования и ответов менеджера из Telegram
+        await this.rememberThread(leadData.peerId, sent.message_id, true);
 
         console.log('✅ Уведомление в Telegram отправлено (с кнопками)');
       } catch (error) {
@@ -222,7 +379,7 @@ class TelegramService {
 
 ${requestBlock}
 
-⚡️ Клиент просит подключиться менеджера в ВК!`;
+⚡️ Клиент просит подключиться менеджера в ВК!${config.telegram.relay ? '\n↩️ Ответьте на это сообщение — ответ уйдёт клиенту в ВК' : ''}`;
 
         const keyboard = this.getLeadKeyboard(peerId);
 
@@ -232,8 +389,8 @@ ${requestBlock}
           reply_markup: keyboard
         });
 
-        // Сохраняем message_id — если потом клиент оставит телефон, обновим
-        this.notificationMessages.set(peerId, sent.message_id);
+        // Сохраняем message_id — если потом клиент оставит телефон, обновим; на него же отвечает менеджер
+        await this.rememberThread(peerId, sent.message_id, true);
 
         console.log('🔔 Уведомление о запросе менеджера отправлено в Telegram');
       } catch (error) {
@@ -243,11 +400,49 @@ ${requestBlock}
     });
   }
 
+  /**
+   * Сообщить менеджерам, что сообщение клиента так и не обработано (очередь исчерпала попытки) — ответить нужно вручную
+   * @param {{peerId: string, text: string, userData: Object, error: Error}} failure
+   */
+  async sendFailedMessageNotification({ peerId, text, userData, error }) {
+    if (!this.bot) {
+      console.warn('Telegram bot не настроен. Пропуск отправки уведомления.');
+      return;
+    }
+
+    const { firstName = '', lastName = '', fromId } = userData || {};
+    const message = [
+      '⚠️ БОТ НЕ ОТВЕТИЛ КЛИЕНТУ',
+      '',
+      `👤 Клиент: ${`${firstName} ${lastName}`.trim() || 'неизвестен'}`,
+      `🔗 VK: https://vk.com/id${fromId || peerId}`,
+      '',
+      `💬 Сообщение: ${text.length > 1000 ? `${text.slice(0, 1000)}…` : text}`,
+      `❌ Ошибка: ${error?.message || 'неизвестна'}`,
+      '',
+      config.telegram.relay
+        ? '↩️ Ответьте на это сообщение — ответ уйдёт клиенту в ВК'
+        : '⚡️ Ответьте клиенту в ВК вручную'
+    ].join('\n');
+
+    try {
+      // Без parse_mode: текст клиента не экранируем
+      const sent = await this.retryRequest(() => this.bot.sendMessage(this.chatId, message, {
+        disable_web_page_preview: true,
+        reply_markup: this.getLeadKeyboard(peerId)
+      }));
+      await this.rememberThread(peerId, sent.message_id);
+      console.log(`⚠️ Уведомление о необработанном сообщении peer_id=${peerId} отправлено в Telegram`);
+    } catch (sendError) {
+      console.error('Ошибка отправки уведомления о необработанном сообщении в Telegram:', sendError.message);
+    }
+  }
+
   /**
    * Форматировать сообщение о лиде (структурированный формат)
    */
   formatLeadMessage(leadData) {
-    const { firstName, lastName, fromId, phone, contactPreference, summary } = leadData;
+    const { firstName, lastName, fromId, contacts, contactPreference, summary } = leadData;
 
     const contactLine = contactPreference && contactPreference !== 'не указан'
       ? `💬 Продолжить общение: ${contactPreference}\n`
@@ -278,18 +473,38 @@ ${requestBlock}
       requestBlock += `\n📝 Детали: ${summary.details || 'Нет данных'}`;
     } else {
       // Fallback — если summary пришёл как строка
-      requestBlock += (summary || 'Клиент оставил телефон');
+      requestBlock += (summary || 'Клиент оставил контакты');
     }
 
     return `🆕 <b>НОВЫЙ ЛИД ВК ИИ</b>
 
 👤 Клиент: ${firstName} ${lastName}
-📱 Телефон: ${phone}
-🔗 VK: https://vk.com/id${fromId}
+${this.formatContacts(contacts)}🔗 VK: https://vk.com/id${fromId}
 ${contactLine}
 ${requestBlock}
 
-⚡️ Менеджер, пожалуйста подключитесь!`;
+⚡️ Менеджер, пожалуйста подключитесь!${config.telegram.relay ? '\n↩️ Ответьте на это сообщение — ответ уйдёт клиенту в ВК' : ''}`;
+  }
+
+  /**
+   * Строки с контактами клиента для уведомления (телефоны, email, мессенджеры)
+   */
+  formatContacts(contacts) {
+    if (!contacts) return '';
+
+    const messengerLabels = { telegram: 'Telegram', whatsapp: 'WhatsApp' };
+    const lines = [];
+    if (contacts.phones.length > 0) {
+      lines.push(`📱 Телефон: ${contacts.phones.join(', ')}`);
+    }
+    if (contacts.emails.length > 0) {
+      lines.push(`📧 Email: ${contacts.emails.join(', ')}`);
+    }
+    for (const { type, value } of contacts.messengers) {
+      lines.push(`💬 ${messengerLabels[type] || type}: ${value}`);
+    }
+
+    return lines.map(line => `${line}\n`).join('');
   }
 
   /**
@@ -1,4 +1,8 @@
 import { config } from '../config/config.js';
+import { parseTravelDates } from '../utils/dateParser.js';
+import { normalizeTravellers, parseTravellers, formatTravellers } from '../utils/travellers.js';
+import { totalBudget } from '../utils/budget.js';
+import exchangeRateService from './exchangeRateService.js';
 
 class UonService {
   constructor() {
@@ -7,47 +11,18 @@ class UonService {
   }
 
   /**
-   * Парсинг дат из текста вида "10-17 июня 2026 (7 дней)" → { dateFrom: "2026-06-10", dateTo: "2026-06-17" }
+   * Бюджет для поля CRM: рубли на всю поездку, верхняя граница диапазона
+   * @returns {Promise<number|null>} null — бюджет не разобран или задан на человека, а состав неизвестен
    */
-  parseDateRange(dateStr) {
-    const months = {
-      'январ': '01', 'феврал': '02', 'март': '03', 'мар': '03',
-      'апрел': '04', 'ма': '05', 'июн': '06', 'июл': '07',
-      'август': '08', 'авг': '08', 'сентябр': '09', 'октябр': '10',
-      'ноябр': '11', 'декабр': '12'
-    };
-
-    let month = null;
-    const lowerStr = dateStr.toLowerCase();
-    for (const [key, val] of Object.entries(months)) {
-      if (lowerStr.includes(key)) {
-        month = val;
-        break;
-      }
-    }
+  async getTripBudget(summary, travellers) {
+    const range = summary.budgetRange || await exchangeRateService.normalizeBudget(summary.budget);
+    if (!range) return null;
 
-    if (!month) return {};
-
-    const yearMatch = dateStr.match(/20\d{2}/);
-    const year = yearMatch ? yearMatch[0] : new Date().getFullYear().toString();
-
-    // "10-17 июня" или "10 - 17 июня" или "с 10 по 17 июня"
-    const rangeMatch = dateStr.match(/(\d{1,2})\s*[-–—]\s*(\d{1,2})/);
-    const singleMatch = dateStr.match(/(\d{1,2})\s*(январ|феврал|март|апрел|ма[йя]|июн|июл|август|сентябр|октябр|ноябр|декабр)/i);
-
-    if (rangeMatch) {
-      const dayFrom = rangeMatch[1].padStart(2, '0');
-      const dayTo = rangeMatch[2].padStart(2, '0');
-      return {
-        dateFrom: `${year}-${month}-${dayFrom}`,
-        dateTo: `${year}-${month}-${dayTo}`
-      };
-    } else if (singleMatch) {
-      const day = singleMatch[1].padStart(2, '0');
-      return { dateFrom: `${year}-${month}-${day}` };
-    }
+    const people = travellers ? travellers.adults + travellers.childrenAges.length : null;
+    if (range.perPerson && !people) return null;
 
-    return {};
+    const total = totalBudget(range, people);
+    return total.max ?? total.min;
   }
 
   /**
@@ -68,7 +43,9 @@ class UonService {
     if (leadData.lastName) body.append('u_surname', leadData.lastName);
 
     // Контакты (хотя бы один обязателен)
-    if (leadData.phone) body.append('u_phone', leadData.phone);
+    const contacts = leadData.contacts;
+    if (contacts?.phones.length) body.append('u_phone', contacts.phones[0]);
+    if (contacts?.emails.length) body.append('u_email', contacts.emails[0]);
     if (leadData.vkId) body.append('u_social_vk', `https://vk.com/id${leadData.vkId}`);
 
     // Источник
@@ -81,6 +58,9 @@ class UonService {
       if (leadData.summary.departureCity) noteParts.push(`Вылет из: ${leadData.summary.departureCity}`);
       if (leadData.summary.dates) noteParts.push(`Даты: ${leadData.summary.dates}`);
       if (leadData.summary.people) noteParts.push(`Состав: ${leadData.summary.people}`);
+      // Возраст детей и номера в CRM отдельных полей не имеют — дублируем в примечание
+      const travellersText = formatTravellers(leadData.summary.travellers);
+      if (travellersText && travellersText !== leadData.summary.people) noteParts.push(`Туристы: ${travellersText}`);
       if (leadData.summary.preferences) noteParts.push(`Пожелания: ${leadData.summary.preferences}`);
       if (leadData.summary.budget) noteParts.push(`Бюджет: ${leadData.summary.budget}`);
       if (leadData.summary.details) noteParts.push(`\nДетали: ${leadData.summary.details}`);
@@ -90,6 +70,17 @@ class UonService {
     if (leadData.contactPreference && leadData.contactPreference !== 'не указан') {
       noteParts.push(`Предпочитает связь: ${leadData.contactPreference}`);
     }
+    // В карточке клиента одно поле на телефон и email — остальные контакты в примечание
+    if (contacts) {
+      const extraContacts = [
+        ...contacts.phones.slice(1),
+        ...contacts.emails.slice(1),
+        ...contacts.messengers.map(({ type, value }) => `${type}: ${value}`)
+      ];
+      if (extraContacts.length > 0) {
+        noteParts.push(`Другие контакты: ${extraContacts.join(', ')}`);
+      }
+    }
     noteParts.push(`\nИсточник: ВК бот ИИ (автоматически)`);
 
     if (noteParts.length > 0) {
@@ -101,20 +92,21 @@ class UonService {
       if (leadData.summary.preferences) {
         body.append('requirements_note', leadData.summary.preferences);
       }
-      if (leadData.summary.people) {
-        const adults = leadData.summary.people.match(/(\d+)\s*взросл/i);
-        const children = leadData.summary.people.match(/(\d+)\s*(реб|дет)/i);
-        if (adults) body.append('tourist_count', adults[1]);
-        if (children) body.append('tourist_child_count', children[1]);
+      const travellers = normalizeTravellers(leadData.summary.travellers) || parseTravellers(leadData.summary.people);
+      if (travellers) {
+        body.append('tourist_count', String(travellers.adults));
+        if (travellers.childrenAges.length > 0) {
+          body.append('tourist_child_count', String(travellers.childrenAges.length));
+        }
       }
       if (leadData.summary.budget) {
-        const budgetNum = leadData.summary.budget.replace(/\s/g, '').match(/(\d+)/);
-        if (budgetNum) body.append('budget', budgetNum[1]);
+        const budget = await this.getTripBudget(leadData.summary, travellers);
+        if (budget) body.append('budget', String(budget));
       }
       if (leadData.summary.dates) {
-        const parsed = this.parseDateRange(leadData.summary.dates);
-        if (parsed.dateFrom) body.append('date_from', parsed.dateFrom);
-        if (parsed.dateTo) body.append('date_to', parsed.dateTo);
+        const parsed = parseTravelDates(leadData.summary.dates);
+        if (parsed?.dateFrom) body.append('date_from', parsed.dateFrom);
+        if (parsed?.dateTo) body.append('date_to', parsed.dateTo);
       }
     }
 
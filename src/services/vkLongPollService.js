@@ -0,0 +1,166 @@
+import axios from 'axios';
+import { config } from '../config/config.js';
+import vkService from './vkService.js';
+
+// Ключ в bot_state, под которым храним последний обработанный ts
+const TS_STATE_KEY = 'vk_longpoll_ts';
+
+/**
+ * VK Bots Long Poll — альтернатива Callback API для машин без публичного HTTPS.
+ * Получает события через a_check и передаёт их в тот же диспетчер, что и webhook.
+ */
+class VKLongPollService {
+  constructor() {
+    this.database = null;
+    this.running = false;
+    this.server = null;
+    this.key = null;
+    this.ts = null;
+    this.wait = config.vk.longPollWait;
+  }
+
+  /**
+   * Установить ссылку на базу данных (вызывается из index.js)
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Запустить цикл опроса
+   * @param {Function} handler - async (event) => void, диспетчер событий
+   */
+  async start(handler) {
+    this.running = true;
+
+    // ts из базы — чтобы после рестарта не потерять события, пришедшие пока бот лежал
+    const savedTs = this.database ? await this.database.getState(TS_STATE_KEY) : null;
+    await this.refreshServer({ keepTs: false });
+    if (savedTs) {
+      this.ts = savedTs;
+      console.log(`📡 Long Poll: продолжаем с сохранённого ts=${savedTs}`);
+    }
+
+    console.log(`📡 Long Poll запущен для группы ${config.vk.groupId}`);
+    this.loop(handler);
+  }
+
+  /**
+   * Остановить цикл опроса (текущий запрос дождётся таймаута wait)
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Получить новый key/server (и ts, если keepTs=false)
+   */
+  async refreshServer({ keepTs }) {
+    const { key, server, ts } = await vkService.getLongPollServer();
+    this.key = key;
+    this.server = server;
+    if (!keepTs) {
+      this.ts = ts;
+    }
+  }
+
+  /**
+   * Обработать пачку событий: чаты параллельно, события одного чата — по порядку
+   * (иначе два сообщения клиента из одной пачки могут сохраниться и попасть в очередь в обратном порядке)
+   */
+  async handleUpdates(updates, handler) {
+    const byPeer = new Map();
+    for (const update of updates) {
+      const peerId = update.object?.message?.peer_id ?? update.object?.peer_id ?? null;
+      if (!byPeer.has(peerId)) byPeer.set(peerId, []);
+      byPeer.get(peerId).push(update);
+    }
+
+    await Promise.all([...byPeer.values()].map(async (peerUpdates) => {
+      for (const update of peerUpdates) {
+        try {
+          await handler(update);
+        } catch (error) {
+          console.error('Ошибка обработки события Long Poll:', error);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Основной цикл a_check
+   */
+  async loop(handler) {
+    while (this.running) {
+      try {
+        const response = await axios.get(this.server, {
+          params: { act: 'a_check', key: this.key, ts: this.ts, wait: this.wait },
+          timeout: (this.wait + 10) * 1000
+        });
+        const data = response.data;
+
+        if (data.failed) {
+          await this.handleFailure(data);
+          continue;
+        }
+
+        const updates = data.updates || [];
+        if (updates.length > 0) {
+          console.log(`📥 Long Poll: ${updates.length} событий`);
+          await this.handleUpdates(updates, handler);
+        }
+
+        // ts сохраняем только после обработки пачки — при падении события придут повторно (дедуп их отсеет)
+        this.ts = data.ts;
+        if (this.database) {
+          await this.database.setState(TS_STATE_KEY, this.ts);
+        }
+      } catch (error) {
+        if (!this.running) break;
+        console.error('❌ Long Poll ошибка:', error.message);
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        // Сервер мог смениться — пробуем получить новый key, сохраняя ts
+        try {
+          await this.refreshServer({ keepTs: true });
+        } catch (refreshError) {
+          console.error('❌ Не удалось обновить Long Poll сервер:', refreshError.message);
+        }
+      }
+    }
+
+    console.log('📡 Long Poll остановлен');
+  }
+
+  /**
+   * Обработка failed из ответа a_check
+   * 1 — история устарела, берём новый ts из ответа
+   * 2 — истёк key, получаем новый key с тем же ts
+   * 3 — информация утрачена, получаем новые key и ts
+   */
+  async handleFailure(data) {
+    switch (data.failed) {
+      case 1:
+        console.warn(`⚠️  Long Poll: история событий устарела, часть событий могла быть потеряна (ts ${this.ts} → ${data.ts})`);
+        this.ts = data.ts;
+        break;
+      case 2:
+        console.log('🔑 Long Poll: истёк key, получаем новый');
+        await this.refreshServer({ keepTs: true });
+        break;
+      case 3:
+        console.warn('⚠️  Long Poll: информация утрачена, получаем новые key и ts');
+        await this.refreshServer({ keepTs: false });
+        break;
+      default:
+        console.error('❌ Long Poll: неизвестный failed:', data.failed);
+        await this.refreshServer({ keepTs: false });
+    }
+
+    if (this.database) {
+      await this.database.setState(TS_STATE_KEY, this.ts);
+    }
+  }
+}
+
+export default new VKLongPollService();
@@ -36,6 +36,14 @@ class VKService {
     }
   }
 
+  /**
+   * Ошибка VK API, которую повтор не исправит (901 — клиент запретил сообщения, 914 — слишком длинное сообщение и т.п.).
+   * Временными считаем только 1 (неизвестная ошибка), 6 (слишком много запросов), 9 (flood control) и 10 (внутренняя ошибка VK)
+   */
+  isFinalApiError(error) {
+    return error?.vkCode !== undefined && ![1, 6, 9, 10].includes(error.vkCode);
+  }
+
   /**
    * Получить информацию о пользователе
    */
@@ -95,6 +103,13 @@ class VKService {
           timeout: 15000
         });
 
+        // Ошибки VK API приходят с HTTP 200 в поле error (например, 901 — клиент запретил сообщения)
+        if (response.data.error) {
+          const apiError = new Error(`VK API ${response.data.error.error_code}: ${response.data.error.error_msg}`);
+          apiError.vkCode = response.data.error.error_code;
+          throw apiError;
+        }
+
         return response.data;
       } catch (error) {
         console.error('Ошибка отправки сообщения VK:', error.message);
@@ -103,6 +118,28 @@ class VKService {
     });
   }
 
+  /**
+   * Получить сервер Bots Long Poll: { key, server, ts }
+   */
+  async getLongPollServer() {
+    return this.retryRequest(async () => {
+      const response = await axios.get(`${this.baseUrl}/groups.getLongPollServer`, {
+        params: {
+          group_id: config.vk.groupId,
+          access_token: this.accessToken,
+          v: this.apiVersion
+        },
+        timeout: 15000
+      });
+
+      if (response.data.error) {
+        throw new Error(`VK API: ${response.data.error.error_msg}`);
+      }
+
+      return response.data.response;
+    });
+  }
+
   /**
    * Установить статус "печатает..."
    */
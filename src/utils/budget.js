@@ -0,0 +1,181 @@
+/**
+ * Разбор бюджета из текста: "300к", "полмиллиона", "от 150 до 200 тыс", "$3000 на человека".
+ * Суммы возвращаются в валюте клиента — в рубли переводит exchangeRateService.
+ */
+
+const CURRENCIES = [
+  { code: 'USD', pattern: /\$|usd|долл|бакс/ },
+  { code: 'EUR', pattern: /€|eur|евро/ },
+  { code: 'KZT', pattern: /₸|kzt|тенге|тг(?![а-я])/ },
+  { code: 'BYN', pattern: /byn|бел\S*\s*руб/ },
+  { code: 'CNY', pattern: /¥|cny|юан/ },
+  { code: 'RUB', pattern: /₽|rub|руб|(?:^|[\d\s])р(?![а-я])/ }
+];
+
+const NUMBER_WORDS = {
+  'пол': 0.5, 'полтора': 1.5, 'полторы': 1.5,
+  'один': 1, 'одна': 1, 'два': 2, 'две': 2, 'три': 3, 'четыре': 4, 'пять': 5, 'шесть': 6, 'семь': 7,
+  'восемь': 8, 'девять': 9, 'десять': 10, 'двадцать': 20, 'тридцать': 30, 'сорок': 40, 'пятьдесят': 50,
+  'шестьдесят': 60, 'семьдесят': 70, 'восемьдесят': 80, 'девяносто': 90, 'сто': 100, 'двести': 200,
+  'триста': 300, 'четыреста': 400, 'пятьсот': 500, 'шестьсот': 600, 'семьсот': 700, 'восемьсот': 800,
+  'девятьсот': 900
+};
+
+// Множители: "тыс", "т.р.", "300к", "млн", "лям"
+const MULTIPLIER = '(тыс\\S*|т\\.?\\s?р(?![а-я])\\.?|тр(?![а-я])|к(?![а-я])|k(?![a-z])|косар\\S*|млн|миллион\\S*|лям\\S*)';
+// Число цифрами ("150 000", "1,5", "150.000") или словами ("сто пятьдесят", "полтора")
+const NUMERIC = '(\\d{1,3}(?:[ .]\\d{3})+|\\d+(?:[.,]\\d+)?)';
+const WORDS = `((?:(?<![а-я])(?:${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})(?![а-я])\\s*)+)`;
+const AMOUNT = new RegExp(`(?:${NUMERIC}|${WORDS})\\s*${MULTIPLIER}?`, 'g');
+
+// После числа — не деньги, а количество: "2 человека", "7 ночей", "5 звёзд"
+const COUNT_SUFFIX = /^\s*(?:чел|человек|взросл|дет|реб|ноч|дн|день|недел|сут|звезд|\*|номер|лет|год|мес|%)/;
+// Валюта рядом с числом: "$3000", "250 000 рублей"
+const CURRENCY_BEFORE = /(?:\$|€|₸|¥)\s*$/;
+const CURRENCY_AFTER = /^\s*(?:₽|\$|€|₸|¥|rub|usd|eur|kzt|byn|cny|руб|р(?![а-я])|долл|бакс|евро|тенге|тг(?![а-я])|юан)/;
+// Граница диапазона: "100-150 тыс", "от 150 до 200"
+const RANGE_BETWEEN = /^\s*(?:-|–|—|до)\s*$/;
+
+const PER_PERSON = /(?:на|за|с)\s+(?:одного\s+|каждого\s+|1\s+)?(?:человек|чел(?![а-я])|персон|одного|каждого|взросл|нос)|\/\s*чел/;
+const TOTAL = /на\s+(?:всех|двоих|троих|четверых|семью|компанию|поездку|тур)|общ|итого|всего/;
+
+function multiplierValue(word) {
+  if (!word) return 1;
+  if (/^(?:млн|миллион|лям)/.test(word)) return 1000000;
+  return 1000;
+}
+
+function wordsValue(words) {
+  const tokens = words.trim().split(/\s+/);
+  return tokens.reduce((sum, token) => sum + (NUMBER_WORDS[token] || 0), 0);
+}
+
+/**
+ * Найти суммы в тексте в порядке появления.
+ * Числа-количества ("2 человека", "7 ночей") пропускаются. Если есть числа с валютой, множителем или в явном
+ * диапазоне — берутся только они: иначе "на 2 человек 300 тыс" даёт минимум 2 000
+ * @returns {Array<{value: number, multiplier: number}>}
+ */
+function findAmounts(text) {
+  const found = [];
+  // "полмиллиона", "полляма" пишутся слитно — отделяем "пол" как число
+  const prepared = text.replace(/пол\s?(миллиона|млн|ляма)/g, 'пол $1');
+
+  for (const match of prepared.matchAll(AMOUNT)) {
+    const [, numeric, words, multiplier] = match;
+    let value;
+    if (numeric) {
+      value = /^\d{1,3}(?:[ .]\d{3})+$/.test(numeric)
+        ? parseInt(numeric.replace(/[ .]/g, ''), 10)
+        : parseFloat(numeric.replace(',', '.'));
+    } else {
+      value = wordsValue(words);
+      // "пол" без множителя ("пол суммы") — не сумма
+      if (!multiplier && value < 1) continue;
+    }
+    if (!value) continue;
+
+    const end = match.index + match[0].trimEnd().length;
+    if (!multiplier && COUNT_SUFFIX.test(prepared.slice(end))) continue;
+
+    const unit = multiplierValue(multiplier);
+    found.push({
+      value: value * unit,
+      multiplier: unit,
+      start: match.index,
+      end,
+      marked: Boolean(multiplier) || CURRENCY_BEFORE.test(prepared.slice(0, match.index)) || CURRENCY_AFTER.test(prepared.slice(end))
+    });
+  }
+
+  // Оба конца явного диапазона — суммы, даже без валюты у первого
+  found.forEach((amount, i) => {
+    const next = found[i + 1];
+    if (next && RANGE_BETWEEN.test(prepared.slice(amount.end, next.start))) {
+      amount.marked = true;
+      next.marked = true;
+    }
+  });
+
+  const marked = found.filter(amount => amount.marked);
+  return (marked.length > 0 ? marked : found).map(({ value, multiplier }) => ({ value, multiplier }));
+}
+
+/**
+ * Разобрать бюджет
+ * @param {string} text - как сказал клиент или как записано в карточке ("~500 000₽ на всех")
+ * @returns {{min: number|null, max: number|null, currency: string, perPerson: boolean}|null}
+ */
+export function parseBudget(text) {
+  if (!text) return null;
+  const normalized = text.toLowerCase().replace(/ё/g, 'е').replace(/ /g, ' ');
+
+  const currency = CURRENCIES.find(({ pattern }) => pattern.test(normalized))?.code || 'RUB';
+  let amounts = findAmounts(normalized);
+  if (amounts.length === 0) return null;
+
+  // "100-150 тыс", "от 150 до 200 тыс" — множитель второго числа относится и к первому
+  const [first, second] = amounts;
+  if (second && first.multiplier === 1 && second.multiplier > 1 && first.value <= second.value / second.multiplier) {
+    amounts[0] = { value: first.value * second.multiplier, multiplier: second.multiplier };
+  }
+
+  // Рубли без множителя и меньше тысячи — это тысячи ("бюджет 200")
+  if (currency === 'RUB') {
+    amounts = amounts.map(amount => (amount.multiplier === 1 && amount.value < 1000 ? { ...amount, value: amount.value * 1000 } : amount));
+  }
+
+  const values = amounts.slice(0, 2).map(amount => Math.round(amount.value));
+  let min = values[0];
+  let max = values.length > 1 ? values[1] : values[0];
+
+  if (values.length === 1) {
+    if (/(?:^|\s)(?:до|не\s+(?:больше|более|дороже)|максимум|в\s+пределах|не\s+выше)\s/.test(normalized)) min = null;
+    else if (/(?:^|\s)(?:от|не\s+меньше|минимум|больше|более)\s/.test(normalized)) max = null;
+  } else if (min > max) {
+    [min, max] = [max, min];
+  }
+
+  return {
+    min,
+    max,
+    currency,
+    perPerson: PER_PERSON.test(normalized) && !TOTAL.test(normalized)
+  };
+}
+
+/**
+ * Бюджет на всю поездку: бюджет "на человека" умножаем на количество туристов
+ * @param {{min, max, perPerson}} budget - в рублях
+ * @param {number} people - сколько человек едет
+ */
+export function totalBudget(budget, people) {
+  if (!budget) return null;
+  const factor = budget.perPerson && people ? people : 1;
+  return {
+    min: budget.min !== null ? budget.min * factor : null,
+    max: budget.max !== null ? budget.max * factor : null
+  };
+}
+
+/**
+ * Бюджет текстом: "150 000 – 200 000 ₽ на всех", "до 3 000 $ на человека"
+ */
+export function formatBudget(budget) {
+  if (!budget) return null;
+  const symbols = { RUB: '₽', USD: '$', EUR: '€', KZT: '₸', BYN: 'BYN', CNY: '¥' };
+  const format = (value) => `${value.toLocaleString('ru-RU')} ${symbols[budget.currency] || budget.currency}`;
+
+  let range;
+  if (budget.min !== null && budget.max !== null && budget.min !== budget.max) {
+    range = `${format(budget.min)} – ${format(budget.max)}`;
+  } else if (budget.min === null) {
+    range = `до ${format(budget.max)}`;
+  } else if (budget.max === null) {
+    range = `от ${format(budget.min)}`;
+  } else {
+    range = `~${format(budget.min)}`;
+  }
+
+  return `${range} ${budget.perPerson ? 'на человека' : 'на всех'}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * Извлечение контактов клиента из текста: телефоны (E.164), email, ники в мессенджерах.
+ * Даты, суммы и номера документов ("12.06.2026", "бюджет 150 000 00 00", "паспорт 4510 123456") телефонами не считаются.
+ */
+
+// Кандидат в телефон: цифры с разделителями, возможно с "+" в начале
+const PHONE_CANDIDATE = /(?:\+\s?)?\d[\d\s\-().]{7,}\d/g;
+// Дата внутри кандидата: 12.06.2026, 12/06/26
+const DATE_LIKE = /\d{1,2}[./]\d{1,2}[./]\d{2,4}/;
+// Сумма: после числа идёт валюта или "тыс"
+const PRICE_SUFFIX = /^\s*(?:₽|р\b|р\.|руб|rub|тыс|т\.?\s?р|к\b|k\b|\$|€|usd|eur|евро|долл|тенге|₸)/i;
+// Сумма: перед числом слова про деньги
+const PRICE_PREFIX = /(?:^|[\s,.:;(])(?:бюджет\S*|стоимост\S*|цен[аеуы]|сумм\S*|за|до|от|около|примерно|~)\s*$/i;
+// Номер документа или счёта: перед числом паспорт, серия, договор, ИНН и т.п.
+const DOCUMENT_PREFIX = /(?:^|[\s,.:;(])(?:паспорт\S*|загран\S*|серия|серии|сер\.|номер\s+(?:договор|заказ|брон|паспорт|карт|сч[её]т)\S*|договор\S*|инн|снилс|огрн\S*|кпп|бик|сч[её]т\S*|р\/с|карт[аыу])\s*[:№#]?\s*$/i;
+// Коды городов РФ (ABC) — для 10 цифр без +7/8 кроме мобильных 9xx, иначе "4510 123456" (паспорт) становится телефоном
+const RU_CITY_CODES = new Set([
+  '301', '302', '336', '341', '342', '343', '345', '346', '347', '349', '351', '352', '353',
+  '381', '382', '383', '384', '385', '388', '390', '391', '394', '395',
+  '401', '411', '413', '415', '416', '421', '423', '424', '426', '427',
+  '471', '472', '473', '474', '475', '481', '482', '483', '484', '485', '486', '487',
+  '491', '492', '493', '494', '495', '496', '498', '499',
+  '800', '811', '812', '813', '814', '815', '816', '817', '818', '820', '821',
+  '831', '833', '834', '835', '836', '841', '842', '843', '844', '845', '846', '847', '848',
+  '851', '855', '861', '862', '863', '865', '866', '867', '869',
+  '871', '872', '873', '877', '878', '879'
+]);
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Ник Telegram: @handle (не часть email), t.me/handle
+const TELEGRAM_HANDLE = /(?:^|[^\w.@])@([a-z][a-z0-9_]{4,31})\b/gi;
+const TELEGRAM_LINK = /(?:https?:\/\/)?t(?:elegram)?\.me\/([a-z][a-z0-9_]{4,31})\b/gi;
+// WhatsApp: wa.me/79123456789
+const WHATSAPP_LINK = /(?:https?:\/\/)?wa\.me\/\+?(\d{10,15})/gi;
+
+/**
+ * Привести номер к E.164
+ * @param {string} raw - номер как его написал клиент
+ * @returns {string|null} "+79123456789" или null, если это не похоже на телефон
+ */
+export function normalizePhone(raw) {
+  const hasPlus = raw.trim().startsWith('+');
+  const digits = raw.replace(/\D/g, '');
+
+  // Россия и Казахстан: +7 / 8 и 10 цифр. Коды РФ начинаются на 3, 4, 8, 9, Казахстана — на 6, 7
+  if (digits.length === 11 && /^[78][346789]/.test(digits) && (hasPlus ? digits[0] === '7' : true)) {
+    return `+7${digits.slice(1)}`;
+  }
+  // Беларусь: +375 и 9 цифр, внутри страны — 80 и 9 цифр
+  if (digits.length === 12 && digits.startsWith('375')) {
+    return `+${digits}`;
+  }
+  if (!hasPlus && digits.length === 11 && digits.startsWith('80') && /^80(?:17|25|29|33|44)/.test(digits)) {
+    return `+375${digits.slice(2)}`;
+  }
+  // 10 цифр без кода страны — российский номер без +7/8: мобильный 9xx или код города
+  if (!hasPlus && digits.length === 10 && (digits[0] === '9' || RU_CITY_CODES.has(digits.slice(0, 3)))) {
+    return `+7${digits}`;
+  }
+  // Остальные международные — только с явным "+"
+  if (hasPlus && digits.length >= 10 && digits.length <= 15 && digits[0] !== '0') {
+    return `+${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Разобрать кандидата в телефон. Если целиком не подходит — пробуем отбросить ведущие группы цифр:
+ * "с 9 до 21 89123456789" склеивается регуляркой в один кандидат
+ */
+function parsePhoneCandidate(text, index, candidate) {
+  const after = text.slice(index + candidate.length);
+  if (DATE_LIKE.test(candidate) || PRICE_SUFFIX.test(after)) return null;
+
+  let offset = 0;
+  while (offset < candidate.length) {
+    const part = candidate.slice(offset);
+    const before = text.slice(0, index + offset);
+    if (!PRICE_PREFIX.test(before) && !DOCUMENT_PREFIX.test(before)) {
+      const phone = normalizePhone(part);
+      if (phone) return phone;
+    }
+
+    const nextGroup = part.search(/\s(?=[+\d(])/);
+    if (nextGroup === -1) break;
+    offset += nextGroup + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Найти телефоны в тексте
+ * @returns {string[]} Уникальные номера в E.164
+ */
+export function extractPhones(text) {
+  const phones = new Set();
+
+  for (const match of (text || '').matchAll(PHONE_CANDIDATE)) {
+    const phone = parsePhoneCandidate(text, match.index, match[0]);
+    if (phone) phones.add(phone);
+  }
+
+  for (const match of (text || '').matchAll(WHATSAPP_LINK)) {
+    const phone = normalizePhone(`+${match[1]}`);
+    if (phone) phones.add(phone);
+  }
+
+  return [...phones];
+}
+
+/**
+ * Найти все контакты клиента в тексте
+ * @param {string} text
+ * @returns {{phones: string[], emails: string[], messengers: Array<{type: string, value: string}>}}
+ */
+export function extractContacts(text) {
+  const source = text || '';
+  const emails = [...new Set([...source.matchAll(EMAIL)].map(match => match[0].toLowerCase()))];
+
+  const messengers = [];
+  const seen = new Set();
+  const addMessenger = (type, value) => {
+    const key = `${type}:${value.toLowerCase()}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      messengers.push({ type, value });
+    }
+  };
+
+  for (const match of source.matchAll(TELEGRAM_HANDLE)) addMessenger('telegram', `@${match[1]}`);
+  for (const match of source.matchAll(TELEGRAM_LINK)) addMessenger('telegram', `@${match[1]}`);
+  for (const match of source.matchAll(WHATSAPP_LINK)) {
+    const phone = normalizePhone(`+${match[1]}`);
+    if (phone) addMessenger('whatsapp', phone);
+  }
+
+  return { phones: extractPhones(source), emails, messengers };
+}
+
+/**
+ * Есть ли в результате extractContacts хоть один контакт
+ */
+export function hasContacts(contacts) {
+  return Boolean(contacts && (contacts.phones.length || contacts.emails.length || contacts.messengers.length));
+}
+
+/**
+ * Объединить контакты из нескольких сообщений (порядок — от старых к новым, без повторов)
+ */
+export function mergeContacts(...list) {
+  const merged = { phones: [], emails: [], messengers: [] };
+
+  for (const contacts of list) {
+    if (!contacts) continue;
+    for (const phone of contacts.phones) {
+      if (!merged.phones.includes(phone)) merged.phones.push(phone);
+    }
+    for (const email of contacts.emails) {
+      if (!merged.emails.includes(email)) merged.emails.push(email);
+    }
+    for (const messenger of contacts.messengers) {
+      if (!merged.messengers.some(m => m.type === messenger.type && m.value === messenger.value)) {
+        merged.messengers.push(messenger);
+      }
+    }
+  }
+
+  return merged;
+}
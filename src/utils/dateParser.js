@@ -0,0 +1,266 @@
+/**
+ * Разбор дат поездки из русского текста: "10-17 июня", "с 28 декабря по 5 января", "через месяц",
+ * "на майские", "в конце августа на 10 ночей".
+ * Всё считается от опорной даты (по умолчанию — сегодня): даты без года, которые уже прошли, переносятся на следующий год.
+ */
+
+// Порядок важен: "март" проверяется раньше "ма[йяе]"
+const MONTH_STEMS = ['январ', 'феврал', 'март', 'апрел', 'ма[йяе]', 'июн', 'июл', 'август', 'сентябр', 'октябр', 'ноябр', 'декабр'];
+// Только падежные окончания месяцев: "Майами" и "Мартиника" — не май и не март
+const MONTH = `(${MONTH_STEMS.join('|')})(?:ь|я|е|ю|ем|а|у|ом|м)?(?![а-я])`;
+const DASH = '\\s*(?:-|–|—|по|до)\\s*';
+const YEAR = '(?:\\s+(\\d{4}))?(?:\\s*г(?:ода?)?\\.?)?';
+
+const NUMBER_WORDS = {
+  'один': 1, 'одну': 1, 'одна': 1, 'два': 2, 'две': 2, 'пару': 2, 'пара': 2, 'три': 3, 'четыре': 4, 'пять': 5,
+  'шесть': 6, 'семь': 7, 'восемь': 8, 'девять': 9, 'десять': 10, 'одиннадцать': 11, 'двенадцать': 12,
+  'тринадцать': 13, 'четырнадцать': 14, 'пятнадцать': 15
+};
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Праздники и каникулы: [месяц, день] начала и конца (примерно, точные даты меняются по производственному календарю)
+const HOLIDAYS = [
+  { pattern: /майск|на\s+май\b/, from: [4, 1], to: [4, 11] },
+  { pattern: /новогодн|нов(?:ый|ом)\s+год|на\s+нг\b/, from: [11, 30], to: [0, 8] },
+  { pattern: /ноябрьск/, from: [10, 1], to: [10, 4] },
+  { pattern: /зимн\S*\s+каникул/, from: [11, 29], to: [0, 11] },
+  { pattern: /весенн\S*\s+каникул/, from: [2, 23], to: [2, 31] },
+  { pattern: /осенн\S*\s+каникул/, from: [9, 26], to: [10, 3] },
+  { pattern: /летн\S*\s+каникул/, from: [5, 1], to: [7, 31] }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  return NUMBER_WORDS[value] ?? parseInt(value, 10);
+}
+
+function monthIndex(word) {
+  return MONTH_STEMS.findIndex(stem => new RegExp(`^${stem}`).test(word));
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+  return utcDate(year, month + 1, 0).getUTCDate();
+}
+
+function fullYear(value) {
+  if (!value) return null;
+  const year = parseInt(value, 10);
+  return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Дата без года: ближайшая в будущем относительно опорной
+ */
+function upcoming(month, day, year, today) {
+  if (year) return utcDate(year, month, day);
+  const date = utcDate(today.getUTCFullYear(), month, day);
+  return date < today ? utcDate(today.getUTCFullYear() + 1, month, day) : date;
+}
+
+/**
+ * Конец диапазона: если без года он раньше начала — значит, следующий год ("с 28 декабря по 5 января")
+ */
+function rangeEnd(month, day, year, start) {
+  if (year) return utcDate(year, month, day);
+  const date = utcDate(start.getUTCFullYear(), month, day);
+  return date < start ? utcDate(start.getUTCFullYear() + 1, month, day) : date;
+}
+
+function isValidDay(month, day) {
+  return month >= 0 && month <= 11 && day >= 1 && day <= 31;
+}
+
+/**
+ * Длительность поездки в ночах: "на 10 ночей", "7 дней", "на неделю", "на две недели"
+ */
+function parseNights(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*(ноч|дн|сут|недел)`));
+  if (match) {
+    const value = toNumber(match[1]);
+    if (match[2] === 'ноч') return value;
+    if (match[2] === 'недел') return value * 7;
+    return Math.max(value - 1, 1);
+  }
+  if (/на\s+недел/.test(text)) return 7;
+  if (/на\s+выходн/.test(text)) return 2;
+  return null;
+}
+
+/**
+ * Явный диапазон или дата из текста
+ * @returns {{from: Date, to: Date|null, approximate: boolean}|null}
+ */
+function parseExplicit(text, today) {
+  let match;
+
+  // 2026-06-10 или 2026-06-10 - 2026-06-17
+  match = text.match(/(\d{4})-(\d{2})-(\d{2})(?:\s*(?:-|–|—|по|до)\s*(\d{4})-(\d{2})-(\d{2}))?/);
+  if (match) {
+    return {
+      from: utcDate(+match[1], +match[2] - 1, +match[3]),
+      to: match[4] ? utcDate(+match[4], +match[5] - 1, +match[6]) : null,
+      approximate: false
+    };
+  }
+
+  // 28.12-05.01, 10.06.2026 - 17.06.2026
+  match = text.match(/(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?\s*(?:-|–|—|по|до)\s*(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?/);
+  if (match && isValidDay(+match[2] - 1, +match[1]) && isValidDay(+match[5] - 1, +match[4])) {
+    const from = upcoming(+match[2] - 1, +match[1], fullYear(match[3]), today);
+    return { from, to: rangeEnd(+match[5] - 1, +match[4], fullYear(match[6]), from), approximate: false };
+  }
+
+  // с 28 декабря по 5 января, 10 июня - 2 июля 2027
+  match = text.match(new RegExp(`(\\d{1,2})\\s+${MONTH}${YEAR}${DASH}(\\d{1,2})\\s+${MONTH}${YEAR}`));
+  if (match) {
+    const from = upcoming(monthIndex(match[2]), +match[1], fullYear(match[3]), today);
+    return { from, to: rangeEnd(monthIndex(match[5]), +match[4], fullYear(match[6]), from), approximate: false };
+  }
+
+  // 10-17 июня, с 10 по 17 июня 2026, 31-2 января (начало — в предыдущем месяце)
+  match = text.match(new RegExp(`(\\d{1,2})${DASH}(\\d{1,2})\\s+${MONTH}${YEAR}`));
+  if (match) {
+    const month = monthIndex(match[3]);
+    const year = fullYear(match[4]);
+    const to = upcoming(month, +match[2], year, today);
+    const startMonth = +match[1] > +match[2] ? month - 1 : month;
+    // "31-2 июня" — в мае 31 число есть, а "30-2 марта" в феврале нет: диапазон не разбираем, остаётся дата "2 марта"
+    if (+match[1] <= daysInMonth(to.getUTCFullYear(), startMonth)) {
+      return { from: utcDate(to.getUTCFullYear(), startMonth, +match[1]), to, approximate: false };
+    }
+  }
+
+  // 10 июня, 8 марта 2027
+  match = text.match(new RegExp(`(\\d{1,2})\\s+${MONTH}${YEAR}`));
+  if (match) {
+    return { from: upcoming(monthIndex(match[2]), +match[1], fullYear(match[3]), today), to: null, approximate: false };
+  }
+
+  // 10.06, 10.06.2026
+  match = text.match(/(?:^|[^\d.,])(\d{1,2})\.(\d{1,2})(?:\.(\d{2,4}))?(?![\d,]|\.\d)/);
+  if (match && isValidDay(+match[2] - 1, +match[1])) {
+    return { from: upcoming(+match[2] - 1, +match[1], fullYear(match[3]), today), to: null, approximate: false };
+  }
+
+  return null;
+}
+
+/**
+ * Праздники, относительные даты и месяцы без числа
+ * @returns {{from: Date, to: Date|null, approximate: boolean}|null}
+ */
+function parseVague(text, today) {
+  for (const holiday of HOLIDAYS) {
+    if (holiday.pattern.test(text)) {
+      let from = utcDate(today.getUTCFullYear(), holiday.from[0], holiday.from[1]);
+      let to = rangeEnd(holiday.to[0], holiday.to[1], null, from);
+      // Праздники уже закончились — берём следующие
+      if (to < today) {
+        from = utcDate(today.getUTCFullYear() + 1, holiday.from[0], holiday.from[1]);
+        to = rangeEnd(holiday.to[0], holiday.to[1], null, from);
+      }
+      return { from, to, approximate: true };
+    }
+  }
+
+  if (/послезавтра/.test(text)) return { from: addDays(today, 2), to: null, approximate: false };
+  if (/завтра/.test(text)) return { from: addDays(today, 1), to: null, approximate: false };
+  if (/сегодня/.test(text)) return { from: today, to: null, approximate: false };
+
+  // через 2 недели, через месяц, через пару дней
+  const after = text.match(new RegExp(`через\\s+(?:${NUMBER}\\s+)?(дн|день|недел|месяц)`));
+  if (after) {
+    const count = after[1] ? toNumber(after[1]) : 1;
+    if (after[2] === 'месяц') {
+      const month = today.getUTCMonth() + count;
+      const year = today.getUTCFullYear() + Math.floor(month / 12);
+      const day = Math.min(today.getUTCDate(), daysInMonth(year, month % 12));
+      return { from: utcDate(year, month % 12, day), to: null, approximate: true };
+    }
+    return { from: addDays(today, after[2] === 'недел' ? count * 7 : count), to: null, approximate: after[2] !== 'дн' && after[2] !== 'день' };
+  }
+
+  // на выходных — ближайшие суббота и воскресенье
+  if (/(?:на|в)\s+(?:эти\s+|ближайшие\s+)?выходн/.test(text)) {
+    const saturday = addDays(today, (6 - today.getUTCDay() + 7) % 7);
+    return { from: saturday, to: addDays(saturday, 1), approximate: false };
+  }
+
+  if (/следующ\S*\s+недел/.test(text)) {
+    const monday = addDays(today, ((8 - today.getUTCDay()) % 7) || 7);
+    return { from: monday, to: null, approximate: true };
+  }
+
+  if (/следующ\S*\s+месяц/.test(text)) {
+    return { from: utcDate(today.getUTCFullYear(), today.getUTCMonth() + 1, 1), to: null, approximate: true };
+  }
+
+  // в начале/середине/конце июня, в июне
+  const month = text.match(new RegExp(`(?:(начал|середин|конц|конец|последн)\\S*\\s+)?${MONTH}${YEAR}`));
+  if (month) {
+    const index = monthIndex(month[2]);
+    const year = fullYear(month[3]);
+    const startDay = { 'начал': 1, 'середин': 10, 'конц': 20, 'конец': 20, 'последн': 20 }[month[1]] || 1;
+    let from = upcoming(index, startDay, year, today);
+    // Текущий месяц, а нужная часть уже прошла — от сегодняшнего дня
+    if (!year && from.getUTCFullYear() > today.getUTCFullYear() && index === today.getUTCMonth()) {
+      from = today;
+    }
+    return { from, to: null, approximate: true };
+  }
+
+  return null;
+}
+
+/**
+ * Разобрать даты поездки
+ * @param {string} text - как написал клиент или как записано в карточке ("5-12 февраля 2027 (7 дней)")
+ * @param {Date} referenceDate - опорная дата (сегодня)
+ * @returns {{dateFrom: string|null, dateTo: string|null, nights: number|null, approximate: boolean}|null}
+ *   Даты в формате YYYY-MM-DD; approximate — даты примерные (месяц, праздники, "через месяц"); null — дат в тексте нет
+ */
+export function parseTravelDates(text, referenceDate = new Date()) {
+  if (!text) return null;
+
+  const normalized = text.toLowerCase().replace(/ё/g, 'е');
+  const today = utcDate(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+
+  const range = parseExplicit(normalized, today) || parseVague(normalized, today);
+  // "через 2 недели" — это когда ехать, а не на сколько
+  let nights = parseNights(normalized.replace(new RegExp(`через\\s+(?:${NUMBER}\\s+)?\\S+`, 'g'), ''));
+
+  if (!range) {
+    return nights ? { dateFrom: null, dateTo: null, nights, approximate: true } : null;
+  }
+
+  let to = range.to;
+  if (to && !range.approximate) {
+    // Точный диапазон важнее "(7 дней)" рядом с ним
+    nights = Math.round((to - range.from) / DAY_MS);
+  } else if (to && !nights) {
+    nights = Math.round((to - range.from) / DAY_MS);
+  } else if (nights) {
+    // "на майские на 7 ночей" — длительность важнее примерного конца праздников
+    to = addDays(range.from, nights);
+  }
+
+  return {
+    dateFrom: formatDate(range.from),
+    dateTo: to ? formatDate(to) : null,
+    nights: nights || null,
+    approximate: range.approximate
+  };
+}
@@ -0,0 +1,243 @@
+import * as cheerio from 'cheerio';
+import { parseTravelDates } from './dateParser.js';
+
+/**
+ * Разбор страницы горящих туров (planetaperm.ru/hot/) в список предложений.
+ * Вёрстка карточек может меняться, поэтому поля ищутся по очереди: по классам элементов
+ * ("hotel", "country", "price"...), по подписям ("Отель:", "Вылет:") и по тексту карточки
+ */
+
+const PRICE = /(\d{1,3}(?:[\s ]\d{3})+|\d{4,7})\s*(?:₽|руб|р\.|rub)/i;
+const PRICE_GLOBAL = new RegExp(PRICE.source, 'gi');
+const NUMERIC_DATE = /\b(\d{1,2})\.(\d{1,2})(?:\.(\d{2}|\d{4}))?\b/;
+const WORD_DATE = /\b\d{1,2}\s+(?:январ|феврал|март|апрел|ма[йяе]|июн|июл|август|сентябр|октябр|ноябр|декабр)[а-я]*(?:\s+\d{4})?/i;
+const NIGHTS = /(\d{1,2})\s*(?:ноч|нч|н\.)/i;
+const PER_PERSON = /\/\s*чел|(?:на|за|с)\s+(?:1\s+)?человек|на\s+одного|per\s+person/i;
+
+// Классы элементов → поле предложения
+const FIELD_CLASSES = {
+  hotel: /hotel|otel/i,
+  destination: /country|strana|resort|kurort|direction|destination|napravl/i,
+  stars: /star|zvezd/i,
+  departureCity: /departure|vylet|city|gorod/i,
+  date: /date/i,
+  nights: /night|noch/i,
+  price: /price|cena|cost|stoim/i
+};
+
+// Подписи полей в тексте карточки
+const FIELD_LABELS = {
+  hotel: /(?:^|\n)\s*отель\s*:\s*\n?\s*([^\n]+)/i,
+  destination: /(?:^|\n)\s*(?:страна|направление|курорт)\s*:\s*\n?\s*([^\n]+)/i,
+  departureCity: /(?:^|\n)\s*(?:город\s+вылета|вылет\s+из)\s*:?\s*\n?\s*([^\n]+)/i,
+  date: /(?:^|\n)\s*(?:дата\s+вылета|вылет|дата)\s*:?\s*\n?\s*([^\n]+)/i
+};
+
+// "из Перми" → "Пермь": города вылета в родительном падеже
+const CITY_FORMS = {
+  'перми': 'Пермь',
+  'москвы': 'Москва',
+  'екатеринбурга': 'Екатеринбург',
+  'казани': 'Казань',
+  'уфы': 'Уфа',
+  'челябинска': 'Челябинск',
+  'ижевска': 'Ижевск',
+  'санкт-петербурга': 'Санкт-Петербург'
+};
+
+/**
+ * Цена в рублях из текста: "85 000 ₽" → 85000
+ */
+function parsePrice(text) {
+  const match = (text || '').match(PRICE);
+  return match ? parseInt(match[1].replace(/[\s ]/g, ''), 10) : null;
+}
+
+/**
+ * Звёздность: "5*", "4★", "★★★★", "3 звезды", класс "stars-4"
+ */
+function parseStars(text, className = '') {
+  const fromClass = className.match(/stars?[-_]?([1-5])\b/i);
+  if (fromClass) return parseInt(fromClass[1], 10);
+
+  const symbols = (text.match(/★/g) || []).length;
+  if (symbols >= 1 && symbols <= 5 && !/\d\s*★/.test(text)) return symbols;
+
+  const match = text.match(/\b([1-5])\s*(?:\*|★|зв(?:езд|ёзд)?)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Дата без года, прошедшая не больше чем на столько дней, — этого года (вылет вчера, страницу ещё не обновили),
+// прошедшая сильнее — следующего ("05.01" в декабре)
+const PAST_DATE_TOLERANCE_DAYS = 31;
+
+/**
+ * Год для даты без года относительно опорной даты
+ */
+function resolveYear(month, day, referenceDate) {
+  const year = referenceDate.getFullYear();
+  const today = Date.UTC(year, referenceDate.getMonth(), referenceDate.getDate());
+  const tolerance = PAST_DATE_TOLERANCE_DAYS * 24 * 60 * 60 * 1000;
+  return Date.UTC(year, month - 1, day) < today - tolerance ? year + 1 : year;
+}
+
+/**
+ * Дата вылета YYYY-MM-DD: "25.10", "25.10.2026", "25 октября".
+ * Даты без года, прошедшие больше чем на месяц, — следующий год; недавно прошедшие остаются в прошлом (их отсекает поиск)
+ */
+function parseDate(text, referenceDate) {
+  const format = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  const numeric = (text || '').match(NUMERIC_DATE);
+  if (numeric) {
+    const day = parseInt(numeric[1], 10);
+    const month = parseInt(numeric[2], 10);
+    if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+
+    if (!numeric[3]) return format(resolveYear(month, day, referenceDate), month, day);
+    const year = parseInt(numeric[3], 10);
+    return format(year < 100 ? year + 2000 : year, month, day);
+  }
+
+  const words = (text || '').match(WORD_DATE);
+  const date = words ? parseTravelDates(words[0], referenceDate)?.dateFrom : null;
+  if (!date || /\d{4}/.test(words[0])) return date || null;
+  // parseTravelDates переносит любую прошедшую дату на следующий год — для витрины нужен допуск
+  const [, month, day] = date.split('-').map(Number);
+  return format(resolveYear(month, day, referenceDate), month, day);
+}
+
+/**
+ * Город вылета: "из Перми" в любом месте текста, а в подписи ("Город вылета: Пермь") — и просто название
+ */
+function parseDepartureCity(text, labeled) {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  const from = value.match(/(?:^|\s)из\s+([а-яё-]+)/i);
+  if (from) return CITY_FORMS[from[1].toLowerCase()] || null;
+  if (!labeled) return null;
+
+  const word = value.match(/^[А-ЯЁ][а-яё-]+(?:\s+[А-ЯЁ][а-яё-]+)?/);
+  return word ? CITY_FORMS[word[0].toLowerCase()] || word[0] : null;
+}
+
+/**
+ * Текст элемента с переносами строк между блоками (чтобы подписи и значения не слипались)
+ */
+function blockText($, element) {
+  const $copy = $(element).clone();
+  $copy.find('br').replaceWith('\n');
+  $copy.find('div, p, li, span, b, strong, h1, h2, h3, h4, h5, h6, td, dt, dd, a').each((_, child) => {
+    $(child).prepend('\n').append('\n');
+  });
+  return $copy.text()
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Найти карточки предложений: самые крупные элементы, в которых ровно одна цена и есть дата
+ */
+function findCards($) {
+  const priceCount = (element) => ($(element).text().match(PRICE_GLOBAL) || []).length;
+  const hasDate = (element) => {
+    const text = $(element).text();
+    return NUMERIC_DATE.test(text) || WORD_DATE.test(text);
+  };
+
+  // Самые глубокие элементы с ценой
+  const priced = $('body *').toArray().filter(element => priceCount(element) > 0);
+  const leaves = priced.filter(element => !priced.some(other => other !== element && $.contains(element, other)));
+
+  const cards = new Set();
+  for (const leaf of leaves) {
+    let card = leaf;
+    // Поднимаемся, пока в родителе та же одна цена — так в карточку попадают отель и направление
+    while (card.parent && card.parent.type === 'tag' && card.parent.name !== 'body' && priceCount(card.parent) === 1) {
+      card = card.parent;
+    }
+    if (priceCount(card) === 1 && hasDate(card)) cards.add(card);
+  }
+  return [...cards];
+}
+
+/**
+ * Значение поля по классу элемента внутри карточки
+ */
+function classValue($, card, field) {
+  const pattern = FIELD_CLASSES[field];
+  const element = $(card).find('*').toArray().find(child => pattern.test($(child).attr('class') || ''));
+  return element ? { text: blockText($, element).replace(/\n/g, ' '), className: $(element).attr('class') || '' } : null;
+}
+
+/**
+ * Разобрать страницу горящих туров
+ * @param {string} html - HTML страницы
+ * @param {string} pageUrl - адрес страницы (для ссылок на предложения)
+ * @param {Date} referenceDate - сегодня (для дат без года)
+ * @param {{departureCity: string}} defaults - город вылета, если в карточке его нет
+ * @returns {Array<{destination, hotel, stars, departureCity, departureDate, nights, price, pricePerPerson, url}>}
+ *   price — в рублях: за человека (pricePerPerson) или за тур. Карточки без направления, даты или цены пропускаются
+ */
+export function parseHotTours(html, pageUrl, referenceDate = new Date(), defaults = { departureCity: 'Пермь' }) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript').remove();
+  // Зачёркнутая старая цена — не цена предложения
+  $('s, del, strike, [class*="old-price"], [class*="old_price"], [class*="price-old"], [class*="price_old"], [class*="oldprice"]').remove();
+
+  const page = new URL(pageUrl);
+  const offers = [];
+
+  for (const card of findCards($)) {
+    const text = blockText($, card);
+    const field = (name) => {
+      const fromClass = classValue($, card, name)?.text;
+      if (fromClass || !FIELD_LABELS[name]) return fromClass || null;
+      // "Страна: Турция" + "Курорт: Кемер" → "Турция, Кемер"
+      const values = [...text.matchAll(new RegExp(FIELD_LABELS[name].source, 'gi'))].map(match => match[1].trim());
+      return values.length ? values.join(', ') : null;
+    };
+
+    const heading = $(card).find('h1, h2, h3, h4, h5, h6, [class*="title"], [class*="name"]').first();
+    const destination = field('destination');
+    const hotel = field('hotel') || (heading.length ? blockText($, heading).replace(/\n/g, ' ') : null);
+
+    const starsElement = classValue($, card, 'stars');
+    const stars = (starsElement && parseStars(starsElement.text, starsElement.className)) || parseStars(hotel || '') || parseStars(text);
+
+    const departureDate = parseDate(field('date'), referenceDate) || parseDate(text, referenceDate);
+    const nightsText = classValue($, card, 'nights')?.text || text;
+    const nights = parseInt(nightsText.match(NIGHTS)?.[1], 10) || null;
+    const priceText = classValue($, card, 'price')?.text || text;
+    const price = parsePrice(priceText);
+
+    if (!destination || !departureDate || !price) continue;
+
+    // Ссылка — только на наш сайт (ссылки на сайты бронирования клиенту не даём)
+    const href = $(card).is('a') ? $(card).attr('href') : $(card).find('a[href]').first().attr('href');
+    let url = null;
+    if (href) {
+      try {
+        const link = new URL(href, page);
+        if (link.host === page.host) url = link.toString();
+      } catch {}
+    }
+
+    offers.push({
+      destination: destination.replace(/\s+/g, ' ').replace(/[.,;:]+$/, ''),
+      hotel: hotel ? hotel.replace(/\s*\(?\b[1-5]\s*(?:\*+|★+|зв[а-яё]*\.?)\)?\s*/gi, ' ').replace(/★+/g, '').replace(/\s+/g, ' ').trim() || null : null,
+      stars,
+      departureCity: parseDepartureCity(field('departureCity'), true) || parseDepartureCity(text, false) || defaults.departureCity,
+      departureDate,
+      nights,
+      price,
+      pricePerPerson: PER_PERSON.test(priceText) || PER_PERSON.test(text),
+      url
+    });
+  }
+
+  return offers;
+}
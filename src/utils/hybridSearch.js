@@ -0,0 +1,95 @@
+import { indexTerms, inverseFrequency } from './keywordIndex.js';
+
+/**
+ * Гибридный поиск по базе знаний: слияние векторных и ключевых (BM25) результатов
+ * и переранжирование по точным совпадениям фраз и заголовку
+ */
+
+/**
+ * Доля пар соседних слов запроса, которые стоят рядом и в тексте: "Героев Хасана", "горящие туры".
+ * Пара весит как её более частое слово — "нужна виза" значит меньше, чем "Героев Хасана"
+ */
+function phraseShare(queryTerms, terms, weight) {
+  if (queryTerms.length < 2) return 0;
+
+  const pairs = new Set();
+  for (let i = 1; i < terms.length; i++) pairs.add(`${terms[i - 1]} ${terms[i]}`);
+
+  let matched = 0;
+  let total = 0;
+  for (let i = 1; i < queryTerms.length; i++) {
+    const pairWeight = Math.min(weight(queryTerms[i - 1]), weight(queryTerms[i]));
+    total += pairWeight;
+    if (pairs.has(`${queryTerms[i - 1]} ${queryTerms[i]}`)) matched += pairWeight;
+  }
+  return total > 0 ? matched / total : 0;
+}
+
+/**
+ * Доля слов запроса (с учётом редкости) в заголовке страницы или документа
+ */
+function titleShare(queryTerms, title, weight) {
+  const titleTerms = new Set(indexTerms(title));
+  let matched = 0;
+  let total = 0;
+  for (const term of queryTerms) {
+    total += weight(term);
+    if (titleTerms.has(term)) matched += weight(term);
+  }
+  return total > 0 ? matched / total : 0;
+}
+
+/**
+ * Слить результаты и отсортировать по итоговому скору
+ * @param {string} query - вопрос пользователя
+ * @param {Array<{id, score, metadata}>} vectorMatches - результаты хранилища векторов (score — косинусная близость)
+ * @param {Array<{id, score, coverage, metadata}>} keywordMatches - результаты searchKeywords
+ * @param {Object} options
+ * @param {number} options.vectorWeight - вес векторной близости
+ * @param {number} options.keywordWeight - вес ключевого скора
+ * @param {boolean} options.rerank - переранжировать по фразам и заголовку
+ * @param {number} options.phraseBoost - прибавка за совпавшие фразы (0..phraseBoost)
+ * @param {number} options.titleBoost - прибавка за слова запроса в заголовке (0..titleBoost)
+ * @param {Object|null} options.index - подготовленный ключевой индекс: из него берутся термы полного текста чанка
+ * @returns {Array<{id, score, vectorScore, keywordScore, metadata}>}
+ *   vectorScore — косинусная близость (0, если чанк нашёл только ключевой поиск),
+ *   keywordScore — BM25 относительно лучшего результата × покрытие слов запроса (0..1),
+ *   score — итог 0..1
+ */
+export function hybridRank(query, vectorMatches, keywordMatches, options) {
+  const { vectorWeight, keywordWeight, rerank, phraseBoost, titleBoost, index = null } = options;
+  const candidates = new Map();
+
+  for (const match of vectorMatches) {
+    candidates.set(match.id, { id: match.id, vectorScore: match.score, keywordScore: 0, metadata: match.metadata });
+  }
+
+  const maxKeywordScore = Math.max(0, ...keywordMatches.map(match => match.score));
+  for (const match of keywordMatches) {
+    const keywordScore = maxKeywordScore > 0 ? (match.score / maxKeywordScore) * match.coverage : 0;
+    const candidate = candidates.get(match.id)
+      || { id: match.id, vectorScore: 0, keywordScore: 0, metadata: match.metadata };
+    candidate.keywordScore = keywordScore;
+    candidates.set(match.id, candidate);
+  }
+
+  const totalWeight = vectorWeight + keywordWeight || 1;
+  const queryTerms = indexTerms(query);
+  // Редкие слова важнее; без ключевого индекса все слова равны
+  const weight = term => (index ? inverseFrequency(index, term) : 1);
+
+  return [...candidates.values()]
+    .map(candidate => {
+      let score = (vectorWeight * candidate.vectorScore + keywordWeight * candidate.keywordScore) / totalWeight;
+
+      if (rerank && queryTerms.length > 0) {
+        const meta = candidate.metadata || {};
+        const terms = index?.docs.get(candidate.id)?.terms || indexTerms(`${meta.page_title || ''}\n${meta.text || ''}`);
+        score += phraseBoost * phraseShare(queryTerms, terms, weight)
+          + titleBoost * titleShare(queryTerms, meta.page_title || '', weight);
+      }
+
+      return { ...candidate, score: Math.min(1, score) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,94 @@
+import { tokenize } from './russianText.js';
+
+/**
+ * Ключевой поиск BM25 по чанкам базы знаний. Индекс строит scripts/indexer.js вместе с векторами,
+ * бот ищет по нему точные слова, которые плохо ловят эмбеддинги: названия улиц, туроператоров, номера
+ */
+
+// Параметры BM25: насыщение частоты слова и нормализация по длине чанка
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Термы текста: основы значимых слов в порядке следования (повторы сохраняются)
+ */
+export function indexTerms(text) {
+  return tokenize(text).map(token => token.stem);
+}
+
+/**
+ * Построить индекс для сохранения в файл
+ * @param {Array<{id, text, metadata}>} chunks - text — полный текст чанка, metadata — как в хранилище векторов
+ * @returns {{version: number, chunks: Object<string, {terms: string[], metadata: Object}>}}
+ */
+export function buildKeywordIndex(chunks) {
+  const entries = {};
+  for (const chunk of chunks) {
+    // Заголовок тоже ищется: "Рассрочка" в заголовке документа, но не в каждом чанке
+    entries[chunk.id] = {
+      terms: indexTerms(`${chunk.metadata.page_title || ''}\n${chunk.text}`),
+      metadata: chunk.metadata
+    };
+  }
+  return { version: 1, chunks: entries };
+}
+
+/**
+ * Подготовить индекс к поиску: частоты термов и документная частота
+ * @param {{chunks: Object<string, {terms, metadata}>}} data - содержимое файла индекса
+ */
+export function prepareKeywordIndex(data) {
+  const docs = new Map();
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  for (const [id, { terms, metadata }] of Object.entries(data.chunks || {})) {
+    const frequency = new Map();
+    for (const term of terms) frequency.set(term, (frequency.get(term) || 0) + 1);
+    for (const term of frequency.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+
+    docs.set(id, { terms, frequency, length: terms.length, metadata });
+    totalLength += terms.length;
+  }
+
+  return { docs, documentFrequency, averageLength: docs.size ? totalLength / docs.size : 0 };
+}
+
+/**
+ * Редкость терма (IDF в варианте BM25, всегда > 0)
+ */
+export function inverseFrequency(index, term) {
+  const frequency = index.documentFrequency.get(term) || 0;
+  return Math.log(1 + (index.docs.size - frequency + 0.5) / (frequency + 0.5));
+}
+
+/**
+ * Найти чанки по словам запроса
+ * @returns {Array<{id, score: number, coverage: number, metadata}>} по убыванию score.
+ *   score — BM25, coverage — доля редкости (IDF) слов запроса, которые есть в чанке (0..1)
+ */
+export function searchKeywords(index, query, topK = 20) {
+  const queryTerms = [...new Set(indexTerms(query))];
+  if (queryTerms.length === 0 || index.docs.size === 0) return [];
+
+  const weights = new Map(queryTerms.map(term => [term, inverseFrequency(index, term)]));
+  const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+  const results = [];
+
+  for (const [id, doc] of index.docs) {
+    let score = 0;
+    let matchedWeight = 0;
+    for (const term of queryTerms) {
+      const frequency = doc.frequency.get(term);
+      if (!frequency) continue;
+      const weight = weights.get(term);
+      score += weight * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / index.averageLength));
+      matchedWeight += weight;
+    }
+    if (score > 0) {
+      results.push({ id, score, coverage: matchedWeight / totalWeight, metadata: doc.metadata });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
@@ -0,0 +1,155 @@
+/**
+ * Персистентная очередь входящих сообщений (замена in-process дебаунса).
+ *
+ * - Сообщения сразу пишутся в БД, поэтому деплой или падение не теряют то, что клиент только что написал
+ * - Дебаунс: чат обрабатывается, когда с последнего сообщения прошло debounceMs — всё накопленное склеивается в одно
+ * - Обработка сериализована по peerId: пока идёт processMessage, новые сообщения ждут следующего прохода
+ * - При старте сообщения, зависшие в обработке, возвращаются в очередь
+ * - Ошибка обработки (callback бросил исключение) — повтор через retryDelayMs; после maxAttempts попыток
+ *   сообщения помечаются failed (остаются в таблице до очистки старой истории) и передаются в onFailure —
+ *   менеджеры отвечают клиенту вручную
+ */
+
+import { config } from '../config/config.js';
+
+class MessageQueue {
+  constructor() {
+    this.database = null;
+    this.callback = null;
+    this.failureHandler = null;
+    this.timer = null;
+    this.ticking = false;
+    // peerId, которые сейчас обрабатываются в этом процессе
+    this.active = new Set();
+  }
+
+  /**
+   * Установить ссылку на базу данных (вызывается из index.js)
+   */
+  setDatabase(db) {
+    this.database = db;
+  }
+
+  /**
+   * Обработчик сообщений, которые так и не удалось обработать (вызывается из index.js)
+   * @param {Function} handler - async ({ peerId, text, userData, error }) => void
+   */
+  onFailure(handler) {
+    this.failureHandler = handler;
+  }
+
+  /**
+   * Передать необработанные сообщения обработчику (ошибки обработчика только логируются)
+   */
+  async reportFailure(peerId, text, userData, error) {
+    if (!this.failureHandler) return;
+    try {
+      await this.failureHandler({ peerId, text, userData, error });
+    } catch (handlerError) {
+      console.error(`Ошибка уведомления о необработанных сообщениях peer_id=${peerId}:`, handlerError.message);
+    }
+  }
+
+  /**
+   * Запустить обработку очереди (включая сообщения, оставшиеся с прошлого запуска)
+   * @param {Function} callback - async (combinedText, userData) => void; исключение — обработка не удалась, повторить
+   */
+  async start(callback) {
+    this.callback = callback;
+
+    const { restored, failed } = await this.database.resetProcessingMessages(config.queue.maxAttempts);
+    if (restored > 0) {
+      console.log(`♻️  Очередь: ${restored} сообщений возвращено в обработку после перезапуска`);
+    }
+    if (failed.length > 0) {
+      console.error(`❌ Очередь: ${failed.length} сообщений исчерпали ${config.queue.maxAttempts} попыток и помечены как необработанные`);
+      // Склеиваем по чатам, как при обычной обработке
+      const byPeer = new Map();
+      for (const job of failed) {
+        const entry = byPeer.get(job.peerId) || { texts: [], userData: job.userData };
+        entry.texts.push(job.text);
+        entry.userData = job.userData;
+        byPeer.set(job.peerId, entry);
+      }
+      for (const [peerId, { texts, userData }] of byPeer) {
+        await this.reportFailure(peerId, texts.join('\n'), userData, new Error('обработка прервана перезапуском'));
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), config.queue.pollIntervalMs);
+    console.log(`📬 Очередь сообщений запущена (дебаунс ${config.queue.debounceMs}мс)`);
+  }
+
+  /**
+   * Остановить опрос очереди (начатые обработки доработают сами)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Добавить сообщение в очередь
+   */
+  async add(peerId, messageText, userData) {
+    await this.database.enqueueMessage(peerId.toString(), messageText, userData, config.queue.debounceMs);
+  }
+
+  /**
+   * Один проход: запустить обработку всех готовых чатов
+   */
+  async tick() {
+    // Не накладываем проходы друг на друга, если БД отвечает медленно
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const peers = await this.database.getReadyMessagePeers();
+      for (const peerId of peers) {
+        if (!this.active.has(peerId)) {
+          this.processPeer(peerId);
+        }
+      }
+    } catch (error) {
+      console.error('Ошибка обработки очереди сообщений:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Склеить и обработать все накопленные сообщения чата
+   */
+  async processPeer(peerId) {
+    this.active.add(peerId);
+
+    try {
+      const jobs = await this.database.claimMessages(peerId);
+      if (jobs.length === 0) return;
+
+      const ids = jobs.map(job => job.id);
+      const combinedText = jobs.map(job => job.text).join('\n');
+      // Данные пользователя — из последнего сообщения (самые свежие)
+      const userData = jobs[jobs.length - 1].userData;
+
+      try {
+        await this.callback(combinedText, userData);
+        await this.database.completeMessages(ids);
+      } catch (error) {
+        const attempts = Math.max(...jobs.map(job => job.attempts)) + 1;
+        if (attempts >= config.queue.maxAttempts) {
+          console.error(`❌ Очередь: сообщения peer_id=${peerId} не обработаны за ${attempts} попыток, помечаем как необработанные:`, error.message);
+          await this.database.failMessages(ids);
+          await this.reportFailure(peerId, combinedText, userData, error);
+        } else {
+          console.error(`⚠️  Очередь: ошибка обработки peer_id=${peerId} (попытка ${attempts}), повторим:`, error.message);
+          await this.database.retryMessages(ids, config.queue.retryDelayMs);
+        }
+      }
+    } finally {
+      this.active.delete(peerId);
+    }
+  }
+}
+
+export default new MessageQueue();
@@ -0,0 +1,83 @@
+/**
+ * Сравнение русских слов без морфологического словаря: грубый стемминг,
+ * стоп-слова и допуск опечаток. Используется FAQ и отчётом о пробелах в базе знаний
+ */
+
+// Слова, которые не несут смысла вопроса и не учитываются при сравнении
+const STOP_WORDS = new Set([
+  'а', 'и', 'в', 'во', 'на', 'с', 'со', 'к', 'ко', 'у', 'о', 'об', 'по', 'за', 'из', 'от', 'для', 'до',
+  'ли', 'же', 'бы', 'то', 'не', 'ну', 'вот', 'это', 'так', 'тут', 'там', 'еще', 'уже', 'или',
+  'я', 'мы', 'вы', 'вас', 'вам', 'вами', 'ваш', 'ваша', 'ваше', 'ваши', 'мне', 'нам', 'нас', 'меня',
+  'какой', 'какая', 'какие', 'каков', 'подскажите', 'скажите', 'расскажите', 'пожалуйста', 'пжл',
+  'здравствуйте', 'привет', 'добрый', 'день', 'вечер', 'утро', 'спасибо', 'есть', 'был', 'будет', 'хочу', 'хотел', 'хотела',
+  'сегодня', 'сейчас'
+]);
+
+// Окончания для грубого стемминга (сначала длинные)
+const REFLEXIVE = /(?:ся|сь)$/;
+const ENDINGS = [
+  'иями', 'ями', 'ами', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ешь', 'ете', 'ите', 'ает', 'яет', 'ают', 'яют',
+  'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ую', 'юю', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях',
+  'ов', 'ев', 'ия', 'ию', 'ии', 'ть', 'ти', 'ет', 'ит', 'ют', 'ут', 'ат', 'ят', 'им', 'ла', 'ло', 'ли',
+  'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й', 'л'
+];
+
+/**
+ * Основа слова: "визу", "визы" → "виз"; "работаете", "работы" → "работ..."
+ */
+export function stem(word) {
+  let result = word.replace(REFLEXIVE, '');
+  if (result.length < 4) return result;
+  const ending = ENDINGS.find(end => result.endsWith(end) && result.length - end.length >= 3);
+  return ending ? result.slice(0, -ending.length) : result;
+}
+
+/**
+ * Расстояние Дамерау–Левенштейна (опечатки: пропуск, лишняя буква, замена, перестановка)
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Разбить текст на значимые слова: [{ word, stem }]
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .split(/[^a-zа-я0-9-]+/)
+    .map(word => word.replace(/^-+|-+$/g, ''))
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => ({ word, stem: stem(word) }));
+}
+
+/**
+ * Одно и то же ли слово с учётом словоформ и опечаток
+ */
+export function tokensMatch(a, b) {
+  if (a.word === b.word || a.stem === b.stem) return true;
+
+  // Словоформы с разной длиной окончания: "работ" / "работа"
+  const [short, long] = a.stem.length <= b.stem.length ? [a.stem, b.stem] : [b.stem, a.stem];
+  if (short.length >= 4 && long.startsWith(short) && long.length - short.length <= 2) return true;
+
+  // Опечатки — только в длинных словах, иначе "виза" совпадёт с "вилла"
+  const length = Math.min(a.word.length, b.word.length);
+  if (length < 5) return false;
+  const allowed = length >= 8 ? 2 : 1;
+  return editDistance(a.word, b.word) <= allowed || editDistance(a.stem, b.stem) <= allowed;
+}
@@ -0,0 +1,20 @@
+/**
+ * Грубая оценка количества токенов без токенизатора.
+ * Для русского текста у моделей OpenAI выходит ~1 токен на 2.5-3 символа, для английского ~4 —
+ * берём консервативные 3 символа, чтобы не переполнять контекст.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 3);
+}
+
+/**
+ * Оценка токенов для сообщения чата (+4 на служебную разметку роли)
+ * @param {{role: string, content: string}} message
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + 4;
+}
@@ -0,0 +1,193 @@
+/**
+ * Состав туристов: взрослые, возраст каждого ребёнка, младенцы и количество номеров.
+ *
+ * Модель: { adults, childrenAges, infants, rooms }
+ *   childrenAges — возраст каждого ребёнка, включая младенцев (null — возраст не назвали)
+ *   infants — сколько детей младше 2 лет (летят без места, в отеле бесплатно)
+ */
+
+// Младше этого возраста — младенец (авиа без места)
+export const INFANT_AGE = 2;
+// С этого возраста авиакомпании и отели считают ребёнка взрослым
+export const ADULT_AGE = 12;
+
+const NUMBER_WORDS = {
+  'один': 1, 'одна': 1, 'одного': 1, 'одним': 1, 'одной': 1,
+  'два': 2, 'две': 2, 'двое': 2, 'двоих': 2, 'вдвоем': 2, 'пара': 2,
+  'три': 3, 'трое': 3, 'троих': 3, 'втроем': 3,
+  'четыре': 4, 'четверо': 4, 'четверых': 4, 'вчетвером': 4,
+  'пять': 5, 'пятеро': 5, 'впятером': 5, 'шесть': 6, 'шестеро': 6
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+function toNumber(value) {
+  return NUMBER_WORDS[value] ?? parseInt(value, 10);
+}
+
+/**
+ * Привести состав к единому виду (из ответа LLM, из БД или из аргументов инструмента)
+ * @returns {{adults: number, childrenAges: Array<number|null>, infants: number, rooms: number}|null}
+ */
+export function normalizeTravellers(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const adults = Number.isInteger(raw.adults) && raw.adults > 0 ? raw.adults : null;
+  const childrenAges = (Array.isArray(raw.childrenAges) ? raw.childrenAges : [])
+    .map(age => (age === null || age === undefined || age === '' ? null : Number(age)))
+    .map(age => (Number.isFinite(age) && age >= 0 && age < 18 ? Math.floor(age) : null));
+
+  // Младенцы без возраста ("с грудничком") — добавляем как детей до года
+  const knownInfants = childrenAges.filter(age => age !== null && age < INFANT_AGE).length;
+  const infants = Math.max(Number.isInteger(raw.infants) ? raw.infants : 0, knownInfants);
+  for (let i = knownInfants; i < infants; i++) {
+    childrenAges.push(0);
+  }
+
+  if (!adults && childrenAges.length === 0) return null;
+
+  return {
+    adults: adults || 1,
+    childrenAges,
+    infants,
+    rooms: Number.isInteger(raw.rooms) && raw.rooms > 0 ? raw.rooms : 1
+  };
+}
+
+// Взрослые спутники: "мы с мужем", "мама, папа", "я с подругой" — каждый упомянутый считается одним взрослым
+const ADULT_RELATIVES = [/муж(?!чин)/, /жен(?:а|ой|у|ы)(?![а-я])|супруг/, /(?:^|[^а-я])мам/, /(?:^|[^а-я])пап/, /бабушк|бабул/, /дедушк|дедул/,
+  /подруг/, /(?:^|[^а-я])друг(?:ом|а|у)?(?![а-я])/, /сестр/, /(?:^|[^а-я])брат(?![а-я]*ск)/, /(?:^|[^а-я])парн/, /девушк/];
+
+/**
+ * Разбор состава из свободного текста ("2 взрослых + 1 ребёнок 5 лет", "нас двое и дети 3 и 7 лет", "мы с мужем")
+ * Нужен для карточек, собранных до структурированного состава, и как запасной вариант.
+ * Понимает и собственный вывод formatTravellers ("2 взрослых + 2 детей (возраст: 5, 8)")
+ */
+export function parseTravellers(text) {
+  if (!text) return null;
+  const normalized = text.toLowerCase().replace(/ё/g, 'е');
+
+  let adults = null;
+  let children = null;
+
+  // 2+1, 2 + 2
+  const plus = normalized.match(/(?:^|\s)(\d)\s*\+\s*(\d)(?!\d)/);
+  if (plus) {
+    adults = parseInt(plus[1], 10);
+    children = parseInt(plus[2], 10);
+  }
+
+  const childrenMatch = normalized.match(new RegExp(`${NUMBER}\\s+(?:реб|дет|малыш|сын|доч)`));
+  if (childrenMatch) children = toNumber(childrenMatch[1]);
+  else if (children === null && /(?:с|и)\s+(?:ребенк|ребен|сын|доч|малыш)/.test(normalized)) children = 1;
+
+  // "N человек" — все вместе с детьми, "N взрослых" — только взрослые
+  const adultsMatch = normalized.match(new RegExp(`${NUMBER}\\s+взросл`));
+  const totalMatch = normalized.match(new RegExp(`${NUMBER}\\s+чел`));
+  if (adultsMatch) adults = toNumber(adultsMatch[1]);
+  else if (totalMatch) {
+    const total = toNumber(totalMatch[1]);
+    adults = children && total > children ? total - children : total;
+  } else if (adults === null) {
+    const together = normalized.match(/(?:нас|едем|поедем|летим)?\s*(вдвоем|втроем|вчетвером|впятером|двое|трое|четверо)(?!\s+(?:дет|реб))/);
+    if (together) adults = toNumber(together[1]);
+    else if (/(?:^|\s)(?:я\s+один|я\s+одна|один\s+взрослый|одна\s+взрослая|1\s+взросл)/.test(normalized)) adults = 1;
+    else {
+      const relatives = ADULT_RELATIVES.filter(pattern => pattern.test(normalized)).length;
+      // "мы с мужем", "я и мама" — плюс сам клиент
+      const self = /(?:^|\s)(?:мы|я)\s+(?:с|со|и)\s/.test(normalized) ? 1 : 0;
+      if (relatives > 0) adults = relatives + self;
+    }
+  }
+
+  // Возраст: "5 и 8 лет", "3, 7 лет", "5 лет и 12 лет", "ребенку 5", "10 месяцев", "грудничок", "возраст: 5, ?, до года"
+  const ages = [];
+  const listed = normalized.match(/возраст\S*\s*:?\s*((?:(?:\d{1,2}|\?|до года)\s*(?:,|и)\s*)*(?:\d{1,2}|\?|до года))/);
+  if (listed) {
+    ages.push(...listed[1].split(/\s*(?:,|и)\s*/).map(age => (age === '?' ? null : age === 'до года' ? 0 : parseInt(age, 10))));
+  } else {
+    for (const match of normalized.matchAll(/((?:\d{1,2}\s*(?:,|и)\s*)*\d{1,2})\s*(?:лет|год|г\.)/g)) {
+      // "мне 35 лет" — возраст взрослого, не ребёнка
+      ages.push(...match[1].split(/\s*(?:,|и)\s*/).map(age => parseInt(age, 10)).filter(age => age < 18));
+    }
+    // "ребенку 5", "детям 3 и 7" — возраст без "лет" (дательный падеж: количество так не пишут)
+    const bareAges = /(?:ребенку|сыну|дочке|дочери|малышу|детям)\s+((?:\d{1,2}\s*(?:,|и)\s*)*\d{1,2})(?!\s*(?:,|и)?\s*\d)(?!\s*(?:лет|год|г\.|мес|нед|дн|янв|фев|мар|апр|ма[йя]|июн|июл|авг|сен|окт|ноя|дек))/g;
+    for (const match of normalized.matchAll(bareAges)) {
+      ages.push(...match[1].split(/\s*(?:,|и)\s*/).map(age => parseInt(age, 10)).filter(age => age < 18));
+    }
+    const months = normalized.match(/(\d{1,2})\s*мес/);
+    if (months) ages.push(0);
+  }
+  const infantWords = (normalized.match(/грудн|младен|до года/g) || []).length;
+  const knownInfants = () => ages.filter(age => age !== null && age < INFANT_AGE).length;
+  while (knownInfants() < infantWords) {
+    ages.push(0);
+  }
+
+  const childCount = Math.max(children || 0, ages.length);
+  const childrenAges = Array.from({ length: childCount }, (_, i) => (i < ages.length ? ages[i] : null));
+
+  const roomsMatch = normalized.match(new RegExp(`${NUMBER}\\s+номер`));
+
+  return normalizeTravellers({
+    adults,
+    childrenAges,
+    rooms: roomsMatch ? toNumber(roomsMatch[1]) : 1
+  });
+}
+
+/**
+ * Склонение: 1 взрослый, 2 взрослых
+ */
+function plural(count, one, few, many) {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return one;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+  return many;
+}
+
+/**
+ * Состав текстом для карточки, Telegram и CRM: "2 взрослых + 2 детей (возраст: 5, 8), 2 номера"
+ */
+export function formatTravellers(travellers) {
+  const t = normalizeTravellers(travellers);
+  if (!t) return null;
+
+  let text = `${t.adults} ${plural(t.adults, 'взрослый', 'взрослых', 'взрослых')}`;
+  if (t.childrenAges.length > 0) {
+    const ages = t.childrenAges.map(age => (age === null ? '?' : age < 1 ? 'до года' : String(age)));
+    text += ` + ${t.childrenAges.length} ${plural(t.childrenAges.length, 'ребёнок', 'детей', 'детей')} (возраст: ${ages.join(', ')})`;
+  }
+  if (t.rooms > 1) {
+    text += `, ${t.rooms} ${plural(t.rooms, 'номер', 'номера', 'номеров')}`;
+  }
+  return text;
+}
+
+/**
+ * Пассажиры для авиабилетов: дети от ADULT_AGE — по взрослому тарифу, младенцы — отдельно
+ * @returns {{adults: number, children: number, infants: number}}
+ */
+export function passengerCounts(travellers) {
+  const t = normalizeTravellers(travellers) || { adults: 1, childrenAges: [] };
+  const ages = t.childrenAges.map(age => (age === null ? INFANT_AGE : age));
+  return {
+    adults: t.adults + ages.filter(age => age >= ADULT_AGE).length,
+    children: ages.filter(age => age >= INFANT_AGE && age < ADULT_AGE).length,
+    infants: ages.filter(age => age < INFANT_AGE).length
+  };
+}
+
+/**
+ * Гости одного номера при расселении в несколько номеров (поиск цены за номер, итог × rooms).
+ * Детей раскладываем начиная со старших — так оценка не занижается
+ * @returns {{adults: number, childrenAges: Array<number|null>}}
+ */
+export function guestsPerRoom(travellers) {
+  const t = normalizeTravellers(travellers) || { adults: 2, childrenAges: [], rooms: 1 };
+  const sorted = [...t.childrenAges].sort((a, b) => (b ?? 0) - (a ?? 0));
+  return {
+    adults: Math.ceil(t.adults / t.rooms),
+    childrenAges: sorted.slice(0, Math.ceil(sorted.length / t.rooms))
+  };
+}
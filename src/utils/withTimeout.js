@@ -0,0 +1,25 @@
+/**
+ * Ошибка превышения времени ожидания
+ */
+export class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label}: превышено время ожидания (${ms}мс)`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Ограничить время выполнения промиса
+ * @param {Promise} promise - исходный промис (сама операция не отменяется, результат просто игнорируется)
+ * @param {number} ms - таймаут в миллисекундах
+ * @param {string} label - название операции для текста ошибки
+ * @returns {Promise} Результат промиса или TimeoutError
+ */
+export function withTimeout(promise, ms, label = 'Операция') {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}